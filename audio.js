@@ -3,8 +3,16 @@
 // ============================================
 // Generate sound effects using Web Audio API
 
-// Create audio context
-const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+// Audio context, created on the first sound (so the module can be imported
+// where there is no Web Audio, e.g. game logic under Node)
+let audioContext = null;
+
+function getAudioContext() {
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return audioContext;
+}
 
 // ============================================
 // SOUND EFFECTS
@@ -18,6 +26,7 @@ export function playHitSound(settings) {
         document.activeElement.blur();
     }
 
+    const audioContext = getAudioContext();
     const now = audioContext.currentTime;
     const volume = settings.soundVolume / 100;
 
@@ -48,6 +57,7 @@ export function playLandSound(settings) {
         document.activeElement.blur();
     }
 
+    const audioContext = getAudioContext();
     const now = audioContext.currentTime;
     const volume = settings.soundVolume / 100;
 
@@ -78,6 +88,7 @@ export function playAlarmSound(settings) {
         document.activeElement.blur();
     }
 
+    const audioContext = getAudioContext();
     const now = audioContext.currentTime;
     const volume = settings.soundVolume / 100;
 
@@ -0,0 +1,106 @@
+// ============================================
+// CLUB BAG MODULE
+// ============================================
+// Driver to putter, each with its own length, head weight, loft and power.
+// The selected club's values are copied into the settings fields the swing
+// pipeline already reads (clubLength, clubWeight, loftAngle, impactPower),
+// so switching clubs is one tap instead of a trip to the settings.
+//
+// The bag (per-club values, editable in settings) is stored on its own so
+// shot history only carries the club id, not the whole bag.
+
+// ============================================
+// PRESETS
+// ============================================
+//   length   Club length (m) - longer club, faster tip for the same swing
+//   weight   Head weight (g)
+//   loft     Face loft (degrees)
+//   power    Impact power; balances the heavier heads of short clubs so
+//            a full swing carries further with every longer club. The
+//            putter has its own stroke model (game-logic.js PUTTING): ball
+//            speed = stroke speed × head weight / 200 × power, so 1.0 turns
+//            a 1-2 m/s stroke into a 2-3 m/s putt
+export const CLUB_PRESETS = [
+    { id: 'driver', name: 'Driver', short: 'Dr', length: 1.15, weight: 200, loft: 10, power: 1.8 },
+    { id: '3w', name: '3-wood', short: '3W', length: 1.09, weight: 210, loft: 15, power: 1.6 },
+    { id: '5w', name: '5-wood', short: '5W', length: 1.07, weight: 215, loft: 18, power: 1.55 },
+    { id: '4i', name: '4-iron', short: '4i', length: 0.99, weight: 241, loft: 22, power: 1.3 },
+    { id: '5i', name: '5-iron', short: '5i', length: 0.97, weight: 248, loft: 25, power: 1.2 },
+    { id: '6i', name: '6-iron', short: '6i', length: 0.96, weight: 255, loft: 28, power: 1.15 },
+    { id: '7i', name: '7-iron', short: '7i', length: 0.94, weight: 262, loft: 32, power: 1.05 },
+    { id: '8i', name: '8-iron', short: '8i', length: 0.93, weight: 269, loft: 36, power: 1.0 },
+    { id: '9i', name: '9-iron', short: '9i', length: 0.91, weight: 276, loft: 40, power: 0.95 },
+    { id: 'pw', name: 'Pitching wedge', short: 'PW', length: 0.90, weight: 283, loft: 45, power: 0.9 },
+    { id: 'sw', name: 'Sand wedge', short: 'SW', length: 0.89, weight: 295, loft: 56, power: 0.8 },
+    { id: 'putter', name: 'Putter', short: 'Pt', length: 0.87, weight: 340, loft: 3, power: 1.0 }
+];
+
+export const DEFAULT_CLUB_ID = '5i';
+
+export function getClubPreset(id) {
+    return CLUB_PRESETS.find(club => club.id === id) || null;
+}
+
+// Display name ("7-iron"); unknown ids (older shots) are shown as-is
+export function getClubName(id) {
+    const preset = getClubPreset(id);
+    return preset ? preset.name : (id || 'Unknown club');
+}
+
+// ============================================
+// BAG STATE
+// ============================================
+// clubs: { [id]: { length, weight, loft, power } }
+export const clubBag = {
+    clubs: createDefaultBag()
+};
+
+function createDefaultBag() {
+    const clubs = {};
+    CLUB_PRESETS.forEach(club => {
+        clubs[club.id] = { length: club.length, weight: club.weight, loft: club.loft, power: club.power };
+    });
+    return clubs;
+}
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+// Restore a stored bag; clubs missing or malformed in it keep their preset
+export function restoreClubBag(stored) {
+    clubBag.clubs = createDefaultBag();
+    if (!stored || typeof stored !== 'object') return;
+    Object.keys(clubBag.clubs).forEach(id => {
+        const club = stored[id];
+        if (club && isNumber(club.length) && isNumber(club.weight) && isNumber(club.loft) && isNumber(club.power)) {
+            clubBag.clubs[id] = { length: club.length, weight: club.weight, loft: club.loft, power: club.power };
+        }
+    });
+}
+
+export function getBagClub(id) {
+    return clubBag.clubs[id] || clubBag.clubs[DEFAULT_CLUB_ID];
+}
+
+// ============================================
+// SELECTING & EDITING CLUBS
+// ============================================
+// Make a club current: its values become the active swing settings
+export function selectClub(settings, id) {
+    const club = getBagClub(id);
+    settings.clubId = clubBag.clubs[id] ? id : DEFAULT_CLUB_ID;
+    settings.clubLength = club.length;
+    settings.clubWeight = club.weight;
+    settings.loftAngle = club.loft;
+    settings.impactPower = club.power;
+}
+
+// Keep edits made in settings with the current club
+export function storeSelectedClub(settings) {
+    if (!clubBag.clubs[settings.clubId]) return;
+    clubBag.clubs[settings.clubId] = {
+        length: settings.clubLength,
+        weight: settings.clubWeight,
+        loft: settings.loftAngle,
+        power: settings.impactPower
+    };
+}
@@ -3,6 +3,11 @@
 // ============================================
 // This module contains all game configuration constants and default settings
 
+import { getClubPreset, DEFAULT_CLUB_ID } from './clubs.js';
+
+// New players start with this club from the bag
+const defaultClub = getClubPreset(DEFAULT_CLUB_ID);
+
 // Game state enumeration
 export const GameState = {
     WAITING_PERMISSION: 'waiting_permission',
@@ -15,25 +20,49 @@ export const GameState = {
 
 // Default game settings
 export const defaultSettings = {
-    clubLength: 1.2,        // meters
-    clubWeight: 200,        // grams
+    clubId: DEFAULT_CLUB_ID, // Club from the bag (clubs.js); sets the four club values below
+    clubLength: defaultClub.length,  // meters
+    clubWeight: defaultClub.weight,  // grams
     ballDiameter: 4.3,      // cm (regulation golf ball)
     ballWeight: 45.9,       // grams
     hitZoneDiameter: 30,    // cm (detection zone diameter)
     minSwingSpeed: 5.0,     // m/s²
-    loftAngle: 25,          // degrees (club face angle - converts downward swing to upward launch)
+    loftAngle: defaultClub.loft,     // degrees (club face angle - converts downward swing to upward launch)
     gravity: 9.81,          // m/s²
     airResistance: 0.5,     // factor 0-1
-    impactPower: 1.5,       // Coefficient of restitution (club spring effect): 0.5-3.0, realistic is 1.4-1.6
+    impactPower: defaultClub.power,  // Coefficient of restitution (club spring effect): 0.2-3.0, set per club
     spinEffect: 5,          // 0-10: how much spin affects trajectory (Magnus effect)
+    physicsMode: 'arcade',  // 'arcade' (tuned game feel) or 'realistic' (aerodynamic model)
+    environmentPreset: 'sea-level', // Air conditions (environment.js): preset id or 'custom'
+    altitude: 0,            // meters above sea level
+    temperature: 15,        // °C
+    humidity: 0,            // % relative humidity
+    pressure: 1013.25,      // hPa at sea level (as in weather reports)
     showDebug: false,       // Hidden by default to save space
     soundEnabled: true,
     soundVolume: 50,        // 0-100
     swingTimeout: 10,       // seconds until forced reset
+    gameMode: 'range',      // 'range' (every shot from the tee), 'hole' (play until holed) or 'course'
+    holeLength: 100,        // meters (tee to pin in hole mode)
+    courseId: 'meadow',     // 'meadow', 'pitch' (bundled in courses/) or 'imported'
+    cupRadius: 0.5,         // meters (0.054 = regulation cup)
+    playerNames: [],        // Pass-and-play players (two or more start a game, see players.js)
+    gameFormat: 'free',     // 'free', 'longest' (longest drive) or 'closest' (closest to the pin)
+    shotsEach: 3,           // Shots per player in longest drive / closest to the pin
     targetMode: 'random',   // 'fixed' or 'random'
-    targetDistance: 50      // meters (used in fixed mode)
+    targetDistance: 50,     // meters (used in fixed mode)
+    windMode: 'off',        // 'off', 'fixed' or 'random' (new wind with every target)
+    windSpeed: 5,           // m/s (fixed speed, or maximum in random mode)
+    windDirection: 180,     // degrees the wind blows towards: 0 tailwind, 90 left-to-right, 180 headwind
+    windGustiness: 30,      // 0-100 %
+    shotHistoryLimit: 500,  // max shots kept in history (oldest dropped first)
+    sensorSource: 'device', // 'device', 'desktop', 'synthetic' or 'playback'
+    sensorRate: 60          // Hz (synthetic swing sample rate)
 };
 
+// Shot history paging
+export const SHOT_HISTORY_PAGE_SIZE = 20;
+
 // Camera configuration for 3D projection
 // COORDINATE SYSTEM:
 // X-axis: Left (-) to Right (+)
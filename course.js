@@ -0,0 +1,303 @@
+// ============================================
+// COURSE MODULE
+// ============================================
+// Multi-hole courses and the round scorecard. Courses are plain JSON files,
+// either bundled in courses/ or imported by the player. No DOM - ui.js
+// reads imported files, renderer.js draws the scorecard.
+//
+// COURSE FORMAT:
+//   {
+//     format: 'airgolf-course', version: 1, name,
+//     holes: [
+//       { par, tee: {x, z}, pin: {x, z}, terrain: { defaultSurface, zones } }
+//     ]
+//   }
+//   Positions are world meters (see terrain.js for the zone format). Every
+//   hole has its own ground, so holes can reuse the same coordinates.
+//   Hazards are terrain zones (water, out of bounds, bunkers).
+//
+// SCORECARD:
+//   { courseId, courseName, roundId, currentHole, complete,
+//     holes: [{ number, par, length, strokes }],    strokes: null until holed
+//     inProgress: { number, strokes, ballPosition: {x, z} } | null }
+//   inProgress is the hole being played, so a reload continues from the
+//   same lie with the strokes already taken.
+
+import { addDebugMessage, createId } from './utils.js';
+import { validateTerrain } from './terrain.js';
+import { saveScorecard, loadScorecard, loadImportedCourse } from './storage.js';
+
+export const COURSE_FORMAT = 'airgolf-course';
+export const COURSE_VERSION = 1;
+
+// Courses shipped with the game (settings.courseId → file in courses/)
+export const BUNDLED_COURSES = {
+    'meadow': 'courses/meadow-links.json',
+    'pitch': 'courses/pitch-and-putt.json'
+};
+
+const MIN_HOLE_LENGTH = 10;     // m (tee to pin)
+
+// ============================================
+// COURSE STATE
+// ============================================
+export const courseState = {
+    course: null,       // Loaded course (validated)
+    scorecard: null     // Round in progress (or just finished)
+};
+
+// Scorecard overlay
+export const scorecardView = {
+    active: false,
+    bounds: null        // Overlay rectangle (set by renderer, used for taps)
+};
+
+// ============================================
+// LOADING & VALIDATION
+// ============================================
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+function isGroundPoint(value) {
+    return value && isNumber(value.x) && isNumber(value.z);
+}
+
+// Validate one hole. Throws with a readable message.
+function validateHole(hole, index) {
+    const label = `Hole ${index + 1}`;
+
+    if (!hole || typeof hole !== 'object') {
+        throw new Error(`${label}: not an object`);
+    }
+    if (!Number.isInteger(hole.par) || hole.par < 2 || hole.par > 7) {
+        throw new Error(`${label}: par must be a whole number from 2 to 7`);
+    }
+    if (!isGroundPoint(hole.tee) || !isGroundPoint(hole.pin)) {
+        throw new Error(`${label}: tee and pin need x and z positions`);
+    }
+
+    const length = Math.sqrt((hole.pin.x - hole.tee.x) ** 2 + (hole.pin.z - hole.tee.z) ** 2);
+    if (length < MIN_HOLE_LENGTH) {
+        throw new Error(`${label}: pin is less than ${MIN_HOLE_LENGTH}m from the tee`);
+    }
+
+    let terrain;
+    try {
+        // No terrain: plain rough with a green around the pin
+        terrain = hole.terrain
+            ? validateTerrain(hole.terrain)
+            : { defaultSurface: 'rough', zones: [{ surface: 'green', shape: 'ellipse', x: hole.pin.x, z: hole.pin.z, rx: 8, rz: 10 }] };
+    } catch (e) {
+        throw new Error(`${label}: ${e.message}`);
+    }
+    terrain.name = label;
+
+    return {
+        number: index + 1,
+        par: hole.par,
+        length: length,
+        tee: { x: hole.tee.x, z: hole.tee.z },
+        pin: { x: hole.pin.x, z: hole.pin.z },
+        terrain: terrain
+    };
+}
+
+// Check a parsed course file and fill in defaults. Throws with a readable message.
+export function validateCourse(data, id) {
+    if (!data || data.format !== COURSE_FORMAT) {
+        throw new Error('Not an Air Golf course file');
+    }
+    if (data.version > COURSE_VERSION) {
+        throw new Error(`Unsupported course version ${data.version}`);
+    }
+    if (!Array.isArray(data.holes) || data.holes.length === 0) {
+        throw new Error('No holes found in course');
+    }
+
+    const name = typeof data.name === 'string' && data.name ? data.name : 'Unnamed course';
+    return {
+        id: id,
+        name: name,
+        holes: data.holes.map(validateHole)
+    };
+}
+
+// Parse a course file picked by the player
+export function parseCourse(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('File is not valid JSON');
+    }
+    return validateCourse(data, 'imported');
+}
+
+// Load the course chosen in settings (bundled file or the stored import)
+export async function loadCourse(courseId) {
+    if (courseId === 'imported') {
+        const data = loadImportedCourse();
+        if (!data) {
+            throw new Error('No imported course - use Import Course in settings');
+        }
+        return validateCourse(data, 'imported');
+    }
+
+    const file = BUNDLED_COURSES[courseId];
+    if (!file) {
+        throw new Error(`Unknown course "${courseId}"`);
+    }
+    const response = await fetch(file);
+    if (!response.ok) {
+        throw new Error(`Could not load ${file} (${response.status})`);
+    }
+    return validateCourse(await response.json(), courseId);
+}
+
+// ============================================
+// ROUND & SCORECARD
+// ============================================
+function createScorecard(course) {
+    return {
+        courseId: course.id,
+        courseName: course.name,
+        roundId: createId('round'),
+        currentHole: 0,
+        complete: false,
+        holes: course.holes.map(hole => ({
+            number: hole.number,
+            par: hole.par,
+            length: hole.length,
+            strokes: null
+        })),
+        inProgress: null
+    };
+}
+
+// Stored scorecard belongs to this course (same holes and pars)
+function scorecardMatches(scorecard, course) {
+    return scorecard &&
+        scorecard.courseId === course.id &&
+        scorecard.courseName === course.name &&
+        Array.isArray(scorecard.holes) &&
+        scorecard.holes.length === course.holes.length &&
+        scorecard.holes.every((hole, i) => hole.par === course.holes[i].par);
+}
+
+// Make a course current. The stored round is resumed if it was on this
+// course, otherwise a new round starts.
+export function setCourse(course) {
+    courseState.course = course;
+
+    const stored = loadScorecard();
+    if (scorecardMatches(stored, course)) {
+        courseState.scorecard = stored;
+        addDebugMessage(`⛳ Resumed ${course.name} at hole ${stored.currentHole + 1}`);
+    } else {
+        courseState.scorecard = createScorecard(course);
+        saveScorecard(courseState.scorecard);
+        addDebugMessage(`⛳ New round: ${course.name} (${course.holes.length} holes)`);
+    }
+    return courseState.scorecard;
+}
+
+export function startNewRound() {
+    if (!courseState.course) return null;
+    courseState.scorecard = createScorecard(courseState.course);
+    saveScorecard(courseState.scorecard);
+    addDebugMessage(`⛳ New round: ${courseState.course.name}`);
+    return courseState.scorecard;
+}
+
+// Hole to play next (null when no course is loaded)
+export function getCurrentCourseHole() {
+    if (!courseState.course || !courseState.scorecard) return null;
+    return courseState.course.holes[courseState.scorecard.currentHole];
+}
+
+// Write the strokes for a holed-out hole and move on to the next one
+export function recordHoleScore(number, strokes) {
+    const scorecard = courseState.scorecard;
+    if (!scorecard) return null;
+
+    const hole = scorecard.holes[number - 1];
+    if (!hole) return null;
+    hole.strokes = strokes;
+    scorecard.inProgress = null;
+
+    const next = scorecard.holes.findIndex(h => h.strokes === null);
+    scorecard.complete = next === -1;
+    if (!scorecard.complete) {
+        scorecard.currentHole = next;
+    }
+    saveScorecard(scorecard);
+
+    addDebugMessage(`📋 Hole ${number}: ${strokes} (par ${hole.par})${scorecard.complete ? ' - round complete' : ''}`);
+    return hole;
+}
+
+// Save the hole being played after every shot that doesn't hole out
+export function recordHoleProgress(number, strokes, ballPosition) {
+    const scorecard = courseState.scorecard;
+    if (!scorecard) return;
+
+    scorecard.inProgress = {
+        number: number,
+        strokes: strokes,
+        ballPosition: { x: ballPosition.x, z: ballPosition.z }
+    };
+    saveScorecard(scorecard);
+}
+
+// Saved progress on the current hole, null if it hasn't been started
+// (or the stored entry is from an older scorecard or damaged)
+export function getHoleInProgress() {
+    const scorecard = courseState.scorecard;
+    const progress = scorecard && scorecard.inProgress;
+    if (!progress || scorecard.complete || progress.number !== scorecard.currentHole + 1) return null;
+
+    const position = progress.ballPosition;
+    if (!Number.isInteger(progress.strokes) || progress.strokes < 0 ||
+        !position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+        return null;
+    }
+    return progress;
+}
+
+// ============================================
+// SCORING
+// ============================================
+const SCORE_NAMES = {
+    '-3': 'Albatross',
+    '-2': 'Eagle',
+    '-1': 'Birdie',
+    '0': 'Par',
+    '1': 'Bogey',
+    '2': 'Double bogey',
+    '3': 'Triple bogey'
+};
+
+export function describeScore(strokes, par) {
+    if (strokes === 1) return 'Hole in one';
+    const diff = strokes - par;
+    return SCORE_NAMES[diff] || (diff > 0 ? `+${diff}` : `${diff}`);
+}
+
+// Score relative to par as golfers write it (E, +2, -1)
+export function formatToPar(diff) {
+    if (diff === 0) return 'E';
+    return diff > 0 ? `+${diff}` : `${diff}`;
+}
+
+// Totals over the holes played so far
+export function getScoreSummary(scorecard) {
+    const played = scorecard.holes.filter(hole => hole.strokes !== null);
+    const strokes = played.reduce((sum, hole) => sum + hole.strokes, 0);
+    const par = played.reduce((sum, hole) => sum + hole.par, 0);
+    return {
+        played: played.length,
+        strokes: strokes,
+        par: par,
+        toPar: strokes - par,
+        coursePar: scorecard.holes.reduce((sum, hole) => sum + hole.par, 0)
+    };
+}
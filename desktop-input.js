@@ -0,0 +1,247 @@
+// ============================================
+// DESKTOP INPUT MODULE
+// ============================================
+// Sensor source for computers without an IMU. A mouse/touch drag or the
+// keyboard moves a virtual club, and this module turns the club angle into
+// the same rotation-rate + acceleration samples a phone would send.
+//
+// MOUSE / TOUCH:
+//   Press on the canvas, drag DOWN to take the club back, then flick UP
+//   through the starting point. Sideways drag opens/closes the swing (curve).
+//   Letting go early swings the club back to address at full speed.
+//
+// KEYBOARD:
+//   Hold SPACE for the backswing (longer = bigger), release to swing through.
+//   ↑ / ↓ change downswing power.
+//
+// The virtual club rotates around the same axis as the synthetic swing
+// (rotationRate.alpha), so the tip returns to the ball at the address angle.
+
+import { swingAcceleration } from './sensor-sources.js';
+
+// Sample rate while running (Hz)
+const DESKTOP_SAMPLE_RATE = 100;
+
+// Fastest the virtual club may turn (deg/s). At 100 Hz this keeps each step
+// at ~10°, so a sample always lands inside the hit zone as the tip passes.
+const MAX_CLUB_RATE = 1000;
+
+// Mouse mapping
+const DEGREES_PER_PIXEL = 0.6;      // Vertical drag → club angle
+const SIDE_DEGREES_PER_PIXEL = 0.1; // Horizontal drag → swing plane tilt
+const MAX_SIDE_ANGLE = 20;          // degrees
+
+// Club angle limits (0 = address, positive = backswing)
+const MAX_BACKSWING = 170;          // degrees
+const MAX_FOLLOW_THROUGH = -90;     // degrees
+
+// Keyboard tempo
+const KEY_BACKSWING_RATE = 200;     // deg/s while SPACE is held
+const KEY_POWER_MIN = 1;
+const KEY_POWER_MAX = 10;
+const KEY_POWER_DEFAULT = 5;
+const KEY_RATE_PER_POWER = 100;     // Downswing deg/s per power step
+
+// Below this angular speed the club counts as still (deg/s)
+const STILL_RATE = 5;
+
+// Smallest acceleration sent while the club moves - just above the
+// tracking trigger so tracking starts on the first moving sample (m/s²)
+const MIN_MOVING_ACCEL = 2.5;
+const MAX_ACCEL = 60;
+
+// options.getClubLength is read on every sample, so a club change reaches a
+// running source without restarting it
+export function createDesktopSource(target, options = {}) {
+    const getClubLength = options.getClubLength || (() => 1.2);
+    const updateStatus = options.updateStatus || (() => {});
+
+    let handlers = null;
+    let timer = null;
+    let lastTick = 0;
+
+    // Virtual club state
+    let moving = false;     // Club currently turning
+    let angle = 0;          // Club angle (deg)
+    let sideAngle = 0;      // Swing plane tilt (deg)
+    let targetAngle = 0;
+    let targetSideAngle = 0;
+
+    // Mouse state
+    let dragging = false;
+    let dragStart = { x: 0, y: 0 };
+
+    // Keyboard state
+    let keyPhase = 'idle';  // 'idle', 'backswing', 'downswing'
+    let power = KEY_POWER_DEFAULT;
+
+    // Put the club at address without sending rotation (only when the
+    // source starts - tracking hasn't seen the club yet)
+    function settle() {
+        moving = false;
+        angle = targetAngle = 0;
+        sideAngle = targetSideAngle = 0;
+    }
+
+    // Let the club swing back to address through the normal samples, so the
+    // tracker never misses rotation (and a release before the club reached
+    // the ball still swings it through)
+    function returnToAddress() {
+        targetAngle = 0;
+        targetSideAngle = 0;
+    }
+
+    // ============================================
+    // MOUSE / TOUCH
+    // ============================================
+    function handlePointerDown(e) {
+        if (keyPhase !== 'idle') return;
+        dragging = true;
+        dragStart = { x: e.clientX, y: e.clientY };
+    }
+
+    function handlePointerMove(e) {
+        if (!dragging) return;
+        const dy = e.clientY - dragStart.y;
+        const dx = e.clientX - dragStart.x;
+        targetAngle = Math.max(MAX_FOLLOW_THROUGH, Math.min(MAX_BACKSWING, dy * DEGREES_PER_PIXEL));
+        targetSideAngle = Math.max(-MAX_SIDE_ANGLE, Math.min(MAX_SIDE_ANGLE, dx * SIDE_DEGREES_PER_PIXEL));
+    }
+
+    function handlePointerUp() {
+        if (!dragging) return;
+        dragging = false;
+        returnToAddress();
+    }
+
+    // ============================================
+    // KEYBOARD
+    // ============================================
+    function isTypingTarget(e) {
+        return e.target && e.target.closest && e.target.closest('input, select, textarea');
+    }
+
+    function handleKeyDown(e) {
+        if (isTypingTarget(e)) return;
+
+        if (e.code === 'Space') {
+            e.preventDefault();
+            if (e.repeat || dragging || keyPhase !== 'idle') return;
+            keyPhase = 'backswing';
+        } else if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+            e.preventDefault();
+            const step = e.code === 'ArrowUp' ? 1 : -1;
+            power = Math.max(KEY_POWER_MIN, Math.min(KEY_POWER_MAX, power + step));
+            updateStatus(`⌨️ Swing power: ${power}/${KEY_POWER_MAX}`);
+        }
+    }
+
+    function handleKeyUp(e) {
+        if (isTypingTarget(e)) return;
+
+        if (e.code === 'Space' && keyPhase === 'backswing') {
+            e.preventDefault();
+            keyPhase = 'downswing';
+        }
+    }
+
+    function updateKeyboardSwing(dt) {
+        if (keyPhase === 'backswing') {
+            targetAngle = Math.min(MAX_BACKSWING, targetAngle + KEY_BACKSWING_RATE * dt);
+        } else if (keyPhase === 'downswing') {
+            targetAngle -= power * KEY_RATE_PER_POWER * dt;
+            if (targetAngle <= MAX_FOLLOW_THROUGH) {
+                keyPhase = 'idle';
+                returnToAddress();
+            }
+        }
+    }
+
+    // ============================================
+    // SAMPLE GENERATION
+    // ============================================
+    function tick() {
+        const now = Date.now();
+        const dt = Math.max(0.001, (now - lastTick) / 1000);
+        lastTick = now;
+
+        updateKeyboardSwing(dt);
+
+        // Club follows the input, limited to MAX_CLUB_RATE
+        const maxStep = MAX_CLUB_RATE * dt;
+        const step = Math.max(-maxStep, Math.min(maxStep, targetAngle - angle));
+        const sideStep = Math.max(-maxStep, Math.min(maxStep, targetSideAngle - sideAngle));
+
+        // First moving sample only wakes up tracking (tracking.js skips the
+        // sample that triggers it), so no rotation is lost before the swing
+        if (!moving && Math.abs(step / dt) > STILL_RATE) {
+            moving = true;
+            handlers.onMotion({
+                acceleration: swingAcceleration(MIN_MOVING_ACCEL),
+                rotationRate: { alpha: 0, beta: 0, gamma: 0 },
+                timestamp: now
+            });
+            return;
+        }
+
+        // Angular speed of the virtual club since the last sample
+        const rate = step / dt;
+        const sideRate = sideStep / dt;
+        angle += step;
+        sideAngle += sideStep;
+
+        // Centripetal acceleration of the club tip (ω²·L)
+        const omega = Math.abs(rate) * Math.PI / 180;
+        let accel = 0;
+        if (Math.abs(rate) > STILL_RATE) {
+            accel = Math.min(MAX_ACCEL, Math.max(MIN_MOVING_ACCEL, omega * omega * getClubLength()));
+        }
+
+        handlers.onMotion({
+            acceleration: swingAcceleration(accel),
+            rotationRate: { alpha: rate, beta: 0, gamma: sideRate },
+            timestamp: now
+        });
+
+        // Club came to rest: the next movement wakes tracking again
+        if (Math.abs(rate) <= STILL_RATE && Math.abs(sideRate) <= STILL_RATE) {
+            moving = false;
+        }
+    }
+
+    return {
+        name: 'Mouse / keyboard',
+        requiresPermission: false,
+        hint: 'Drag down then flick up on the screen, or hold SPACE and release',
+        start(newHandlers) {
+            if (handlers) return;
+            handlers = newHandlers;
+            settle();
+            keyPhase = 'idle';
+
+            target.addEventListener('pointerdown', handlePointerDown);
+            window.addEventListener('pointermove', handlePointerMove);
+            window.addEventListener('pointerup', handlePointerUp);
+            window.addEventListener('pointercancel', handlePointerUp);
+            window.addEventListener('keydown', handleKeyDown);
+            window.addEventListener('keyup', handleKeyUp);
+
+            handlers.onOrientation({ alpha: null, beta: 0, gamma: 0 });
+            lastTick = Date.now();
+            timer = setInterval(tick, 1000 / DESKTOP_SAMPLE_RATE);
+        },
+        stop() {
+            if (!handlers) return;
+            clearInterval(timer);
+            timer = null;
+
+            target.removeEventListener('pointerdown', handlePointerDown);
+            window.removeEventListener('pointermove', handlePointerMove);
+            window.removeEventListener('pointerup', handlePointerUp);
+            window.removeEventListener('pointercancel', handlePointerUp);
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+            handlers = null;
+        }
+    };
+}
@@ -0,0 +1,101 @@
+// ============================================
+// ENVIRONMENT MODULE
+// ============================================
+// The air the ball flies through. Altitude, temperature, humidity and
+// pressure give the air density, and drag and Magnus lift in simulation.js
+// scale with it: thin air (high courses, hot days) carries the ball further
+// and lets it curve less. No DOM - ui.js edits the settings.
+//
+// SETTINGS (config.js):
+//   environmentPreset  Preset id below, 'custom' once a value is changed
+//   altitude           m above sea level
+//   temperature        °C
+//   humidity           % relative humidity (damp air is lighter than dry air)
+//   pressure           hPa at sea level, as in weather reports; the pressure
+//                      at the course follows from the altitude
+
+// ============================================
+// PRESETS
+// ============================================
+export const ENVIRONMENT_PRESETS = {
+    'sea-level': { name: 'Sea level (standard air)', altitude: 0, temperature: 15, humidity: 0, pressure: 1013.25 },
+    'hot-humid': { name: 'Hot and humid', altitude: 0, temperature: 32, humidity: 80, pressure: 1010 },
+    'cold': { name: 'Cold morning', altitude: 0, temperature: 3, humidity: 70, pressure: 1025 },
+    'denver': { name: 'Denver (1,609m)', altitude: 1609, temperature: 20, humidity: 30, pressure: 1013.25 },
+    'mexico-city': { name: 'Mexico City (2,240m)', altitude: 2240, temperature: 18, humidity: 50, pressure: 1013.25 }
+};
+
+export const DEFAULT_ENVIRONMENT_ID = 'sea-level';
+
+// Copy a preset's values into the settings
+export function applyEnvironmentPreset(settings, id) {
+    const preset = ENVIRONMENT_PRESETS[id];
+    if (!preset) return;
+    settings.environmentPreset = id;
+    settings.altitude = preset.altitude;
+    settings.temperature = preset.temperature;
+    settings.humidity = preset.humidity;
+    settings.pressure = preset.pressure;
+}
+
+// Preset the values belong to, or 'custom'
+export function matchEnvironmentPreset(environment) {
+    const id = Object.keys(ENVIRONMENT_PRESETS).find(key => {
+        const preset = ENVIRONMENT_PRESETS[key];
+        return preset.altitude === environment.altitude &&
+            preset.temperature === environment.temperature &&
+            preset.humidity === environment.humidity &&
+            preset.pressure === environment.pressure;
+    });
+    return id || 'custom';
+}
+
+// ============================================
+// AIR DENSITY
+// ============================================
+const DRY_AIR_CONSTANT = 287.058;       // J/(kg·K)
+const WATER_VAPOUR_CONSTANT = 461.495;  // J/(kg·K)
+
+// The four values from settings; older settings without them get standard air
+export function getEnvironment(settings) {
+    const standard = ENVIRONMENT_PRESETS[DEFAULT_ENVIRONMENT_ID];
+    return {
+        altitude: settings.altitude ?? standard.altitude,
+        temperature: settings.temperature ?? standard.temperature,
+        humidity: settings.humidity ?? standard.humidity,
+        pressure: settings.pressure ?? standard.pressure
+    };
+}
+
+// Pressure at the course (hPa): sea-level pressure through the standard
+// atmosphere's fall-off with height
+export function getStationPressure(environment) {
+    return environment.pressure * Math.pow(1 - 2.25577e-5 * environment.altitude, 5.25588);
+}
+
+// Saturation vapour pressure of water (hPa, Magnus-Tetens formula)
+function getSaturationPressure(temperature) {
+    return 6.1078 * Math.pow(10, 7.5 * temperature / (temperature + 237.3));
+}
+
+// Air density (kg/m³): dry air and water vapour as ideal gases
+export function getAirDensity(environment) {
+    const kelvin = environment.temperature + 273.15;
+    const pressure = getStationPressure(environment) * 100;     // hPa → Pa
+    const vapour = environment.humidity / 100 * getSaturationPressure(environment.temperature) * 100;
+    return (pressure - vapour) / (DRY_AIR_CONSTANT * kelvin) + vapour / (WATER_VAPOUR_CONSTANT * kelvin);
+}
+
+// Standard sea-level air (≈1.225 kg/m³) - the air the game was tuned in
+export const STANDARD_AIR_DENSITY = getAirDensity(ENVIRONMENT_PRESETS[DEFAULT_ENVIRONMENT_ID]);
+
+// Density of the air in settings relative to standard air (1 = sea level)
+export function getAirDensityRatio(settings) {
+    return getAirDensity(getEnvironment(settings)) / STANDARD_AIR_DENSITY;
+}
+
+// One line for status and results ("1,609m, 20°C, 30% - air 84% of sea level")
+export function describeEnvironment(environment) {
+    const ratio = getAirDensity(environment) / STANDARD_AIR_DENSITY;
+    return `${environment.altitude.toLocaleString('en-US')}m, ${environment.temperature}°C, ${environment.humidity}% - air ${(ratio * 100).toFixed(0)}% of sea level`;
+}
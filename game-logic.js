@@ -4,11 +4,17 @@
 // Core game mechanics: state management, swing detection, hit detection, ball launching
 
 import { GameState } from './config.js';
-import { addDebugMessage, debugLog } from './utils.js';
-import { clubTipTracking, resetTracking } from './tracking.js';
+import { addDebugMessage, debugLog, createId } from './utils.js';
+import { clubTipTracking, resetTracking, getClubDelivery, describeClubDelivery } from './tracking.js';
 import { imuData, resetSensorDebugFlags } from './sensors.js';
 import { ballFlight, resetBallFlight } from './physics.js';
 import { playHitSound, playAlarmSound } from './audio.js';
+import { saveSwing } from './storage.js';
+import { createRangeTerrain, getSurfaceAt } from './terrain.js';
+import { getShotObstacleShapes } from './simulation.js';
+import { isHitDetected, calculateImpactVelocity, computeLaunchConditions, isPutting } from './impact.js';
+import { courseState, getCurrentCourseHole, recordHoleScore, recordHoleProgress, getHoleInProgress, startNewRound, describeScore, getScoreSummary } from './course.js';
+import { playerState, leaderboardView, isMultiplayer, getCurrentPlayer, startNewGame, getRoundTarget, setRoundTarget } from './players.js';
 
 // ============================================
 // GAME STATE
@@ -36,14 +42,26 @@ export const targetState = {
     active: false                     // Whether target is placed
 };
 
+// Surface zones the ball lands on (see terrain.js)
+export const terrainState = {
+    terrain: createRangeTerrain(targetState.position)
+};
+
 // Generate target position based on settings
 export function generateTarget(settings) {
-    if (settings.targetMode === 'random') {
+    // Closest to the pin: the rest of the round plays to the same target
+    const roundTarget = isMultiplayer(settings) ? getRoundTarget() : null;
+    if (settings.targetMode === 'random' && roundTarget) {
+        targetState.position = { ...roundTarget };
+    } else if (settings.targetMode === 'random') {
         // Random position within fairway bounds
         // Fairway: x in [-5, 5], z in [20, 80] (avoid too close/far)
         targetState.position.x = (Math.random() * 10) - 5;  // -5 to 5 meters
         targetState.position.z = 20 + (Math.random() * 60); // 20 to 80 meters
         targetState.position.y = 0; // Ground level
+        if (isMultiplayer(settings)) {
+            setRoundTarget(targetState.position);
+        }
     } else {
         // Fixed distance mode
         targetState.position.x = 0; // Center of fairway
@@ -51,9 +69,235 @@ export function generateTarget(settings) {
         targetState.position.y = 0;
     }
     targetState.active = true;
+
+    // Green and bunkers are laid out around the target (and a practice
+    // green at the tee when putting)
+    terrainState.terrain = createRangeTerrain(targetState.position, isPutting(settings));
+
     addDebugMessage(`🎯 Target: ${targetState.position.z.toFixed(0)}m away, ${targetState.position.x.toFixed(1)}m ${targetState.position.x > 0 ? 'right' : 'left'}`);
 }
 
+// ============================================
+// WIND STATE
+// ============================================
+// Wind for the current target (format in simulation.js getWindVelocity)
+export const windState = {
+    speed: 0,           // m/s
+    direction: 0,       // degrees the wind blows towards (0 = tailwind, 90 = left-to-right)
+    gustiness: 0,       // 0-1 (share of speed the gusts add/remove)
+    gustPhase: 0,       // radians (where in the gust pattern the shot starts)
+    active: false       // Whether wind is blowing
+};
+
+// Generate wind conditions based on settings (new wind with every target)
+export function generateWind(settings) {
+    if (settings.windMode === 'random') {
+        // Random speed up to the Wind Speed setting, from any direction
+        windState.speed = Math.random() * settings.windSpeed;
+        windState.direction = Math.random() * 360;
+    } else if (settings.windMode === 'fixed') {
+        windState.speed = settings.windSpeed;
+        windState.direction = settings.windDirection;
+    } else {
+        windState.speed = 0;
+        windState.direction = 0;
+    }
+    windState.gustiness = settings.windGustiness / 100;
+    windState.gustPhase = Math.random() * Math.PI * 2;
+    windState.active = windState.speed > 0;
+
+    if (windState.active) {
+        addDebugMessage(`💨 Wind: ${windState.speed.toFixed(1)} m/s towards ${windState.direction.toFixed(0)}°, gusts ${settings.windGustiness}%`);
+    }
+}
+
+// Wind snapshot for a shot (null when calm)
+export function getShotWind() {
+    if (!windState.active) return null;
+    return {
+        speed: windState.speed,
+        direction: windState.direction,
+        gustiness: windState.gustiness,
+        gustPhase: windState.gustPhase
+    };
+}
+
+// ============================================
+// SHOT FRAME & HOLE STATE
+// ============================================
+// Where the next shot is played from (see simulation.js SHOT FRAME). On the
+// range every shot starts at the origin aiming down +Z; in hole and course
+// mode the ball is played from where the last shot stopped, aimed at the pin.
+export const shotFrame = {
+    origin: { x: 0, z: 0 },     // Ball position (world)
+    heading: 0                  // Aim direction (radians, 0 = straight down the range)
+};
+
+export const holeState = {
+    active: false,              // A hole is being played (hole or course mode)
+    length: 0,                  // Tee to pin (m)
+    number: null,               // Hole number on the course (null in hole mode)
+    par: null,                  // Par (course mode)
+    roundId: null,              // Scorecard round the hole belongs to (course mode)
+    strokes: 0,                 // Shots played + penalty strokes
+    holed: false,
+    ballPosition: { x: 0, z: 0 },   // Where the ball lies (world)
+    cup: { x: 0, z: 0, radius: 0 }  // Cup at the pin (world)
+};
+
+// hole: { tee, pin, terrain, length, number, par } (course.js hole format)
+function startHole(hole, settings, roundId = null) {
+    holeState.active = true;
+    holeState.length = hole.length;
+    holeState.number = hole.number;
+    holeState.par = hole.par;
+    holeState.roundId = roundId;
+    holeState.strokes = 0;
+    holeState.holed = false;
+    holeState.ballPosition = { ...hole.tee };
+    holeState.cup = { x: hole.pin.x, z: hole.pin.z, radius: settings.cupRadius };
+
+    // Pin is the target for every shot of the hole
+    targetState.position = { x: hole.pin.x, y: 0, z: hole.pin.z };
+    targetState.active = true;
+    terrainState.terrain = hole.terrain;
+
+    // Wind stays the same for the whole hole
+    generateWind(settings);
+
+    addDebugMessage(hole.number
+        ? `⛳ Hole ${hole.number}: par ${hole.par}, ${hole.length.toFixed(0)}m`
+        : `⛳ New hole: ${hole.length.toFixed(0)}m`);
+}
+
+// Continue a course hole saved part way through (after a reload)
+function resumeHole(progress) {
+    if (!progress) return;
+    holeState.strokes = progress.strokes;
+    holeState.ballPosition = { ...progress.ballPosition };
+    addDebugMessage(`⛳ Resumed hole ${progress.number}: ${progress.strokes} strokes played`);
+}
+
+// Single practice hole straight down the range (hole mode)
+function createPracticeHole(settings) {
+    const pin = { x: 0, z: settings.holeLength };
+    return {
+        tee: { x: 0, z: 0 },
+        pin: pin,
+        terrain: createRangeTerrain(pin),
+        length: settings.holeLength,
+        number: null,
+        par: null
+    };
+}
+
+// Aim the next shot from the ball's lie at the pin
+function aimAtPin() {
+    const dx = holeState.cup.x - holeState.ballPosition.x;
+    const dz = holeState.cup.z - holeState.ballPosition.z;
+    shotFrame.origin = { ...holeState.ballPosition };
+    shotFrame.heading = Math.atan2(dx, dz);
+}
+
+// Set up target, wind and shot frame for the next shot
+export function prepareShot(settings) {
+    if (settings.gameMode === 'course' && courseState.course) {
+        // Finished round: teeing up again starts a new one
+        if (courseState.scorecard.complete) {
+            startNewRound();
+        }
+        const scorecard = courseState.scorecard;
+        if (!holeState.active || holeState.holed || holeState.roundId !== scorecard.roundId ||
+            holeState.number !== scorecard.currentHole + 1) {
+            startHole(getCurrentCourseHole(), settings, scorecard.roundId);
+            resumeHole(getHoleInProgress());
+        }
+        holeState.cup.radius = settings.cupRadius;
+        aimAtPin();
+        return;
+    }
+
+    // Hole mode (also course mode while the course is still loading)
+    if (settings.gameMode === 'hole' || settings.gameMode === 'course') {
+        if (!holeState.active || holeState.holed || holeState.roundId !== null ||
+            holeState.length !== settings.holeLength) {
+            startHole(createPracticeHole(settings), settings);
+        }
+        holeState.cup.radius = settings.cupRadius;
+        aimAtPin();
+        return;
+    }
+
+    // Range: every shot from the origin, new target and wind each time
+    // (a finished pass-and-play game starts again on the next tee up)
+    if (isMultiplayer(settings) && playerState.game.complete) {
+        startNewGame();
+        leaderboardView.active = false;
+    }
+    holeState.active = false;
+    shotFrame.origin = { x: 0, z: 0 };
+    shotFrame.heading = 0;
+    generateTarget(settings);
+    generateWind(settings);
+}
+
+// Ball lies on the green (hole and course mode) - time for the putter
+export function isOnGreen() {
+    return holeState.active && !holeState.holed &&
+        getSurfaceAt(terrainState.terrain, holeState.ballPosition.x, holeState.ballPosition.z) === 'green';
+}
+
+// Cup the ball can drop into (null on the range)
+export function getShotCup() {
+    return holeState.active ? { ...holeState.cup } : null;
+}
+
+// Count the shot once the ball has stopped and move the ball to its new lie.
+// rest is the ball's world position. Water and out of bounds are played
+// again from the same spot (stroke and distance). On a course the score goes
+// on the scorecard once the ball is holed. Returns null on the range.
+export function finishHoleShot(rest, holed, penalty) {
+    if (!holeState.active) return null;
+
+    holeState.strokes += 1 + penalty;
+    if (holed) {
+        holeState.holed = true;
+        holeState.ballPosition = { x: holeState.cup.x, z: holeState.cup.z };
+    } else if (penalty === 0) {
+        holeState.ballPosition = { x: rest.x, z: rest.z };
+    }
+
+    const distanceToPin = Math.sqrt(
+        (holeState.cup.x - holeState.ballPosition.x) ** 2 +
+        (holeState.cup.z - holeState.ballPosition.z) ** 2
+    );
+    addDebugMessage(`⛳ Hole: ${holeState.strokes} strokes, ${distanceToPin.toFixed(1)}m to pin${holed ? ' - HOLED!' : ''}`);
+
+    const result = {
+        strokes: holeState.strokes,
+        holed: holeState.holed,
+        distanceToPin: distanceToPin,
+        number: holeState.number,
+        par: holeState.par
+    };
+
+    // Course round: score the hole and report the round so far
+    if (holeState.roundId !== null && holeState.roundId === courseState.scorecard?.roundId) {
+        if (holed) {
+            recordHoleScore(holeState.number, holeState.strokes);
+            result.scoreName = describeScore(holeState.strokes, holeState.par);
+        } else {
+            recordHoleProgress(holeState.number, holeState.strokes, holeState.ballPosition);
+        }
+        const summary = getScoreSummary(courseState.scorecard);
+        result.roundToPar = summary.toPar;
+        result.roundStrokes = summary.strokes;
+        result.roundComplete = courseState.scorecard.complete;
+    }
+
+    return result;
+}
+
 // ============================================
 // BALL POSITION & SWING DATA
 // ============================================
@@ -68,7 +312,8 @@ export const swingData = {
     startTime: 0,
     hitDetected: false,
     hitTime: 0,
-    impactVelocity: { x: 0, y: 0, z: 0 }
+    impactVelocity: { x: 0, y: 0, z: 0 },
+    delivery: null      // Face, path and attack angle at impact (tracking.js)
 };
 
 // ============================================
@@ -87,6 +332,8 @@ export const swingRecorder = {
     isRecording: false,
     recordedSwings: [],
     currentRecording: null,
+    pendingSwing: null,      // Saved swing waiting for its landing distance
+    selectedSwingId: null,   // Swing chosen in the library for replay (null = most recent)
     replayMode: false,
     replayIndex: 0,
     replayProgress: 0,
@@ -103,7 +350,12 @@ export const lastShot = {
     impactSpeed: 0,
     timestamp: null,
     velocity: null,
-    spin: null
+    spin: null,
+    delivery: null, // { faceAngle, path, attackAngle } in degrees, null if not measured
+    club: null,     // Club id from the bag (clubs.js)
+    player: null,   // Player who took the shot (pass-and-play), null when playing alone
+    putt: null,     // Distance control of a putt (see physics.js), null for full swings
+    swingAnalysis: null // Swing phases and tempo (swing-analysis.js), null if the backswing wasn't tracked
 };
 
 // ============================================
@@ -125,6 +377,9 @@ export function setBallPosition(settings, updateStatus, setBallBtn) {
         z: clubTipTracking.tipPosition.z + clubTipTracking.offset.z
     };
 
+    // The face is square to the target at address
+    clubTipTracking.addressQuaternion = { ...clubTipTracking.quaternion };
+
     // Clear history
     clubTipTracking.history = [];
     clubTipTracking.lastUpdateTime = Date.now();
@@ -138,12 +393,23 @@ export function setBallPosition(settings, updateStatus, setBallBtn) {
 
     currentState = GameState.BALL_SET_READY_TO_SWING;
     setBallBtn.disabled = true;
-    updateStatus('✓ Ball Set! Swing now!');
+    const player = isMultiplayer(settings) ? `${getCurrentPlayer().name}: ` : '';
+    updateStatus(`✓ Ball Set! ${player}${isPutting(settings) ? 'Putt' : 'Swing'} now!`);
 
     // Start swing recording if enabled
     if (swingRecorder.isRecording) {
         swingRecorder.currentRecording = {
+            id: createId('swing'),
+            name: `Swing ${new Date().toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`,
+            tags: [],
             tipPath: [],
+            imuSamples: [],
+            // Tracker state at tee-up, the starting point for reprocessing imuSamples
+            trackingStart: {
+                quaternion: { ...clubTipTracking.quaternion },
+                offset: { ...clubTipTracking.offset },
+                lastUpdateTime: clubTipTracking.lastUpdateTime
+            },
             startTime: Date.now(),
             ballPosition: { ...ballPosition },
             settings: { ...settings }
@@ -155,8 +421,8 @@ export function setBallPosition(settings, updateStatus, setBallBtn) {
     addDebugMessage(`⚪ Ball set! Tip at [${clubTipTracking.tipPosition.x.toFixed(3)}, ${clubTipTracking.tipPosition.y.toFixed(3)}, ${clubTipTracking.tipPosition.z.toFixed(3)}]`);
     addDebugMessage(`Offset: [${clubTipTracking.offset.x.toFixed(3)}, ${clubTipTracking.offset.y.toFixed(3)}, ${clubTipTracking.offset.z.toFixed(3)}]`);
 
-    // Generate target
-    generateTarget(settings);
+    // Target, wind and where the ball is played from
+    prepareShot(settings);
 
     // Start monitoring for swing motion
     startSwingDetection();
@@ -176,12 +442,21 @@ function startSwingDetection() {
 
 export function recordSwingMotion() {
     // Store IMU data snapshot
-    swingData.recordedMotion.push({
+    // receivedAt is the clock tracking.js integrates with (needed to re-run a recording)
+    const sample = {
         acceleration: { ...imuData.acceleration },
         rotationRate: { ...imuData.rotationRate },
         orientation: { ...imuData.orientation },
-        timestamp: imuData.timestamp
-    });
+        timestamp: imuData.timestamp,
+        receivedAt: Date.now()
+    };
+    swingData.recordedMotion.push(sample);
+
+    // Keep the full raw stream with the recording so the swing can be
+    // reprocessed later (filter fixes, different settings)
+    if (swingRecorder.isRecording && swingRecorder.currentRecording) {
+        swingRecorder.currentRecording.imuSamples.push(sample);
+    }
 
     // Keep only last 2 seconds to limit memory usage
     const twoSecondsAgo = Date.now() - 2000;
@@ -235,35 +510,8 @@ function handleSwingTimeout() {
 function detectBallHit() {
     if (swingData.hitDetected || !currentSettings) return;
 
-    // Calculate club tip distance from ball (at origin 0,0,0)
-    const tipDistance = Math.sqrt(
-        clubTipTracking.tipPosition.x ** 2 +
-        clubTipTracking.tipPosition.y ** 2 +
-        clubTipTracking.tipPosition.z ** 2
-    );
-
-    const hitThreshold = currentSettings.hitZoneDiameter / 200; // cm diameter → m radius
-
-    // Total acceleration magnitude (proxy for swing speed)
-    const totalAcceleration = Math.sqrt(
-        imuData.acceleration.x ** 2 +
-        imuData.acceleration.y ** 2 +
-        imuData.acceleration.z ** 2
-    );
-
-    // HIT CONDITIONS:
-    // 1. Club tip within hit zone
-    // 2. Moving fast enough
-    // 3. Has completed a backswing (moved away ≥15cm)
-    if (tipDistance < hitThreshold && totalAcceleration > currentSettings.minSwingSpeed) {
-        const recentHistory = clubTipTracking.history.slice(-20);
-        const maxDistance = Math.max(...recentHistory.map(h =>
-            Math.sqrt(h.position.x ** 2 + h.position.y ** 2 + h.position.z ** 2)
-        ));
-
-        if (maxDistance > 0.15) {
-            registerBallHit();
-        }
+    if (isHitDetected(clubTipTracking.tipPosition, imuData.acceleration, clubTipTracking.history, currentSettings)) {
+        registerBallHit();
     }
 }
 
@@ -274,7 +522,11 @@ function registerBallHit() {
     addDebugMessage(`💥 HIT REGISTERED!`);
 
     // Calculate velocity at impact
-    swingData.impactVelocity = calculateImpactVelocity();
+    swingData.impactVelocity = calculateImpactVelocity(clubTipTracking.history, imuData.acceleration, currentSettings);
+    swingData.delivery = getClubDelivery(clubTipTracking);
+    if (swingData.delivery) {
+        addDebugMessage(`🏌️ ${describeClubDelivery(swingData.delivery)}`);
+    }
 
     // Store impact speed for results
     lastShot.impactSpeed = Math.sqrt(
@@ -290,8 +542,15 @@ function registerBallHit() {
     if (swingRecorder.isRecording && swingRecorder.currentRecording) {
         swingRecorder.currentRecording.endTime = Date.now();
         swingRecorder.currentRecording.impactVelocity = { ...swingData.impactVelocity };
+        swingRecorder.currentRecording.delivery = swingData.delivery ? { ...swingData.delivery } : null;
         swingRecorder.currentRecording.distance = 0; // Will be updated when ball lands
+        swingRecorder.currentRecording.wind = getShotWind();
+        swingRecorder.currentRecording.terrain = terrainState.terrain;
+        swingRecorder.currentRecording.shotFrame = { origin: { ...shotFrame.origin }, heading: shotFrame.heading };
+        swingRecorder.currentRecording.cup = getShotCup();
         swingRecorder.recordedSwings.push(swingRecorder.currentRecording);
+        swingRecorder.pendingSwing = swingRecorder.currentRecording;
+        saveSwing(swingRecorder.currentRecording);
         addDebugMessage(`🎥 Swing saved! Total: ${swingRecorder.recordedSwings.length}`);
         currentUICallbacks.replayBtn.disabled = false; // Enable replay button
         swingRecorder.currentRecording = null;
@@ -301,146 +560,65 @@ function registerBallHit() {
     currentUICallbacks.updateStatus('🏌️ HIT! Ball is flying...');
 
     // Start ball flight simulation
-    launchBall(swingData.impactVelocity);
-}
-
-// ============================================
-// IMPACT VELOCITY CALCULATION
-// ============================================
-// Calculates ball launch velocity from club tip movement at impact.
-//
-// METHOD:
-//   1. Use position history to compute velocity (Δposition / Δtime)
-//   2. Apply loft angle transformation (converts downward swing to upward launch)
-//   3. Scale by club/ball properties
-//   4. Negate X to compensate for sensor inversions
-//
-// TRANSFORMATIONS APPLIED:
-//   - Loft angle: Converts downswing into upward trajectory
-//   - Club weight: Heavier club = more momentum transfer
-//   - Impact power: Game balance multiplier
-
-function calculateImpactVelocity() {
-    const history = clubTipTracking.history;
-
-    // Need at least 5 samples for stable velocity estimate
-    if (history.length < 5) {
-        const fallback = {
-            x: imuData.acceleration.x * 5,
-            y: imuData.acceleration.y * 5,
-            z: imuData.acceleration.z * 5
-        };
-        addDebugMessage(`⚠️ Low history, using acceleration fallback`);
-        return fallback;
-    }
-
-    // Use last 5 samples for smoother estimate
-    const current = history[history.length - 1];
-    const previous = history[history.length - 5];
-    const dt = (current.timestamp - previous.timestamp) / 1000;
-
-    if (dt === 0) {
-        addDebugMessage(`⚠️ Zero time delta`);
-        return { x: 0, y: 0, z: 0 };
-    }
-
-    // Calculate velocity: v = Δposition / Δtime
-    const deltaX = current.position.x - previous.position.x;
-    const deltaY = current.position.y - previous.position.y;
-    const deltaZ = current.position.z - previous.position.z;
-
-    let vx = deltaX / dt;
-    let vy = deltaY / dt;
-    let vz = deltaZ / dt;
-
-    // LOFT ANGLE TRANSFORMATION
-    // Converts downward club motion into upward ball launch
-    // Only apply if swinging downward (vy < 0), otherwise keep as-is
-    const loftRadians = currentSettings.loftAngle * Math.PI / 180;
-    const horizontalSpeed = Math.sqrt(vx * vx + vz * vz);
-
-    let vyLofted;
-    if (vy < 0) {
-        // Transform downswing into upward launch using loft angle
-        vyLofted = horizontalSpeed * Math.sin(loftRadians) + Math.abs(vy) * Math.cos(loftRadians);
-        addDebugMessage(`Loft: ${vy.toFixed(1)} → ${vyLofted.toFixed(1)} m/s (${currentSettings.loftAngle}°)`);
-    } else {
-        vyLofted = vy;
-    }
-
-    // SCALING FACTORS
-    // Club weight: Heavier clubs transfer more energy
-    // Impact power: Game balance multiplier for playability
-    const weightFactor = currentSettings.clubWeight / 200;
-    const totalScale = weightFactor * currentSettings.impactPower;
-
-    // ENSURE FORWARD FLIGHT
-    // Ball must always fly away from player (positive Z)
-    let finalVz = Math.abs(vz * totalScale);
-
-    // IMPORTANT: Negate X velocity to compensate for inverted sensor inputs
-    // We inverted alpha/gamma/accel-x in tracking.js for correct visual feedback
-    // This caused club tip X positions to be inverted, so we negate here for correct ball flight
-    const result = {
-        x: -vx * totalScale,  // NEGATED: compensates for sensor axis inversions
-        y: vyLofted * totalScale,
-        z: finalVz
-    };
-
-    const totalVel = Math.sqrt(result.x ** 2 + result.y ** 2 + result.z ** 2);
-    addDebugMessage(`💥 Impact: ${totalVel.toFixed(1)} m/s [x:${result.x.toFixed(1)}, y:${result.y.toFixed(1)}, z:${result.z.toFixed(1)}]`);
-
-    return result;
+    launchBall(swingData.impactVelocity, swingData.delivery);
 }
 
 // ============================================
 // LAUNCH BALL
 // ============================================
 // Initializes ball flight with calculated velocity and spin
-function launchBall(initialVelocity) {
-    // Ball weight affects velocity (lighter balls fly faster)
-    const ballWeightFactor = 45.9 / currentSettings.ballWeight;
-    let vx = initialVelocity.x * ballWeightFactor;
-    let vy = initialVelocity.y * ballWeightFactor;
-    let vz = initialVelocity.z * ballWeightFactor;
-
-    // SPIN CALCULATION
-    // Sidespin from horizontal velocity → slice/hook
-    // Backspin from vertical velocity → lift
-    const ballRadius = (currentSettings.ballDiameter / 100) / 2;
-
-    if (ballRadius > 0 && isFinite(vx) && isFinite(vy) && isFinite(vz)) {
-        const sidespinRate = -(vx / ballRadius) * 0.02;
-        const backspinRate = (vy / ballRadius) * 0.05;
-
-        ballFlight.spin = {
-            x: isFinite(backspinRate) ? backspinRate : 0,
-            y: isFinite(sidespinRate) ? sidespinRate : 0,
-            z: 0
-        };
-        ballFlight.initialSpin = { ...ballFlight.spin };
-
-        const spinType = Math.abs(ballFlight.spin.y) > 2
-            ? (ballFlight.spin.y > 0 ? 'SLICE' : 'HOOK')
-            : 'STRAIGHT';
-        addDebugMessage(`🌀 Spin: ${spinType} (${ballFlight.spin.y.toFixed(1)} rad/s)`);
-    } else {
-        ballFlight.spin = { x: 0, y: 0, z: 0 };
-        ballFlight.initialSpin = { x: 0, y: 0, z: 0 };
-    }
+function launchBall(initialVelocity, delivery) {
+    const launch = computeLaunchConditions(initialVelocity, currentSettings, delivery);
+    const { x: vx, y: vy, z: vz } = launch.velocity;
+
+    ballFlight.spin = { ...launch.spin };
+    ballFlight.initialSpin = { ...launch.spin };
+    ballFlight.wind = getShotWind();
+    ballFlight.terrain = terrainState.terrain;
+    ballFlight.frame = { origin: { ...shotFrame.origin }, heading: shotFrame.heading };
+    ballFlight.obstacleShapes = getShotObstacleShapes(ballFlight.terrain, ballFlight.frame);
+    ballFlight.cup = getShotCup();
+    ballFlight.holed = false;
+
+    const spinType = Math.abs(ballFlight.spin.y) > 2
+        ? (ballFlight.spin.y > 0 ? 'SLICE' : 'HOOK')
+        : 'STRAIGHT';
+    addDebugMessage(`🌀 Spin: ${spinType} (${ballFlight.spin.y.toFixed(1)} rad/s)`);
 
     // Initialize flight state
     ballFlight.position = { x: 0, y: 0, z: 0 };
     ballFlight.velocity = { x: vx, y: vy, z: vz };
     ballFlight.flying = true;
+    ballFlight.phase = launch.rolling ? 'roll' : 'air';
+    ballFlight.rolling = launch.rolling;
+    ballFlight.bounces = 0;
     ballFlight.startTime = Date.now();
     ballFlight.lastUpdateTime = Date.now();
+    ballFlight.accumulator = 0;
+    ballFlight.flightTime = 0;
+    ballFlight.surface = null;
+    ballFlight.landingSurface = null;
+    ballFlight.obstacle = null;
+    ballFlight.landingDistance = 0;
+    ballFlight.landingPosition = null;
+    ballFlight.landingIndex = -1;
+    ballFlight.totalDistance = 0;
+
+    // Putts "land" where they start
+    if (launch.rolling) {
+        ballFlight.landingPosition = { x: 0, z: 0 };
+        ballFlight.landingIndex = 0;
+        ballFlight.landingSurface = getSurfaceAt(ballFlight.terrain, shotFrame.origin.x, shotFrame.origin.z);
+    }
     ballFlight.maxHeight = 0;
     ballFlight.trajectory = [{ x: 0, y: 0, z: 0 }];
 
     // Store for results display
     lastShot.velocity = { x: vx, y: vy, z: vz };
     lastShot.spin = { ...ballFlight.spin };
+    lastShot.delivery = delivery ? { ...delivery } : null;
+    lastShot.club = currentSettings.clubId;
+    lastShot.player = isMultiplayer(currentSettings) ? getCurrentPlayer().name : null;
     lastShot.timestamp = Date.now();
 
     const totalVel = Math.sqrt(vx ** 2 + vy ** 2 + vz ** 2);
@@ -456,6 +634,7 @@ export function resetGame(imuPermissionGranted, updateStatus, setBallBtn) {
     swingData.hitDetected = false;
     swingTimer.expired = false;
     swingTimer.timeRemaining = 0;
+    swingRecorder.pendingSwing = null;
 
     resetSensorDebugFlags();
     resetTracking();
@@ -467,10 +646,18 @@ export function resetGame(imuPermissionGranted, updateStatus, setBallBtn) {
     currentState = GameState.READY_TO_SET_BALL;
     setBallBtn.disabled = false;
 
-    updateStatus(imuPermissionGranted ?
-        '🔄 Ready for another shot! Tap "Tee Up"' :
-        '🔄 Reset! Tap "Tee Up" to begin'
-    );
+    if (holeState.active && !holeState.holed) {
+        const hole = holeState.number ? `Hole ${holeState.number}, ` : '';
+        const putter = isOnGreen() && !isPutting(currentSettings) ? ' | On the green - pick the putter' : '';
+        updateStatus(`🔄 ${hole}ready for stroke ${holeState.strokes + 1}! Tap "Tee Up"${putter}`);
+    } else if (isMultiplayer(currentSettings)) {
+        updateStatus(`🔄 ${getCurrentPlayer().name}'s turn! Tap "Tee Up"`);
+    } else {
+        updateStatus(imuPermissionGranted ?
+            '🔄 Ready for another shot! Tap "Tee Up"' :
+            '🔄 Reset! Tap "Tee Up" to begin'
+        );
+    }
 }
 
 // ============================================
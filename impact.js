@@ -0,0 +1,267 @@
+// ============================================
+// IMPACT MODULE
+// ============================================
+// Pure swing → ball functions: hit detection, impact velocity and launch
+// conditions. No DOM and no game state - live play (game-logic.js) passes
+// the live tracker, re-simulation (resimulate.js) a tracker of its own.
+
+import { addDebugMessage } from './utils.js';
+
+// ============================================
+// HIT DETECTION
+// ============================================
+// Pure hit test, shared by live play and re-simulation of recordings
+export function isHitDetected(tipPosition, acceleration, history, settings) {
+    if (isPutting(settings)) {
+        return isPuttDetected(tipPosition, history, settings);
+    }
+
+    // Calculate club tip distance from ball (at origin 0,0,0)
+    const tipDistance = Math.sqrt(
+        tipPosition.x ** 2 +
+        tipPosition.y ** 2 +
+        tipPosition.z ** 2
+    );
+
+    const hitThreshold = settings.hitZoneDiameter / 200; // cm diameter → m radius
+
+    // Total acceleration magnitude (proxy for swing speed)
+    const totalAcceleration = Math.sqrt(
+        acceleration.x ** 2 +
+        acceleration.y ** 2 +
+        acceleration.z ** 2
+    );
+
+    // HIT CONDITIONS:
+    // 1. Club tip within hit zone
+    // 2. Moving fast enough
+    // 3. Has completed a backswing (moved away ≥15cm)
+    if (tipDistance < hitThreshold && totalAcceleration > settings.minSwingSpeed) {
+        const recentHistory = history.slice(-20);
+        const maxDistance = Math.max(...recentHistory.map(h =>
+            Math.sqrt(h.position.x ** 2 + h.position.y ** 2 + h.position.z ** 2)
+        ));
+
+        return maxDistance > 0.15;
+    }
+    return false;
+}
+
+// ============================================
+// PUTTING
+// ============================================
+// With the putter the stroke is short and slow: no acceleration threshold
+// and only a few centimeters of backswing. The ball is struck without loft
+// and rolls from the start (see computeLaunchConditions).
+const PUTT_MIN_SPEED = 0.3;         // m/s - club tip speed through the ball
+const PUTT_MIN_BACKSWING = 0.04;    // m
+const PUTT_SPEED_SAMPLES = 5;       // History samples for the tip speed
+
+export function isPutting(settings) {
+    return settings.clubId === 'putter';
+}
+
+const getTipDistance = position => Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+
+// Horizontal club tip velocity over the last few history samples (null if too few)
+function getTipVelocity(history) {
+    if (history.length < PUTT_SPEED_SAMPLES) return null;
+    const current = history[history.length - 1];
+    const previous = history[history.length - PUTT_SPEED_SAMPLES];
+    const dt = (current.timestamp - previous.timestamp) / 1000;
+    if (dt <= 0) return null;
+    return {
+        x: (current.position.x - previous.position.x) / dt,
+        z: (current.position.z - previous.position.z) / dt
+    };
+}
+
+// A putt is the forward stroke back through the ball: the putter moves
+// toward the target (+Z) and closes in on the ball after the backswing.
+// The takeaway passes through the hit zone too, but moving away from it.
+export function isPuttDetected(tipPosition, history, settings) {
+    if (getTipDistance(tipPosition) >= settings.hitZoneDiameter / 200) return false;
+
+    const velocity = getTipVelocity(history);
+    if (!velocity || velocity.z <= 0 || Math.sqrt(velocity.x ** 2 + velocity.z ** 2) < PUTT_MIN_SPEED) return false;
+
+    // Past the backswing peak: the tip is nearer the ball than a few samples ago
+    const backswing = Math.max(...history.slice(-40).map(h => getTipDistance(h.position)));
+    const closingIn = getTipDistance(history[history.length - 1].position) <
+        getTipDistance(history[history.length - PUTT_SPEED_SAMPLES].position);
+    return backswing > PUTT_MIN_BACKSWING && closingIn;
+}
+
+// Putter face velocity: the horizontal stroke only (no loft lift). A
+// stroke moving away from the target is no putt (see isPuttDetected).
+export function calculatePuttVelocity(history, settings) {
+    const velocity = getTipVelocity(history);
+    if (!velocity) {
+        addDebugMessage(`⚠️ Putt too short to measure`);
+        return { x: 0, y: 0, z: 0 };
+    }
+    if (velocity.z <= 0) {
+        addDebugMessage(`⚠️ Putter moving away from the target`);
+        return { x: 0, y: 0, z: 0 };
+    }
+
+    const totalScale = (settings.clubWeight / 200) * settings.impactPower;
+    const result = {
+        x: -velocity.x * totalScale,  // NEGATED: same sensor axis compensation as full swings
+        y: 0,
+        z: velocity.z * totalScale
+    };
+    addDebugMessage(`⛳ Putt: ${Math.sqrt(result.x ** 2 + result.z ** 2).toFixed(2)} m/s`);
+    return result;
+}
+
+// ============================================
+// IMPACT VELOCITY CALCULATION
+// ============================================
+// Calculates ball launch velocity from club tip movement at impact.
+//
+// METHOD:
+//   1. Use position history to compute velocity (Δposition / Δtime)
+//   2. Apply loft angle transformation (converts downward swing to upward launch)
+//   3. Scale by club/ball properties
+//   4. Negate X to compensate for sensor inversions
+//
+// TRANSFORMATIONS APPLIED:
+//   - Loft angle: Converts downswing into upward trajectory
+//   - Club weight: Heavier club = more momentum transfer
+//   - Impact power: Game balance multiplier
+//
+// Takes the tip history, current acceleration and settings explicitly so
+// recordings can be re-simulated with different settings.
+
+export function calculateImpactVelocity(history, acceleration, settings) {
+    if (isPutting(settings)) {
+        return calculatePuttVelocity(history, settings);
+    }
+
+    // Need at least 5 samples for stable velocity estimate
+    if (history.length < 5) {
+        const fallback = {
+            x: acceleration.x * 5,
+            y: acceleration.y * 5,
+            z: acceleration.z * 5
+        };
+        addDebugMessage(`⚠️ Low history, using acceleration fallback`);
+        return fallback;
+    }
+
+    // Use last 5 samples for smoother estimate
+    const current = history[history.length - 1];
+    const previous = history[history.length - 5];
+    const dt = (current.timestamp - previous.timestamp) / 1000;
+
+    if (dt === 0) {
+        addDebugMessage(`⚠️ Zero time delta`);
+        return { x: 0, y: 0, z: 0 };
+    }
+
+    // Calculate velocity: v = Δposition / Δtime
+    const deltaX = current.position.x - previous.position.x;
+    const deltaY = current.position.y - previous.position.y;
+    const deltaZ = current.position.z - previous.position.z;
+
+    let vx = deltaX / dt;
+    let vy = deltaY / dt;
+    let vz = deltaZ / dt;
+
+    // LOFT ANGLE TRANSFORMATION
+    // Converts downward club motion into upward ball launch
+    // Only apply if swinging downward (vy < 0), otherwise keep as-is
+    const loftRadians = settings.loftAngle * Math.PI / 180;
+    const horizontalSpeed = Math.sqrt(vx * vx + vz * vz);
+
+    let vyLofted;
+    if (vy < 0) {
+        // Transform downswing into upward launch using loft angle
+        vyLofted = horizontalSpeed * Math.sin(loftRadians) + Math.abs(vy) * Math.cos(loftRadians);
+        addDebugMessage(`Loft: ${vy.toFixed(1)} → ${vyLofted.toFixed(1)} m/s (${settings.loftAngle}°)`);
+    } else {
+        vyLofted = vy;
+    }
+
+    // SCALING FACTORS
+    // Club weight: Heavier clubs transfer more energy
+    // Impact power: Game balance multiplier for playability
+    const weightFactor = settings.clubWeight / 200;
+    const totalScale = weightFactor * settings.impactPower;
+
+    // ENSURE FORWARD FLIGHT
+    // Ball must always fly away from player (positive Z)
+    let finalVz = Math.abs(vz * totalScale);
+
+    // IMPORTANT: Negate X velocity to compensate for inverted sensor inputs
+    // We inverted alpha/gamma/accel-x in tracking.js for correct visual feedback
+    // This caused club tip X positions to be inverted, so we negate here for correct ball flight
+    const result = {
+        x: -vx * totalScale,  // NEGATED: compensates for sensor axis inversions
+        y: vyLofted * totalScale,
+        z: finalVz
+    };
+
+    const totalVel = Math.sqrt(result.x ** 2 + result.y ** 2 + result.z ** 2);
+    addDebugMessage(`💥 Impact: ${totalVel.toFixed(1)} m/s [x:${result.x.toFixed(1)}, y:${result.y.toFixed(1)}, z:${result.z.toFixed(1)}]`);
+
+    return result;
+}
+
+// ============================================
+// LAUNCH CONDITIONS
+// ============================================
+// Realistic-mode launch spin factors (fraction of rolling spin)
+const REALISTIC_BACKSPIN_FACTOR = 0.5;
+const REALISTIC_SIDESPIN_FACTOR = 0.2;
+
+// Converts impact velocity (and the club delivery, see getClubDelivery in
+// tracking.js) into launch velocity and spin.
+// Pure function, shared by live play and re-simulation.
+// rolling: true for putts (the ball starts on the ground, see simulateShot).
+export function computeLaunchConditions(initialVelocity, settings, delivery = null) {
+    // Ball weight affects velocity (lighter balls fly faster)
+    const ballWeightFactor = 45.9 / settings.ballWeight;
+    const vx = initialVelocity.x * ballWeightFactor;
+    const vy = initialVelocity.y * ballWeightFactor;
+    const vz = initialVelocity.z * ballWeightFactor;
+
+    // Putts: no air time and no spin
+    if (isPutting(settings)) {
+        return { velocity: { x: vx, y: 0, z: vz }, spin: { x: 0, y: 0, z: 0 }, rolling: true };
+    }
+
+    // SPIN CALCULATION
+    // Sidespin from face-to-path → slice/hook: a face open to the path
+    // slices (spin.y > 0), closed to it hooks. Without a measured delivery
+    // the sideways velocity stands in for it.
+    // Backspin from vertical velocity → lift
+    const ballRadius = (settings.ballDiameter / 100) / 2;
+    let spin = { x: 0, y: 0, z: 0 };
+
+    if (ballRadius > 0 && isFinite(vx) && isFinite(vy) && isFinite(vz)) {
+        const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+        const sideSpeed = delivery
+            ? speed * Math.sin((delivery.faceAngle - delivery.path) * Math.PI / 180)
+            : -vx;
+        let sidespinRate = (sideSpeed / ballRadius) * 0.02;
+        let backspinRate = (vy / ballRadius) * 0.05;
+
+        // Realistic mode: backspin from loft like a real club face
+        // (driver ~2700 rpm, 7-iron ~7000 rpm at tour ball speeds)
+        if (settings.physicsMode === 'realistic') {
+            const loftRadians = settings.loftAngle * Math.PI / 180;
+            backspinRate = REALISTIC_BACKSPIN_FACTOR * speed * Math.sin(loftRadians) / ballRadius;
+            sidespinRate = (sideSpeed / ballRadius) * REALISTIC_SIDESPIN_FACTOR;
+        }
+
+        spin = {
+            x: isFinite(backspinRate) ? backspinRate : 0,
+            y: isFinite(sidespinRate) ? sidespinRate : 0,
+            z: 0
+        };
+    }
+
+    return { velocity: { x: vx, y: vy, z: vz }, spin: spin, rolling: false };
+}
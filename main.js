@@ -4,9 +4,11 @@
 // Initialize all modules and start the game
 
 import { defaultSettings } from './config.js';
-import { loadFromLocalStorage, saveToLocalStorage } from './storage.js';
+import { loadFromLocalStorage, saveToLocalStorage, addShotToHistory, getShotHistory, loadSwings, loadClubBag } from './storage.js';
 import { initRenderer, render, setRenderState, setRenderCallbacks } from './renderer.js';
-import { initUI, updateStatus } from './ui.js';
+import { initUI, updateStatus, startReplay, stopReplay } from './ui.js';
+import { initSwingLibrary } from './swing-library.js';
+import { initShotHistory } from './shot-history.js';
 import { addDebugMessage } from './utils.js';
 import {
     getCurrentState,
@@ -23,9 +25,14 @@ import {
     recordSwingMotion,
     checkSwingTimeout
 } from './game-logic.js';
-import { requestIMUPermission, setSensorCallbacks, imuData, imuPermissionGranted as getIMUPermissionGranted } from './sensors.js';
+import { requestIMUPermission, setSensorCallbacks, setSensorSource, imuData, imuPermissionGranted as getIMUPermissionGranted } from './sensors.js';
+import { createDeviceSource, createSyntheticSource, createPlaybackSource } from './sensor-sources.js';
+import { createDesktopSource } from './desktop-input.js';
 import { updateClubTipTracking } from './tracking.js';
 import { updateBallPhysics } from './physics.js';
+import { loadCourse, setCourse } from './course.js';
+import { restoreClubBag, selectClub, DEFAULT_CLUB_ID } from './clubs.js';
+import { setupGame } from './players.js';
 
 // ============================================
 // INITIALIZATION
@@ -39,6 +46,18 @@ const loadedLastShot = loaded.lastShot;
 // Copy loaded last shot to lastShot
 Object.assign(lastShot, loadedLastShot);
 
+// Per-club values edited in earlier visits
+restoreClubBag(loadClubBag());
+
+// Settings from before the club bag: switch to the default club's values
+// before a settings save can store the old ones as that club's
+if (loaded.noClubId) {
+    selectClub(settings, DEFAULT_CLUB_ID);
+}
+
+// Pass-and-play game of the players in settings (resumed if unfinished)
+setupGame(settings);
+
 // Initialize game settings
 setGameSettings(settings);
 
@@ -61,11 +80,25 @@ const elements = {
     settingsBtn: document.getElementById('settingsBtn'),
     recordBtn: document.getElementById('recordBtn'),
     replayBtn: document.getElementById('replayBtn'),
+    statsBtn: document.getElementById('statsBtn'),
+    clubSelect: document.getElementById('clubSelect'),
+    scorecardBtn: document.getElementById('scorecardBtn'),
+    swingLibraryBtn: document.getElementById('swingLibraryBtn'),
+    swingLibraryModal: document.getElementById('swingLibraryModal'),
+    swingLibraryList: document.getElementById('swingLibraryList'),
+    closeSwingLibraryBtn: document.getElementById('closeSwingLibraryBtn'),
+    shotHistoryModal: document.getElementById('shotHistoryModal'),
+    shotHistoryList: document.getElementById('shotHistoryList'),
+    shotHistoryPage: document.getElementById('shotHistoryPage'),
+    newerShotsBtn: document.getElementById('newerShotsBtn'),
+    olderShotsBtn: document.getElementById('olderShotsBtn'),
+    closeShotHistoryBtn: document.getElementById('closeShotHistoryBtn'),
     statusDiv: document.getElementById('status'),
     settingsModal: document.getElementById('settingsModal'),
     saveSettingsBtn: document.getElementById('saveSettingsBtn'),
     cancelSettingsBtn: document.getElementById('cancelSettingsBtn'),
     settingsInputs: {
+        clubId: document.getElementById('clubId'),
         clubLength: document.getElementById('clubLength'),
         clubWeight: document.getElementById('clubWeight'),
         loftAngle: document.getElementById('loftAngle'),
@@ -74,16 +107,51 @@ const elements = {
         hitZoneDiameter: document.getElementById('hitZoneDiameter'),
         minSwingSpeed: document.getElementById('minSwingSpeed'),
         swingTimeout: document.getElementById('swingTimeout'),
+        gameMode: document.getElementById('gameMode'),
+        courseId: document.getElementById('courseId'),
+        playerNames: document.getElementById('playerNames'),
+        gameFormat: document.getElementById('gameFormat'),
+        shotsEach: document.getElementById('shotsEach'),
+        holeLength: document.getElementById('holeLength'),
+        cupRadius: document.getElementById('cupRadius'),
         targetMode: document.getElementById('targetMode'),
         targetDistance: document.getElementById('targetDistance'),
+        windMode: document.getElementById('windMode'),
+        windSpeed: document.getElementById('windSpeed'),
+        windDirection: document.getElementById('windDirection'),
+        windGustiness: document.getElementById('windGustiness'),
         gravity: document.getElementById('gravity'),
         airResistance: document.getElementById('airResistance'),
         impactPower: document.getElementById('impactPower'),
         spinEffect: document.getElementById('spinEffect'),
+        physicsMode: document.getElementById('physicsMode'),
+        environmentPreset: document.getElementById('environmentPreset'),
+        altitude: document.getElementById('altitude'),
+        temperature: document.getElementById('temperature'),
+        humidity: document.getElementById('humidity'),
+        pressure: document.getElementById('pressure'),
         showDebug: document.getElementById('showDebug'),
         soundEnabled: document.getElementById('soundEnabled'),
-        soundVolume: document.getElementById('soundVolume')
+        soundVolume: document.getElementById('soundVolume'),
+        shotHistoryLimit: document.getElementById('shotHistoryLimit'),
+        sensorSource: document.getElementById('sensorSource'),
+        sensorRate: document.getElementById('sensorRate')
     },
+    resetClubBtn: document.getElementById('resetClubBtn'),
+    recordedSwingCount: document.getElementById('recordedSwingCount'),
+    exportLastSwingBtn: document.getElementById('exportLastSwingBtn'),
+    exportAllSwingsBtn: document.getElementById('exportAllSwingsBtn'),
+    exportSwingsCsvBtn: document.getElementById('exportSwingsCsvBtn'),
+    importSwingsBtn: document.getElementById('importSwingsBtn'),
+    importSwingsInput: document.getElementById('importSwingsInput'),
+    importCourseBtn: document.getElementById('importCourseBtn'),
+    importCourseInput: document.getElementById('importCourseInput'),
+    newRoundBtn: document.getElementById('newRoundBtn'),
+    newGameBtn: document.getElementById('newGameBtn'),
+    shotHistoryCount: document.getElementById('shotHistoryCount'),
+    airDensityInfo: document.getElementById('airDensityInfo'),
+    clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+    browseHistoryBtn: document.getElementById('browseHistoryBtn'),
     canvas: canvas
 };
 
@@ -109,15 +177,87 @@ setSensorCallbacks({
     }
 });
 
+// Build the sensor source chosen in settings
+function applySensorSource() {
+    if (settings.sensorSource === 'desktop') {
+        setSensorSource(createDesktopSource(canvas, {
+            getClubLength: () => settings.clubLength,
+            updateStatus: updateStatus
+        }));
+    } else if (settings.sensorSource === 'synthetic') {
+        setSensorSource(createSyntheticSource({ rate: settings.sensorRate }));
+    } else if (settings.sensorSource === 'playback') {
+        // Swing picked in the library, else the latest one with raw sensor data
+        const withSamples = swingRecorder.recordedSwings.filter(s => s.imuSamples && s.imuSamples.length > 0);
+        const swing = withSamples.find(s => s.id === swingRecorder.selectedSwingId) ||
+            withSamples[withSamples.length - 1];
+        if (swing) {
+            setSensorSource(createPlaybackSource(swing));
+        } else {
+            setSensorSource(createDeviceSource());
+            addDebugMessage('⚠️ No recorded swing with raw sensor data - using device sensors');
+        }
+    } else {
+        setSensorSource(createDeviceSource());
+    }
+}
+
+// Load the course chosen in settings (course mode only). The stored
+// scorecard is resumed when it belongs to the same course.
+async function applyCourse() {
+    if (settings.gameMode !== 'course') return;
+    try {
+        const course = await loadCourse(settings.courseId);
+        const scorecard = setCourse(course);
+        const hole = course.holes[scorecard.currentHole];
+        updateStatus(`⛳ ${course.name}: hole ${hole.number}, par ${hole.par} | Tap "Tee Up"`);
+    } catch (e) {
+        addDebugMessage(`❌ Course load failed: ${e.message}`);
+        updateStatus(`❌ Course load failed: ${e.message}`);
+    }
+}
+
 // Initialize UI with callbacks
 initUI(elements, {
     resetGame: () => resetGame(getIMUPermissionGranted, updateStatus, elements.setBallBtn),
     requestIMUPermission: requestIMUPermission,
     setBallPosition: () => setBallPosition(settings, updateStatus, elements.setBallBtn),
     settings: settings,
-    lastShot: lastShot
+    lastShot: lastShot,
+    applySensorSource: applySensorSource,
+    applyCourse: applyCourse
 });
 
+// Initialize swing library
+initSwingLibrary(elements, {
+    startReplay: startReplay,
+    stopReplay: stopReplay,
+    updateStatus: updateStatus,
+    settings: settings
+});
+
+// Initialize shot history browser (opened from settings)
+initShotHistory(elements, {
+    updateStatus: updateStatus,
+    onHistoryChanged: () => {
+        elements.shotHistoryCount.textContent = getShotHistory().total;
+    }
+});
+
+// Restore recorded swings saved in previous visits
+loadSwings().then(swings => {
+    swingRecorder.recordedSwings.unshift(...swings);
+    if (swingRecorder.recordedSwings.length > 0) {
+        elements.replayBtn.disabled = false;
+        addDebugMessage(`🎥 Restored ${swings.length} recorded swings`);
+    }
+
+    // Playback needs the restored swings, so pick the source once they're loaded
+    applySensorSource();
+});
+
+applyCourse();
+
 // Set render state
 setRenderState({
     getCurrentState: getCurrentState,
@@ -137,7 +277,10 @@ setRenderCallbacks({
         swingData,
         swingRecorder,
         lastShot,
-        () => saveToLocalStorage(settings, lastShot),
+        () => {
+            saveToLocalStorage(settings, lastShot);
+            return addShotToHistory(lastShot, settings) !== null;
+        },
         updateStatus,
         setCurrentState
     )
@@ -153,8 +296,9 @@ requestAnimationFrame(render);
 
 // Blur any focused input when game starts to prevent shake-to-undo
 document.addEventListener('focusin', (e) => {
-    // Allow focus in settings modal
-    if (!elements.settingsModal.classList.contains('active')) {
+    // Allow focus in settings and swing library modals
+    if (!elements.settingsModal.classList.contains('active') &&
+        !elements.swingLibraryModal.classList.contains('active')) {
         setTimeout(() => e.target.blur(), 100);
     }
 });
@@ -0,0 +1,211 @@
+// ============================================
+// OBSTACLES MODULE
+// ============================================
+// Trees, walls and nets standing on the ground. No DOM - the flight model
+// asks it whether the ball ran into one during a step, the renderer draws
+// them from the same shapes.
+//
+// OBSTACLE FORMAT (terrain.obstacles, world meters; heights are above the
+// ground where the obstacle stands):
+//   { type: 'tree', x, z, height, canopyRadius, trunkRadius? }
+//       Canopy: a ball of leaves whose top is at height. Trunk: from the
+//       ground up to the middle of the canopy (trunkRadius default 0.25).
+//   { type: 'wall', x1, z1, x2, z2, height, thickness? }   (default 0.5)
+//   { type: 'net', x1, z1, x2, z2, height }
+//
+// COORDINATE SYSTEM (same as the game):
+//   X: Left (-) / Right (+), Y: Up, Z: Away from player (+)
+
+// ============================================
+// MATERIALS
+// ============================================
+// What a collision does to the ball:
+//   restitution  Share of the speed into the obstacle kept (bounces back)
+//   friction     Share of the speed along the obstacle lost
+export const OBSTACLE_MATERIALS = {
+    trunk: { name: 'Tree', color: '#7A5230', restitution: 0.5, friction: 0.2 },
+    canopy: { name: 'Tree', color: '#2F6B2F', restitution: 0.15, friction: 0.7 },  // Leaves soak up the speed
+    wall: { name: 'Wall', color: '#9A9285', restitution: 0.6, friction: 0.15 },
+    net: { name: 'Net', color: 'rgba(255, 255, 255, 0.35)', restitution: 0.05, friction: 0.9 }  // Ball drops down the net
+};
+
+const DEFAULT_TRUNK_RADIUS = 0.25;
+const DEFAULT_WALL_THICKNESS = 0.5;
+const NET_THICKNESS = 0.1;
+
+// ============================================
+// SHAPES
+// ============================================
+// Collision shapes of one obstacle. place(x, z) → { x, y, z } puts a world
+// ground point into the frame the shapes are wanted in (y: ground height
+// there); by default world axes on flat ground.
+//   { kind: 'cylinder', x, z, radius, base, top, material }
+//   { kind: 'sphere', x, y, z, radius, material }
+//   { kind: 'panel', x1, z1, base1, x2, z2, base2, height, halfThickness, material }
+//       (upright slab between two ground points, base = ground height at each end)
+export function getObstacleShapes(obstacle, place = (x, z) => ({ x: x, y: 0, z: z })) {
+    if (obstacle.type === 'tree') {
+        const ground = place(obstacle.x, obstacle.z);
+        const canopyCenter = ground.y + obstacle.height - obstacle.canopyRadius;
+        return [
+            {
+                kind: 'cylinder', x: ground.x, z: ground.z,
+                radius: obstacle.trunkRadius ?? DEFAULT_TRUNK_RADIUS,
+                base: ground.y, top: canopyCenter, material: 'trunk'
+            },
+            {
+                kind: 'sphere', x: ground.x, y: canopyCenter, z: ground.z,
+                radius: obstacle.canopyRadius, material: 'canopy'
+            }
+        ];
+    }
+
+    const a = place(obstacle.x1, obstacle.z1);
+    const b = place(obstacle.x2, obstacle.z2);
+    const thickness = obstacle.type === 'net' ? NET_THICKNESS : (obstacle.thickness ?? DEFAULT_WALL_THICKNESS);
+    return [{
+        kind: 'panel',
+        x1: a.x, z1: a.z, base1: a.y,
+        x2: b.x, z2: b.z, base2: b.y,
+        height: obstacle.height,
+        halfThickness: thickness / 2,
+        material: obstacle.type
+    }];
+}
+
+// ============================================
+// COLLISION
+// ============================================
+// First point where the ball's path from → to (one physics step, ball
+// centre) enters a shape. Returns { t (0-1 along the step), point, normal
+// (unit, out of the shape), shape } or null. A ball already inside a shape
+// is let out rather than caught.
+export function findObstacleHit(shapes, from, to) {
+    let best = null;
+    for (const shape of shapes) {
+        const hit = HIT_TESTS[shape.kind](shape, from, to);
+        if (hit && (!best || hit.t < best.t)) {
+            best = { ...hit, shape: shape };
+        }
+    }
+    if (!best) return null;
+    best.point = {
+        x: from.x + (to.x - from.x) * best.t,
+        y: from.y + (to.y - from.y) * best.t,
+        z: from.z + (to.z - from.z) * best.t
+    };
+    return best;
+}
+
+// Smaller root of a·t² + b·t + c = 0 within the step (c < 0: starts inside)
+function entryTime(a, b, c) {
+    if (a === 0 || c < 0) return null;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+function hitSphere(sphere, from, to) {
+    const dx = to.x - from.x, dy = to.y - from.y, dz = to.z - from.z;
+    const fx = from.x - sphere.x, fy = from.y - sphere.y, fz = from.z - sphere.z;
+    const t = entryTime(
+        dx * dx + dy * dy + dz * dz,
+        2 * (fx * dx + fy * dy + fz * dz),
+        fx * fx + fy * fy + fz * fz - sphere.radius * sphere.radius
+    );
+    if (t === null) return null;
+    return {
+        t: t,
+        normal: {
+            x: (fx + dx * t) / sphere.radius,
+            y: (fy + dy * t) / sphere.radius,
+            z: (fz + dz * t) / sphere.radius
+        }
+    };
+}
+
+// Upright cylinder: only its side counts (the canopy sits on top of trunks)
+function hitCylinder(cylinder, from, to) {
+    const dx = to.x - from.x, dz = to.z - from.z;
+    const fx = from.x - cylinder.x, fz = from.z - cylinder.z;
+    const t = entryTime(
+        dx * dx + dz * dz,
+        2 * (fx * dx + fz * dz),
+        fx * fx + fz * fz - cylinder.radius * cylinder.radius
+    );
+    if (t === null) return null;
+    const y = from.y + (to.y - from.y) * t;
+    if (y > cylinder.top) return null;
+    return {
+        t: t,
+        normal: { x: (fx + dx * t) / cylinder.radius, y: 0, z: (fz + dz * t) / cylinder.radius }
+    };
+}
+
+// Panel: the ball crosses one of its two faces below the top edge
+function hitPanel(panel, from, to) {
+    const length = Math.sqrt((panel.x2 - panel.x1) ** 2 + (panel.z2 - panel.z1) ** 2);
+    if (length === 0) return null;
+    const ux = (panel.x2 - panel.x1) / length;
+    const uz = (panel.z2 - panel.z1) / length;
+    const nx = -uz, nz = ux;
+
+    // Signed distance from the middle of the panel, before and after the step
+    const s0 = (from.x - panel.x1) * nx + (from.z - panel.z1) * nz;
+    const s1 = (to.x - panel.x1) * nx + (to.z - panel.z1) * nz;
+    const h = panel.halfThickness;
+    let t;
+    let side;
+    if (s0 >= h && s1 < h) {
+        t = (s0 - h) / (s0 - s1);
+        side = 1;
+    } else if (s0 <= -h && s1 > -h) {
+        t = (-h - s0) / (s1 - s0);
+        side = -1;
+    } else {
+        return null;
+    }
+
+    const x = from.x + (to.x - from.x) * t;
+    const z = from.z + (to.z - from.z) * t;
+    const along = (x - panel.x1) * ux + (z - panel.z1) * uz;
+    if (along < 0 || along > length) return null;
+    const top = panel.base1 + (panel.base2 - panel.base1) * along / length + panel.height;
+    if (from.y + (to.y - from.y) * t > top) return null;
+    return { t: t, normal: { x: nx * side, y: 0, z: nz * side } };
+}
+
+const HIT_TESTS = { sphere: hitSphere, cylinder: hitCylinder, panel: hitPanel };
+
+// ============================================
+// VALIDATION
+// ============================================
+const isNumber = value => typeof value === 'number' && isFinite(value);
+const MAX_OBSTACLE_HEIGHT = 60;     // m - taller than any tree on a course
+
+function isValidObstacle(obstacle) {
+    if (!obstacle || !isNumber(obstacle.height) ||
+        obstacle.height <= 0 || obstacle.height > MAX_OBSTACLE_HEIGHT) {
+        return false;
+    }
+    if (obstacle.type === 'tree') {
+        return isNumber(obstacle.x) && isNumber(obstacle.z) &&
+            isNumber(obstacle.canopyRadius) && obstacle.canopyRadius > 0 &&
+            obstacle.canopyRadius * 2 <= obstacle.height &&
+            (obstacle.trunkRadius === undefined || (isNumber(obstacle.trunkRadius) && obstacle.trunkRadius > 0));
+    }
+    if (obstacle.type === 'wall' || obstacle.type === 'net') {
+        return [obstacle.x1, obstacle.z1, obstacle.x2, obstacle.z2].every(isNumber) &&
+            (obstacle.x1 !== obstacle.x2 || obstacle.z1 !== obstacle.z2) &&
+            (obstacle.thickness === undefined || (isNumber(obstacle.thickness) && obstacle.thickness > 0));
+    }
+    return false;
+}
+
+// Obstacles from a file (courses, imported swings): unknown types and
+// malformed entries are dropped
+export function cleanObstacles(obstacles) {
+    if (!Array.isArray(obstacles)) return [];
+    return obstacles.filter(isValidObstacle).map(obstacle => ({ ...obstacle }));
+}
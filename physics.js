@@ -1,26 +1,63 @@
 // ============================================
 // PHYSICS MODULE
 // ============================================
-// Ball flight physics simulation: gravity, Magnus effect (spin), air resistance
+// Live ball flight: advances ballFlight each frame with the flight model from
+// simulation.js (gravity, Magnus effect, air resistance, bounce and roll) and
+// handles landing and the ball coming to rest.
 
 import { GameState } from './config.js';
 import { addDebugMessage } from './utils.js';
 import { playLandSound } from './audio.js';
-import { targetState } from './game-logic.js';
+import { targetState, ballPosition, finishHoleShot, isOnGreen } from './game-logic.js';
+import { isPutting } from './impact.js';
+import { clubTipTracking } from './tracking.js';
+import { analyzeSwing, describeTempo } from './swing-analysis.js';
+import { saveSwing } from './storage.js';
+import { stepBall, toShotFrame, fromShotFrame, getGroundHeight, PHYSICS_TIMESTEP, DEFAULT_MAX_FLIGHT_TIME } from './simulation.js';
+import { getSurface, getSurfaceAt, describeSurface } from './terrain.js';
+import { formatToPar } from './course.js';
+import { playerState, leaderboardView, isMultiplayer, recordPlayerShot, getLeaderboard, formatGameScore, GAME_FORMATS } from './players.js';
+
+// Most simulated time processed in one rendered frame (seconds). After a
+// long stall the ball continues in slow motion instead of jumping ahead;
+// the path itself is unchanged because it only depends on the fixed steps.
+const MAX_FRAME_TIME = 0.25;
+
+// Steps after which the ball is stopped where it is, the same limit
+// simulateShot uses (the trajectory holds one point per step)
+const MAX_FLIGHT_STEPS = Math.ceil(DEFAULT_MAX_FLIGHT_TIME / PHYSICS_TIMESTEP);
 
 // ============================================
 // BALL FLIGHT STATE
 // ============================================
-// Simulate ball trajectory after hit
+// Simulate ball trajectory after hit. Positions are in the shot frame
+// (frame below): the ball starts at 0,0,0 and is hit along +Z.
 export const ballFlight = {
-    position: { x: 0, y: 0, z: 0 },     // 3D position in world space
+    position: { x: 0, y: 0, z: 0 },     // 3D position in the shot frame
     velocity: { x: 0, y: 0, z: 0 },     // Current velocity
     spin: { x: 0, y: 0, z: 0 },         // Spin rate (rad/s) - causes Magnus effect
     initialSpin: { x: 0, y: 0, z: 0 },  // Initial spin at launch (before decay)
-    flying: false,
+    wind: null,                         // Wind for this shot (see simulation.js), null = calm
+    terrain: null,                      // Surface zones (see terrain.js), null = fairway everywhere
+    frame: null,                        // Shot frame: where the shot is played from (world)
+    cup: null,                          // Cup the ball can drop into (hole mode)
+    holed: false,
+    surface: null,                      // Surface under the ball (lie once stopped)
+    landingSurface: null,               // Surface at the first landing
+    obstacleShapes: [],                 // Obstacles placed in the shot frame (once per shot)
+    obstacle: null,                     // First obstacle hit (name), null = none
+    flying: false,      // Ball still moving (in the air, bouncing or rolling)
+    rolling: false,     // Putt: the ball never leaves the ground
+    phase: 'air',       // 'air', 'roll' or 'stopped' (see simulation.js)
+    bounces: 0,
     startTime: 0,
     lastUpdateTime: 0,  // For per-frame delta time
-    landingDistance: 0,
+    accumulator: 0,     // Frame time not yet simulated (seconds)
+    flightTime: 0,      // Simulated time since launch (seconds)
+    landingDistance: 0, // Carry (first landing)
+    landingPosition: null,
+    landingIndex: -1,   // Trajectory index of the first landing
+    totalDistance: 0,   // Carry + roll
     maxHeight: 0,
     trajectory: []  // Store path for visualization
 };
@@ -34,95 +71,52 @@ export const ballFlight = {
 // 2. Magnus force (spin-induced curve)
 // 3. Air resistance (drag)
 // 4. Position update (velocity integration)
-// 5. Ground collision detection
+// 5. Ground collision: bounces, then rolling until the ball stops
+//
+// Frame time is collected in an accumulator and simulated in fixed
+// PHYSICS_TIMESTEP steps, so the flight is identical at 30, 60 or 120 Hz.
 
 export function updateBallPhysics(deltaTime, settings, swingData, swingRecorder, lastShot, saveToLocalStorage, updateStatus, setCurrentState) {
     if (!ballFlight.flying) return;
 
     const dt = deltaTime / 1000; // Convert milliseconds to seconds
 
-    // Skip huge time deltas (first frame or tab was inactive)
-    // Large dt would cause physics instability (ball teleporting)
-    if (dt > 0.1) {
-        addDebugMessage(`Skip physics: dt=${dt.toFixed(2)}s too large`);
-        return;
+    // Long stalls (tab inactive) are capped rather than skipped
+    if (dt > MAX_FRAME_TIME) {
+        addDebugMessage(`Slow frame: dt=${dt.toFixed(2)}s, simulating ${MAX_FRAME_TIME}s`);
     }
-
-    // ====================================================================
-    // GRAVITY: Constant downward acceleration
-    // ====================================================================
-    const gravity = -settings.gravity; // m/s² (negative = downward)
-
-    // Update velocity with gravity
-    ballFlight.velocity.y += gravity * dt;  // m/s
-
-    // ====================================================================
-    // MAGNUS FORCE: Spin creates aerodynamic force perpendicular to motion
-    // ====================================================================
-    // Physics: Spinning ball drags air around it → pressure differential
-    // Cross product ω × v gives force direction (right-hand rule)
-
-    if (settings.spinEffect > 0 && ballFlight.spin) {
-        const spinFactor = settings.spinEffect * 0.00001;
-
-        // Cross product: ω × v
-        // Spin is in rad/s, velocity is in m/s
-        // Result is acceleration in m/s²
-        const magnusX = spinFactor * (
-            ballFlight.spin.y * ballFlight.velocity.z -
-            ballFlight.spin.z * ballFlight.velocity.y
-        );
-        const magnusY = spinFactor * (
-            ballFlight.spin.z * ballFlight.velocity.x -
-            ballFlight.spin.x * ballFlight.velocity.z
-        );
-        const magnusZ = spinFactor * (
-            ballFlight.spin.x * ballFlight.velocity.y -
-            ballFlight.spin.y * ballFlight.velocity.x
-        );
-
-        // Apply Magnus acceleration to velocity
-        if (isFinite(magnusX)) ballFlight.velocity.x += magnusX * dt;
-        if (isFinite(magnusY)) ballFlight.velocity.y += magnusY * dt;
-        if (isFinite(magnusZ)) ballFlight.velocity.z += magnusZ * dt;
-
-        // Log Magnus effect in first 500ms
-        const timeSinceLaunch = Date.now() - ballFlight.startTime;
-        if (timeSinceLaunch < 500 && (magnusX !== 0 || magnusZ !== 0)) {
-            addDebugMessage(`🌀 Magnus: X${magnusX > 0 ? '+' : ''}${magnusX.toFixed(2)} m/s²`);
+    ballFlight.accumulator += Math.min(Math.max(dt, 0), MAX_FRAME_TIME);
+
+    while (ballFlight.flying && ballFlight.accumulator >= PHYSICS_TIMESTEP) {
+        ballFlight.accumulator -= PHYSICS_TIMESTEP;
+        const event = stepLiveFlight(settings);
+
+        if (event === 'landed') {
+            handleLanding(settings, updateStatus);
+        } else if (event === 'hit') {
+            handleObstacleHit(settings);
+        } else if (event === 'stopped') {
+            handleBallStopped(settings, swingData, swingRecorder, lastShot, saveToLocalStorage, updateStatus, setCurrentState);
         }
 
-        // Spin decays due to air friction
-        const spinDecay = 0.98; // Per frame
-        ballFlight.spin.x *= spinDecay;
-        ballFlight.spin.y *= spinDecay;
-        ballFlight.spin.z *= spinDecay;
-    }
-
-    // ====================================================================
-    // AIR RESISTANCE (Drag): Opposes motion, proportional to velocity²
-    // ====================================================================
-
-    if (settings.airResistance > 0) {
-        const dragFactor = settings.airResistance * 0.01; // Scale factor
-
-        // Apply drag to horizontal motion
-        ballFlight.velocity.x *= (1 - dragFactor);
-        ballFlight.velocity.z *= (1 - dragFactor);
-
-        // Y-axis drag only when moving upward (asymmetric for realism)
-        if (ballFlight.velocity.y > 0) {
-            ballFlight.velocity.y *= (1 - dragFactor);
+        if (ballFlight.flying && ballFlight.trajectory.length - 1 >= MAX_FLIGHT_STEPS) {
+            handleFlightTimeout();
+            handleBallStopped(settings, swingData, swingRecorder, lastShot, saveToLocalStorage, updateStatus, setCurrentState);
         }
     }
+}
 
-    // ====================================================================
-    // POSITION UPDATE: Integrate velocity to get new position
-    // ====================================================================
+// One fixed step of the live flight (with trajectory and debug logging).
+// Returns the stepBall event ('landed', 'bounced', 'hit', 'stopped' or null).
+function stepLiveFlight(settings) {
+    const event = stepBall(ballFlight, PHYSICS_TIMESTEP, settings);
+    const magnus = ballFlight.aeroAcceleration;
 
-    ballFlight.position.x += ballFlight.velocity.x * dt;  // meters
-    ballFlight.position.y += ballFlight.velocity.y * dt;  // meters
-    ballFlight.position.z += ballFlight.velocity.z * dt;  // meters
+    // Log Magnus effect in first 500ms
+    const timeSinceLaunch = ballFlight.flightTime * 1000;
+    if (timeSinceLaunch < 500 && (magnus.x !== 0 || magnus.z !== 0)) {
+        addDebugMessage(`🌀 Magnus: X${magnus.x > 0 ? '+' : ''}${magnus.x.toFixed(2)} m/s²`);
+    }
 
     // Store trajectory point for visualization
     // Always store points to show the path
@@ -133,7 +127,6 @@ export function updateBallPhysics(deltaTime, settings, swingData, swingRecorder,
     });
 
     // Log first few updates for debugging
-    const timeSinceLaunch = Date.now() - ballFlight.startTime;
     if (timeSinceLaunch < 200) {  // First 200ms
         const zDirection = ballFlight.position.z > 0 ? 'AWAY✓' : 'TOWARD⚠️';
         addDebugMessage(`Physics: z=${ballFlight.position.z.toFixed(2)}m ${zDirection}`);
@@ -144,71 +137,212 @@ export function updateBallPhysics(deltaTime, settings, swingData, swingRecorder,
         ballFlight.maxHeight = ballFlight.position.y;
     }
 
-    // ====================================================================
-    // GROUND COLLISION: Check if ball hit ground
-    // ====================================================================
+    return event;
+}
+
+// ====================================================================
+// TIME LIMIT: Ball still moving after DEFAULT_MAX_FLIGHT_TIME
+// ====================================================================
+// Like simulateShot, a ball that never landed counts as landing where it
+// got to. The ball is then stopped there, on the surface below it.
+function handleFlightTimeout() {
+    addDebugMessage(`⏱️ Flight time limit (${DEFAULT_MAX_FLIGHT_TIME}s) reached - stopping the ball`);
 
-    if (ballFlight.position.y <= 0 && ballFlight.velocity.y < 0) {
-        ballFlight.position.y = 0;
-        ballFlight.flying = false;
+    const ground = fromShotFrame(ballFlight.position, ballFlight.frame);
+    ballFlight.surface = getSurfaceAt(ballFlight.terrain, ground.x, ground.z);
+
+    if (ballFlight.landingIndex < 0) {
         ballFlight.landingDistance = Math.sqrt(
             ballFlight.position.x ** 2 + ballFlight.position.z ** 2
         );
+        ballFlight.landingPosition = { x: ballFlight.position.x, z: ballFlight.position.z };
+        ballFlight.landingIndex = ballFlight.trajectory.length - 1;
+        ballFlight.landingSurface = ballFlight.surface;
+    }
+    ballFlight.phase = 'stopped';
+}
 
-        addDebugMessage(`⛳ LANDED! ${ballFlight.landingDistance.toFixed(2)}m, h:${ballFlight.maxHeight.toFixed(2)}m`);
+// ====================================================================
+// GROUND COLLISION: Ball hit the ground for the first time (carry)
+// ====================================================================
+function handleLanding(settings, updateStatus) {
+    ballFlight.landingDistance = Math.sqrt(
+        ballFlight.position.x ** 2 + ballFlight.position.z ** 2
+    );
+    ballFlight.landingPosition = { x: ballFlight.position.x, z: ballFlight.position.z };
+    ballFlight.landingIndex = ballFlight.trajectory.length - 1;
+    ballFlight.landingSurface = ballFlight.surface;
+
+    addDebugMessage(`⛳ LANDED ${describeSurface(ballFlight.landingSurface)}! ${ballFlight.landingDistance.toFixed(2)}m, h:${ballFlight.maxHeight.toFixed(2)}m`);
+
+    // Check if ball never left ground
+    if (ballFlight.maxHeight < 0.01) {
+        addDebugMessage(`⚠️ BUG: Ball never left ground! Check Y velocity at launch`);
+    }
 
-        // Update last recorded swing with final distance
-        if (swingRecorder.recordedSwings.length > 0) {
-            const lastSwing = swingRecorder.recordedSwings[swingRecorder.recordedSwings.length - 1];
-            if (lastSwing.distance === 0) {
-                lastSwing.distance = ballFlight.landingDistance;
-                lastSwing.maxHeight = ballFlight.maxHeight;
-            }
-        }
+    // Play landing sound
+    playLandSound(settings);
 
-        // Check if ball never left ground
-        if (ballFlight.maxHeight < 0.01) {
-            addDebugMessage(`⚠️ BUG: Ball never left ground! Check Y velocity at launch`);
-        }
+    updateStatus(`⛳ Carry: ${ballFlight.landingDistance.toFixed(2)}m, landed ${describeSurface(ballFlight.landingSurface)} - rolling...`);
+}
 
-        // Play landing sound
-        playLandSound(settings);
+// ====================================================================
+// OBSTACLE: Ball ran into a tree, wall or net
+// ====================================================================
+function handleObstacleHit(settings) {
+    const p = ballFlight.position;
+    addDebugMessage(`🌳 Obstacle hit at ${Math.sqrt(p.x ** 2 + p.z ** 2).toFixed(1)}m, h:${p.y.toFixed(1)}m`);
+    playLandSound(settings);
+}
 
-        // Calculate impact speed
-        const impactSpeed = Math.sqrt(
-            swingData.impactVelocity.x ** 2 +
-            swingData.impactVelocity.y ** 2 +
-            swingData.impactVelocity.z ** 2
-        );
+// ====================================================================
+// PUTT FEEDBACK: Distance control against the hole (or target)
+// ====================================================================
+// A well paced putt that misses finishes just past the hole.
+const PUTT_GOOD_PACE = 0.5;     // m past the hole
+
+// long: past (+) or short (-) of the hole, side: right (+) / left (-).
+// Measured along the aim line (the shot frame points at the target).
+function getPuttFeedback(target, holed) {
+    if (!ballFlight.rolling || !target) return null;
+    return {
+        holeDistance: Math.sqrt(target.x ** 2 + target.z ** 2),
+        distance: ballFlight.totalDistance,
+        long: ballFlight.position.z - target.z,
+        side: ballFlight.position.x - target.x,
+        holed: holed
+    };
+}
 
-        // Calculate distance to target
-        let targetAccuracy = null;
-        if (targetState && targetState.active) {
-            const dx = ballFlight.position.x - targetState.position.x;
-            const dz = ballFlight.position.z - targetState.position.z;
-            targetAccuracy = Math.sqrt(dx * dx + dz * dz);
-        }
+export function describePuttPace(putt) {
+    if (putt.holed) return 'In the cup';
+    if (putt.long < 0) return `${(-putt.long).toFixed(2)}m short`;
+    if (putt.long <= PUTT_GOOD_PACE) return 'Good pace';
+    return `${putt.long.toFixed(2)}m long`;
+}
+
+// Where the putt finished across the line (break read)
+export function describePuttLine(putt) {
+    if (putt.holed || Math.abs(putt.side) < 0.1) return 'On line';
+    return `Missed ${Math.abs(putt.side).toFixed(2)}m ${putt.side > 0 ? 'right' : 'left'}`;
+}
 
-        // Save shot data
-        lastShot.distance = ballFlight.landingDistance;
-        lastShot.maxHeight = ballFlight.maxHeight;
-        lastShot.impactSpeed = impactSpeed;
-        lastShot.timestamp = new Date().toISOString();
-        lastShot.velocity = { ...swingData.impactVelocity };
-        lastShot.spin = { ...ballFlight.initialSpin };  // Use initial spin, not decayed
-        lastShot.targetAccuracy = targetAccuracy;  // Distance from target
+// ====================================================================
+// BALL STOPPED: Bounce and roll finished
+// ====================================================================
+function handleBallStopped(settings, swingData, swingRecorder, lastShot, saveToLocalStorage, updateStatus, setCurrentState) {
+    ballFlight.position.y = getGroundHeight(ballFlight.terrain, ballFlight.frame, ballFlight.position.x, ballFlight.position.z);
+    ballFlight.flying = false;
+    ballFlight.totalDistance = Math.sqrt(
+        ballFlight.position.x ** 2 + ballFlight.position.z ** 2
+    );
+    const rollDistance = ballFlight.totalDistance - ballFlight.landingDistance;
+    const surface = ballFlight.surface || 'fairway';
+    const penalty = getSurface(surface).penalty;
+
+    addDebugMessage(`🛑 Stopped ${describeSurface(surface)}: total ${ballFlight.totalDistance.toFixed(2)}m (roll ${rollDistance.toFixed(2)}m, ${ballFlight.bounces} bounces)`);
+
+    // Update the swing recorded for this shot with its final distance
+    if (swingRecorder.pendingSwing) {
+        swingRecorder.pendingSwing.distance = ballFlight.landingDistance;
+        swingRecorder.pendingSwing.totalDistance = ballFlight.totalDistance;
+        swingRecorder.pendingSwing.maxHeight = ballFlight.maxHeight;
+        saveSwing(swingRecorder.pendingSwing);
+        swingRecorder.pendingSwing = null;
+    }
 
-        saveToLocalStorage();
+    // Swing phases and tempo (the follow-through was tracked during the flight)
+    const swingAnalysis = analyzeSwing(clubTipTracking.history, swingData.hitTime, ballPosition.timestamp, isPutting(settings));
+    if (swingAnalysis) {
+        const tempo = swingAnalysis.tempo;
+        addDebugMessage(`⏱️ ${describeTempo(tempo)} (${tempo.backswing.toFixed(2)}s back, ${tempo.downswing.toFixed(2)}s down)`);
+    }
 
-        setCurrentState(GameState.SHOWING_RESULTS);
+    // Calculate impact speed
+    const impactSpeed = Math.sqrt(
+        swingData.impactVelocity.x ** 2 +
+        swingData.impactVelocity.y ** 2 +
+        swingData.impactVelocity.z ** 2
+    );
+
+    // Calculate distance to target (from where the ball came to rest)
+    let targetAccuracy = null;
+    let target = null;
+    if (targetState && targetState.active) {
+        target = toShotFrame(targetState.position, ballFlight.frame);
+        const dx = ballFlight.position.x - target.x;
+        const dz = ballFlight.position.z - target.z;
+        targetAccuracy = Math.sqrt(dx * dx + dz * dz);
+    }
 
-        // Build status message with target accuracy
-        let statusMsg = `⛳ Ball landed! Distance: ${ballFlight.landingDistance.toFixed(2)}m`;
-        if (targetAccuracy !== null) {
-            statusMsg += ` | Target: ${targetAccuracy.toFixed(2)}m away`;
+    // Hole / course mode: count the stroke and move the ball to its new lie
+    const hole = finishHoleShot(fromShotFrame(ballFlight.position, ballFlight.frame), ballFlight.holed, penalty);
+
+    // Save shot data (distance = carry)
+    lastShot.distance = ballFlight.landingDistance;
+    lastShot.totalDistance = ballFlight.totalDistance;
+    lastShot.rollDistance = rollDistance;
+    lastShot.maxHeight = ballFlight.maxHeight;
+    lastShot.impactSpeed = impactSpeed;
+    lastShot.timestamp = new Date().toISOString();
+    lastShot.velocity = { ...swingData.impactVelocity };
+    lastShot.spin = { ...ballFlight.initialSpin };  // Use initial spin, not decayed
+    lastShot.targetAccuracy = targetAccuracy;  // Distance from target
+    lastShot.wind = ballFlight.wind ? { ...ballFlight.wind } : null;
+    lastShot.landingSurface = ballFlight.landingSurface;
+    lastShot.obstacle = ballFlight.obstacle;    // First obstacle hit, null = clear path
+    lastShot.surface = surface;     // Lie where the ball came to rest
+    lastShot.penalty = penalty;     // Penalty strokes (water, out of bounds)
+    lastShot.hole = hole;           // { strokes, holed, distanceToPin, number, par, ... } or null on the range
+    // Positions relative to the aim line (same as world on the range)
+    lastShot.landingPosition = ballFlight.landingPosition ? { ...ballFlight.landingPosition } : null;
+    lastShot.restPosition = { x: ballFlight.position.x, z: ballFlight.position.z };
+    lastShot.targetPosition = target;
+    lastShot.putt = getPuttFeedback(target, ballFlight.holed);
+    lastShot.swingAnalysis = swingAnalysis;     // { phases, tempo } or null if the backswing wasn't tracked
+
+    // Pass-and-play: score the shot for the player and pass the phone on
+    const turn = isMultiplayer(settings) ? recordPlayerShot(lastShot) : null;
+
+    // false: storage is full and the shot didn't make it into the history
+    const saved = saveToLocalStorage();
+
+    setCurrentState(GameState.SHOWING_RESULTS);
+
+    // Build status message with target accuracy
+    let statusMsg = `⛳ Ball stopped ${describeSurface(surface)}! Carry: ${ballFlight.landingDistance.toFixed(2)}m | Total: ${ballFlight.totalDistance.toFixed(2)}m`;
+    if (lastShot.putt) {
+        statusMsg = `⛳ Putt ${describePuttPace(lastShot.putt)}! Rolled ${lastShot.putt.distance.toFixed(2)}m of ${lastShot.putt.holeDistance.toFixed(2)}m`;
+    }
+    if (penalty > 0) {
+        statusMsg += ` | +${penalty} penalty`;
+    }
+    if (hole && hole.holed && hole.roundComplete) {
+        statusMsg = `🏆 ${hole.scoreName}! Round complete: ${hole.roundStrokes} (${formatToPar(hole.roundToPar)}) | Tap 📋 for the scorecard`;
+    } else if (hole && hole.holed && hole.scoreName) {
+        statusMsg = `🏆 ${hole.scoreName} on hole ${hole.number}! Round: ${formatToPar(hole.roundToPar)} | Tap "Tee Up" for the next hole`;
+    } else if (hole && hole.holed) {
+        statusMsg = `🏆 HOLED in ${hole.strokes}! Tap "Tee Up" for a new hole`;
+    } else if (hole) {
+        statusMsg += ` | Stroke ${hole.strokes}, ${hole.distanceToPin.toFixed(1)}m to pin`;
+        if (isOnGreen() && !lastShot.putt) {
+            statusMsg += ' | On the green - pick the putter';
         }
-        updateStatus(statusMsg);
+    } else if (targetAccuracy !== null) {
+        statusMsg += ` | Target: ${targetAccuracy.toFixed(2)}m away`;
+    }
+    if (turn && turn.complete) {
+        const format = playerState.game.format;
+        const leader = getLeaderboard()[0];
+        statusMsg = `🏆 ${leader.name} wins ${GAME_FORMATS[format]} (${formatGameScore(leader, format)})! Tap "Tee Up" for a new game`;
+        leaderboardView.active = true;
+    } else if (turn) {
+        statusMsg += ` | Next: ${turn.next.name}`;
+    }
+    if (saved === false) {
+        statusMsg += ' | ⚠️ Storage full - shot not saved to history';
     }
+    updateStatus(statusMsg);
 }
 
 // ============================================
@@ -219,10 +353,27 @@ export function resetBallFlight() {
     ballFlight.velocity = { x: 0, y: 0, z: 0 };
     ballFlight.spin = { x: 0, y: 0, z: 0 };
     ballFlight.initialSpin = { x: 0, y: 0, z: 0 };
+    ballFlight.wind = null;
+    ballFlight.terrain = null;
+    ballFlight.frame = null;
+    ballFlight.obstacleShapes = [];
+    ballFlight.cup = null;
+    ballFlight.holed = false;
+    ballFlight.surface = null;
+    ballFlight.landingSurface = null;
+    ballFlight.obstacle = null;
     ballFlight.flying = false;
+    ballFlight.rolling = false;
+    ballFlight.phase = 'air';
+    ballFlight.bounces = 0;
     ballFlight.startTime = 0;
     ballFlight.lastUpdateTime = 0;
+    ballFlight.accumulator = 0;
+    ballFlight.flightTime = 0;
     ballFlight.landingDistance = 0;
+    ballFlight.landingPosition = null;
+    ballFlight.landingIndex = -1;
+    ballFlight.totalDistance = 0;
     ballFlight.maxHeight = 0;
     ballFlight.trajectory = [];
 
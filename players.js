@@ -0,0 +1,220 @@
+// ============================================
+// PLAYERS MODULE
+// ============================================
+// Pass-and-play: several players share one phone and take turns on the
+// driving range. The turn passes on once a shot has come to rest (results
+// showing), each player's shots are kept for the leaderboard. No DOM -
+// ui.js edits the names, renderer.js draws the turn banner and leaderboard.
+//
+// GAME FORMATS:
+//   'free'      Play in turn, stats per player, no winner
+//   'longest'   Longest drive: best total distance after N shots each
+//   'closest'   Closest to the pin: best finish to the target after N shots each.
+//               With random targets everyone plays the same target in a
+//               round (one shot each), a new one the next round.
+//   Shots into water or out of bounds don't count for either.
+//
+// GAME (stored so a game survives reloads):
+//   { gameId, format, shotsEach, turn, complete,
+//     roundTarget: { round, position } | null   (closest to the pin)
+//     players: [{ name, color, shots: [{ total, accuracy, valid, club }] }] }
+
+import { addDebugMessage, createId } from './utils.js';
+import { saveGame, loadGame } from './storage.js';
+
+export const GAME_FORMATS = {
+    free: 'Free play',
+    longest: 'Longest drive',
+    closest: 'Closest to the pin'
+};
+
+export const MAX_PLAYERS = 6;
+const MAX_NAME_LENGTH = 16;
+const PLAYER_COLORS = ['#FF6B6B', '#4ECDC4', '#FFD93D', '#6C9EFF', '#C780FA', '#FF9F43'];
+
+// ============================================
+// GAME STATE
+// ============================================
+export const playerState = {
+    game: null      // Game in progress (or just finished), null for single player
+};
+
+// Leaderboard overlay
+export const leaderboardView = {
+    active: false,
+    bounds: null    // Overlay rectangle (set by renderer, used for taps)
+};
+
+// Names typed in settings ("Anna, Ben") → clean list (names must differ)
+export function parsePlayerNames(text) {
+    return text.split(',')
+        .map(name => name.trim().slice(0, MAX_NAME_LENGTH))
+        .filter((name, i, names) => name.length > 0 && names.indexOf(name) === i)
+        .slice(0, MAX_PLAYERS);
+}
+
+// Two or more players take turns (driving range only: a hole or course
+// has a single ball and scorecard)
+export function isMultiplayer(settings) {
+    return settings.gameMode === 'range' && Boolean(playerState.game);
+}
+
+function createGame(settings) {
+    return {
+        gameId: createId('game'),
+        format: GAME_FORMATS[settings.gameFormat] ? settings.gameFormat : 'free',
+        shotsEach: settings.shotsEach,
+        turn: 0,
+        complete: false,
+        roundTarget: null,
+        players: settings.playerNames.map((name, i) => ({
+            name: name,
+            color: PLAYER_COLORS[i % PLAYER_COLORS.length],
+            shots: []
+        }))
+    };
+}
+
+// Stored game belongs to these settings (same players, format and length)
+function gameMatches(game, settings) {
+    return game &&
+        game.format === settings.gameFormat &&
+        game.shotsEach === settings.shotsEach &&
+        Array.isArray(game.players) &&
+        game.players.length === settings.playerNames.length &&
+        game.players.every((player, i) => player.name === settings.playerNames[i] && Array.isArray(player.shots));
+}
+
+// Set up the game for the players in settings. A stored game with the
+// same players is resumed, otherwise a new game starts.
+export function setupGame(settings) {
+    if (settings.playerNames.length < 2) {
+        playerState.game = null;
+        leaderboardView.active = false;
+        return null;
+    }
+    if (gameMatches(playerState.game, settings)) {
+        return playerState.game;
+    }
+
+    const stored = loadGame();
+    if (gameMatches(stored, settings)) {
+        playerState.game = stored;
+        addDebugMessage(`👥 Resumed ${GAME_FORMATS[stored.format]}: ${getCurrentPlayer().name}'s turn`);
+    } else {
+        playerState.game = createGame(settings);
+        saveGame(playerState.game);
+        addDebugMessage(`👥 New game: ${GAME_FORMATS[playerState.game.format]}, ${settings.playerNames.join(', ')}`);
+    }
+    return playerState.game;
+}
+
+// Same players again, scores cleared
+export function startNewGame() {
+    const game = playerState.game;
+    if (!game) return null;
+    game.gameId = createId('game');
+    game.turn = 0;
+    game.complete = false;
+    game.roundTarget = null;
+    game.players.forEach(player => { player.shots = []; });
+    saveGame(game);
+    addDebugMessage(`👥 New game: ${GAME_FORMATS[game.format]}`);
+    return game;
+}
+
+export function getCurrentPlayer() {
+    const game = playerState.game;
+    return game ? game.players[game.turn] : null;
+}
+
+// ============================================
+// ROUND TARGET
+// ============================================
+// Closest to the pin compares misses, so they must be to the same target.
+// A round lasts until every player has one more shot.
+function getRound(game) {
+    return Math.min(...game.players.map(player => player.shots.length));
+}
+
+// Target everyone in this round plays to, null if it isn't picked yet (or
+// the format doesn't share targets)
+export function getRoundTarget() {
+    const game = playerState.game;
+    if (!game || game.format !== 'closest' || !game.roundTarget) return null;
+    return game.roundTarget.round === getRound(game) ? { ...game.roundTarget.position } : null;
+}
+
+// Keep the target picked for the first shot of the round
+export function setRoundTarget(position) {
+    const game = playerState.game;
+    if (!game || game.format !== 'closest') return;
+    game.roundTarget = { round: getRound(game), position: { ...position } };
+    saveGame(game);
+}
+
+// ============================================
+// TURNS
+// ============================================
+// Score a finished shot for the player whose turn it was and pass the phone
+// on. Returns { player, next, complete } (null without a game).
+export function recordPlayerShot(shot) {
+    const game = playerState.game;
+    if (!game || game.complete) return null;
+
+    const player = game.players[game.turn];
+    player.shots.push({
+        total: shot.totalDistance ?? shot.distance ?? 0,
+        accuracy: shot.targetAccuracy ?? null,
+        valid: !shot.penalty,
+        club: shot.club ?? null
+    });
+
+    // Formats with a winner end once everyone has had their shots
+    game.complete = game.format !== 'free' &&
+        game.players.every(p => p.shots.length >= game.shotsEach);
+    game.turn = (game.turn + 1) % game.players.length;
+    saveGame(game);
+
+    addDebugMessage(`👥 ${player.name}: shot ${player.shots.length}${game.complete ? ' - game over' : ''}`);
+    return { player: player, next: game.players[game.turn], complete: game.complete };
+}
+
+// ============================================
+// LEADERBOARD
+// ============================================
+// Per-player stats, best first for the game format (turn order in free play).
+// best: longest total (longest drive) or smallest miss (closest to the pin).
+export function getLeaderboard() {
+    const game = playerState.game;
+    if (!game) return [];
+
+    const rows = game.players.map(player => {
+        const valid = player.shots.filter(shot => shot.valid);
+        const totals = valid.map(shot => shot.total);
+        const misses = valid.filter(shot => shot.accuracy !== null).map(shot => shot.accuracy);
+        return {
+            name: player.name,
+            color: player.color,
+            shots: player.shots.length,
+            longest: totals.length > 0 ? Math.max(...totals) : null,
+            closest: misses.length > 0 ? Math.min(...misses) : null,
+            average: totals.length > 0 ? totals.reduce((sum, total) => sum + total, 0) / totals.length : null
+        };
+    });
+
+    if (game.format === 'longest') {
+        rows.sort((a, b) => (b.longest ?? -1) - (a.longest ?? -1));
+    } else if (game.format === 'closest') {
+        rows.sort((a, b) => (a.closest ?? Number.MAX_VALUE) - (b.closest ?? Number.MAX_VALUE));
+    }
+    return rows;
+}
+
+// Leader's score in the game's format ("182.4m", "1.2m from the pin")
+export function formatGameScore(row, format) {
+    if (format === 'closest') {
+        return row.closest !== null ? `${row.closest.toFixed(1)}m from the pin` : 'no valid shot';
+    }
+    return row.longest !== null ? `${row.longest.toFixed(1)}m` : 'no valid shot';
+}
@@ -4,10 +4,20 @@
 
 import { GameState, groundLinePercent, camera, getCameraForAspectRatio } from './config.js';
 import { project3DToScreen, debugLog, addDebugMessage } from './utils.js';
-import { clubTipTracking } from './tracking.js';
-import { ballFlight } from './physics.js';
+import { clubTipTracking, describeClubDelivery } from './tracking.js';
+import { ballFlight, describePuttPace, describePuttLine } from './physics.js';
 import { imuData, imuPermissionGranted } from './sensors.js';
-import { targetState } from './game-logic.js';
+import { targetState, windState, terrainState, shotFrame, holeState } from './game-logic.js';
+import { isPutting } from './impact.js';
+import { statsView, STATS_RANGE_NAMES } from './stats.js';
+import { resimView } from './resimulate.js';
+import { scorecardView, courseState, getScoreSummary, formatToPar, describeScore } from './course.js';
+import { getClubName } from './clubs.js';
+import { playerState, leaderboardView, isMultiplayer, getCurrentPlayer, getLeaderboard, formatGameScore, GAME_FORMATS } from './players.js';
+import { getWindVelocity, rotateHeading, toShotFrame, fromShotFrame, getGroundHeight, getShotObstacleShapes } from './simulation.js';
+import { SURFACES, getSurface, getZoneOutline, describeSurface, getSlopeAt, getContourSegments } from './terrain.js';
+import { OBSTACLE_MATERIALS } from './obstacles.js';
+import { describeTempo } from './swing-analysis.js';
 
 // Canvas references
 let canvas = null;
@@ -274,6 +284,15 @@ drawGround();
 // Draw target (if active)
 drawTarget();
 
+// Obstacles behind the ball (all of them without a ball in play);
+// drawBall adds the ones between the camera and the ball
+drawObstacles(isBallInPlay() ? ballFlight.position.z : -Infinity, Infinity);
+
+drawWindIndicator();
+drawHoleInfo();
+drawTurnBanner();
+drawGreenView();
+
 // Update and draw based on state
 switch (gameState()) {
 case GameState.READY_TO_SET_BALL:
@@ -336,6 +355,32 @@ if (gameState() === GameState.SHOWING_RESULTS) {
 drawResults();
 }
 
+// Re-simulation comparison
+if (resimView.active) {
+drawResimulation();
+}
+
+// Course scorecard
+if (scorecardView.active) {
+drawScorecard();
+}
+
+// Pass-and-play leaderboard
+if (leaderboardView.active) {
+drawLeaderboard();
+}
+
+// Stats dashboard covers everything while open
+if (statsView.active) {
+if (statsView.page === 'dispersion') {
+drawDispersion();
+} else if (statsView.page === 'clubs') {
+drawClubStats();
+} else {
+drawStats();
+}
+}
+
 // Continue rendering loop
 requestAnimationFrame(render);
 }
@@ -488,7 +533,7 @@ ctx.strokeRect(overlayX, overlayY, overlayW, overlayH);
 ctx.fillStyle = '#ffff00';
 ctx.font = 'bold 24px Arial';
 ctx.textAlign = 'left';
-ctx.fillText(`📼 Replay ${swingRecorder.replayIndex + 1}/${swingRecorder.recordedSwings.length}`, overlayX + 20, overlayY + 35);
+ctx.fillText(`📼 ${swing.name || `Replay ${swingRecorder.replayIndex + 1}`}`, overlayX + 20, overlayY + 35);
 
 // Camera view indicator
 ctx.font = 'bold 18px Arial';
@@ -746,10 +791,73 @@ ctx.fillText(axis.label, centerX + end.x, centerY + end.y - 5);
 });
 }
 
+// Nearest ground distance drawn (points behind the camera can't be projected)
+const GROUND_NEAR_Z = 0;
+
+// Longest outline edge drawn straight on hilly ground (m)
+const GROUND_EDGE_STEP = 10;
+
+// Contour line spacing (m of height)
+const CONTOUR_INTERVAL = 0.5;
+
+// Contours of the current terrain (worked out once per terrain)
+let contourCache = { terrain: null, segments: [] };
+
+// Ground height under a point of the current view (shot frame, 0 at the ball)
+function groundY(x, z) {
+return getGroundHeight(terrainState.terrain, shotFrame, x, z);
+}
+
+// Split long outline edges so they follow hills (no-op on flat terrain)
+function followGround(points) {
+if (!terrainState.terrain || !terrainState.terrain.elevation) return points;
+const result = [];
+points.forEach((a, i) => {
+const b = points[(i + 1) % points.length];
+const steps = Math.max(1, Math.ceil(Math.sqrt((b.x - a.x) ** 2 + (b.z - a.z) ** 2) / GROUND_EDGE_STEP));
+for (let s = 0; s < steps; s++) {
+result.push({ x: a.x + (b.x - a.x) * s / steps, z: a.z + (b.z - a.z) * s / steps });
+}
+});
+return result;
+}
+
+// Fill a ground polygon ({x, z} points on the ground) in perspective, clipped at GROUND_NEAR_Z
+function fillGroundPolygon(points) {
+points = followGround(points);
+const clipped = [];
+for (let i = 0; i < points.length; i++) {
+const a = points[i];
+const b = points[(i + 1) % points.length];
+const aInside = a.z >= GROUND_NEAR_Z;
+const bInside = b.z >= GROUND_NEAR_Z;
+if (aInside) clipped.push(a);
+if (aInside !== bInside) {
+const t = (GROUND_NEAR_Z - a.z) / (b.z - a.z);
+clipped.push({ x: a.x + (b.x - a.x) * t, z: GROUND_NEAR_Z });
+}
+}
+if (clipped.length < 3) return;
+
+ctx.beginPath();
+clipped.forEach((point, i) => {
+// Off-screen points still give usable coordinates for the outline
+const pos = project3DToScreen(point.x, groundY(point.x, point.z), point.z, canvas);
+if (i === 0) {
+ctx.moveTo(pos.x, pos.y);
+} else {
+ctx.lineTo(pos.x, pos.y);
+}
+});
+ctx.closePath();
+ctx.fill();
+}
+
 export function drawGround() {
-// Draw perspective fairway looking down the course
+// Draw perspective course terrain looking down the range
 const responsiveCamera = getCameraForAspectRatio(canvas.width, canvas.height);
 const groundLine = canvas.height * responsiveCamera.groundLinePercent;
+const terrain = terrainState.terrain;
 
 // Sky
 const gradient = ctx.createLinearGradient(0, 0, 0, groundLine);
@@ -758,9 +866,23 @@ gradient.addColorStop(1, '#B0E0E6');
 ctx.fillStyle = gradient;
 ctx.fillRect(0, 0, canvas.width, groundLine);
 
-// Ground/fairway
-ctx.fillStyle = '#90EE90';
+// Ground outside every zone (hills can rise above the flat horizon)
+ctx.fillStyle = getSurface(terrain ? terrain.defaultSurface : 'fairway').color;
 ctx.fillRect(0, groundLine, canvas.width, canvas.height - groundLine);
+if (terrain && terrain.elevation) {
+fillGroundPolygon([{ x: -400, z: 0 }, { x: 400, z: 0 }, { x: 400, z: 600 }, { x: -400, z: 600 }]);
+}
+
+// Surface zones, later zones on top
+if (terrain) {
+for (const zone of terrain.zones) {
+ctx.fillStyle = (SURFACES[zone.surface] || SURFACES.fairway).color;
+// Terrain is in world coordinates, the view looks along the shot's aim line
+fillGroundPolygon(getZoneOutline(zone).map(point => toShotFrame(point, shotFrame)));
+}
+}
+
+drawContours();
 
 // Draw perspective grid to show depth
 ctx.strokeStyle = 'rgba(0, 100, 0, 0.3)';
@@ -768,9 +890,8 @@ ctx.lineWidth = 1;
 
 // Horizontal lines (distance markers) - draw from near to far
 for (let z = 0; z <= 100; z += 10) {
-// Left and right edges of fairway
-const leftPos = project3DToScreen(-5, 0, z, canvas);
-const rightPos = project3DToScreen(5, 0, z, canvas);
+const leftPos = project3DToScreen(-5, groundY(-5, z), z, canvas);
+const rightPos = project3DToScreen(5, groundY(5, z), z, canvas);
 
 if (leftPos.visible && rightPos.visible) {
 ctx.beginPath();
@@ -780,54 +901,215 @@ ctx.stroke();
 }
 }
 
-// Vertical lines (fairway edges)
-ctx.strokeStyle = 'rgba(0, 100, 0, 0.5)';
-ctx.lineWidth = 2;
+// Center line (over the hills)
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+ctx.lineWidth = 1;
+ctx.setLineDash([5, 5]);
+ctx.beginPath();
+for (let z = 0; z <= 100; z += GROUND_EDGE_STEP) {
+const pos = project3DToScreen(0, groundY(0, z), z, canvas);
+if (z === 0) {
+ctx.moveTo(pos.x, pos.y);
+} else {
+ctx.lineTo(pos.x, pos.y);
+}
+}
+ctx.stroke();
+ctx.setLineDash([]);
+}
+
+function drawContours() {
+// Height contour lines of the heightfield, drawn on the ground in perspective
+const terrain = terrainState.terrain;
+if (!terrain || !terrain.elevation) return;
+if (contourCache.terrain !== terrain) {
+contourCache = { terrain: terrain, segments: getContourSegments(terrain, CONTOUR_INTERVAL) };
+}
 
-// Left edge
-const nearLeft = project3DToScreen(-5, 0, 0, canvas);
-const farLeft = project3DToScreen(-5, 0, 100, canvas);
-if (nearLeft.visible || farLeft.visible) {
+ctx.strokeStyle = 'rgba(0, 60, 0, 0.35)';
+ctx.lineWidth = 1;
 ctx.beginPath();
-ctx.moveTo(nearLeft.x, nearLeft.y);
-ctx.lineTo(farLeft.x, farLeft.y);
+for (const segment of contourCache.segments) {
+let a = toShotFrame(segment.a, shotFrame);
+let b = toShotFrame(segment.b, shotFrame);
+if (a.z < GROUND_NEAR_Z && b.z < GROUND_NEAR_Z) continue;
+// Clip at the near edge of the view
+if (a.z < GROUND_NEAR_Z || b.z < GROUND_NEAR_Z) {
+const t = (GROUND_NEAR_Z - a.z) / (b.z - a.z);
+const cut = { x: a.x + (b.x - a.x) * t, z: GROUND_NEAR_Z };
+if (a.z < GROUND_NEAR_Z) {
+a = cut;
+} else {
+b = cut;
+}
+}
+const from = project3DToScreen(a.x, groundY(a.x, a.z), a.z, canvas);
+const to = project3DToScreen(b.x, groundY(b.x, b.z), b.z, canvas);
+ctx.moveTo(from.x, from.y);
+ctx.lineTo(to.x, to.y);
+}
 ctx.stroke();
 }
 
-// Right edge
-const nearRight = project3DToScreen(5, 0, 0, canvas);
-const farRight = project3DToScreen(5, 0, 100, canvas);
-if (nearRight.visible || farRight.visible) {
+// ============================================
+// OBSTACLES
+// ============================================
+// Trees, walls and nets in perspective, far to near so nearer ones cover
+// farther ones. Only shapes with depth (shot-frame z) in [minDepth, maxDepth),
+// so a canopy and its trunk each land on their own side of the ball.
+
+function isBallInPlay() {
+return gameState() === GameState.BALL_FLYING || gameState() === GameState.SHOWING_RESULTS;
+}
+
+// Shapes placed for the current terrain and shot frame, far to near. Placed
+// again only when the target, hole or lie changes.
+const viewObstacles = {
+terrain: null,
+frame: null,
+shapes: []      // [{ shape, depth }]
+};
+
+// Nearest point of a shape to the camera (walls and nets run across depths)
+function getShapeDepth(shape) {
+return shape.kind === 'panel' ? Math.min(shape.z1, shape.z2) : shape.z;
+}
+
+function getViewObstacles() {
+const frame = viewObstacles.frame;
+if (viewObstacles.terrain !== terrainState.terrain || !frame ||
+frame.origin.x !== shotFrame.origin.x || frame.origin.z !== shotFrame.origin.z ||
+frame.heading !== shotFrame.heading) {
+viewObstacles.terrain = terrainState.terrain;
+viewObstacles.frame = { origin: { ...shotFrame.origin }, heading: shotFrame.heading };
+viewObstacles.shapes = getShotObstacleShapes(terrainState.terrain, shotFrame)
+.map(shape => ({ shape: shape, depth: getShapeDepth(shape) }))
+.sort((a, b) => b.depth - a.depth);
+}
+return viewObstacles.shapes;
+}
+
+function drawObstacles(minDepth, maxDepth) {
+getViewObstacles()
+.filter(obstacle => obstacle.depth >= minDepth && obstacle.depth < maxDepth)
+.forEach(obstacle => drawObstacleShape(obstacle.shape));
+}
+
+function drawObstacleShape(shape) {
+const material = OBSTACLE_MATERIALS[shape.material];
+
+if (shape.kind === 'panel') {
+drawObstaclePanel(shape, material);
+return;
+}
+if (shape.z < GROUND_NEAR_Z) return;
+
+if (shape.kind === 'cylinder') {
+// Trunk: tapered quad from the ground to the canopy
+const base = project3DToScreen(shape.x, shape.base, shape.z, canvas);
+const top = project3DToScreen(shape.x, shape.top, shape.z, canvas);
+const baseHalf = Math.max(1, shape.radius * base.scale);
+const topHalf = Math.max(1, shape.radius * 0.7 * top.scale);
+ctx.fillStyle = material.color;
+ctx.beginPath();
+ctx.moveTo(base.x - baseHalf, base.y);
+ctx.lineTo(base.x + baseHalf, base.y);
+ctx.lineTo(top.x + topHalf, top.y);
+ctx.lineTo(top.x - topHalf, top.y);
+ctx.closePath();
+ctx.fill();
+return;
+}
+
+// Canopy: shaded ball of leaves
+const center = project3DToScreen(shape.x, shape.y, shape.z, canvas);
+const radius = Math.max(2, shape.radius * center.scale);
+const shade = ctx.createRadialGradient(center.x - radius * 0.3, center.y - radius * 0.3, radius * 0.1, center.x, center.y, radius);
+shade.addColorStop(0, '#4E9A4E');
+shade.addColorStop(1, material.color);
+ctx.fillStyle = shade;
 ctx.beginPath();
-ctx.moveTo(nearRight.x, nearRight.y);
-ctx.lineTo(farRight.x, farRight.y);
+ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+ctx.fill();
+ctx.strokeStyle = 'rgba(0, 40, 0, 0.4)';
+ctx.lineWidth = 1;
 ctx.stroke();
 }
 
-// Center line
-ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+// Wall or net: upright band following the ground, clipped at GROUND_NEAR_Z
+function drawObstaclePanel(panel, material) {
+let a = { x: panel.x1, z: panel.z1 };
+let b = { x: panel.x2, z: panel.z2 };
+if (a.z < GROUND_NEAR_Z && b.z < GROUND_NEAR_Z) return;
+if (a.z < GROUND_NEAR_Z || b.z < GROUND_NEAR_Z) {
+const t = (GROUND_NEAR_Z - a.z) / (b.z - a.z);
+const cut = { x: a.x + (b.x - a.x) * t, z: GROUND_NEAR_Z };
+if (a.z < GROUND_NEAR_Z) {
+a = cut;
+} else {
+b = cut;
+}
+}
+
+const steps = Math.max(1, Math.ceil(Math.sqrt((b.x - a.x) ** 2 + (b.z - a.z) ** 2) / GROUND_EDGE_STEP));
+const bottom = [];
+const top = [];
+for (let i = 0; i <= steps; i++) {
+const x = a.x + (b.x - a.x) * i / steps;
+const z = a.z + (b.z - a.z) * i / steps;
+const y = groundY(x, z);
+bottom.push(project3DToScreen(x, y, z, canvas));
+top.push(project3DToScreen(x, y + panel.height, z, canvas));
+}
+
+ctx.fillStyle = material.color;
+ctx.beginPath();
+bottom.forEach((pos, i) => {
+if (i === 0) {
+ctx.moveTo(pos.x, pos.y);
+} else {
+ctx.lineTo(pos.x, pos.y);
+}
+});
+for (let i = top.length - 1; i >= 0; i--) {
+ctx.lineTo(top[i].x, top[i].y);
+}
+ctx.closePath();
+ctx.fill();
+
+// Posts along a net, capstones along a wall
+ctx.strokeStyle = panel.material === 'net' ? 'rgba(80, 80, 80, 0.8)' : 'rgba(60, 55, 50, 0.8)';
 ctx.lineWidth = 1;
-ctx.setLineDash([5, 5]);
-const nearCenter = project3DToScreen(0, 0, 0, canvas);
-const farCenter = project3DToScreen(0, 0, 100, canvas);
-if (nearCenter.visible || farCenter.visible) {
 ctx.beginPath();
-ctx.moveTo(nearCenter.x, nearCenter.y);
-ctx.lineTo(farCenter.x, farCenter.y);
-ctx.stroke();
+if (panel.material === 'net') {
+bottom.forEach((pos, i) => {
+ctx.moveTo(pos.x, pos.y);
+ctx.lineTo(top[i].x, top[i].y);
+});
 }
-ctx.setLineDash([]);
+top.forEach((pos, i) => {
+if (i === 0) {
+ctx.moveTo(pos.x, pos.y);
+} else {
+ctx.lineTo(pos.x, pos.y);
+}
+});
+ctx.stroke();
 }
 
 export function drawTarget() {
 // Draw target with pole and red flag if active
 if (!targetState.active) return;
 
+// Pin as seen from the ball (shot frame), on the ground there
+const pin = toShotFrame(targetState.position, shotFrame);
+const pinY = groundY(pin.x, pin.z);
+
 // Project target position to screen using fixed camera (like ground elements)
 const targetPos = project3DToScreen(
-targetState.position.x,
-targetState.position.y,
-targetState.position.z,
+pin.x,
+pinY,
+pin.z,
 canvas
 );
 
@@ -836,9 +1118,9 @@ if (!targetPos.visible) return;
 // Pole configuration
 const poleHeight = 2.5; // meters
 const poleTop = project3DToScreen(
-targetState.position.x,
-poleHeight,
-targetState.position.z,
+pin.x,
+pinY + poleHeight,
+pin.z,
 canvas
 );
 
@@ -852,29 +1134,30 @@ ctx.moveTo(targetPos.x, targetPos.y);
 ctx.lineTo(poleTop.x, poleTop.y);
 ctx.stroke();
 
-// Draw flag (red triangle at top of pole)
+// Draw flag (red triangle at top of pole), blowing downwind
 const flagWidth = 0.6; // meters
 const flagHeight = 0.4; // meters
 
-// Flag points relative to pole top
-const flagRight = project3DToScreen(
-targetState.position.x + flagWidth,
-poleHeight - flagHeight / 2,
-targetState.position.z,
-canvas
-);
+// Flag streams out with the (gusting) wind and droops when calm
+const wind = rotateHeading(getWindVelocity(windState.active ? windState : null, lastRenderTime / 1000), -shotFrame.heading);
+const windSpeed = Math.sqrt(wind.x ** 2 + wind.z ** 2);
+const strength = Math.min(1, windSpeed / 10);
+const flagDirX = windSpeed > 0 ? wind.x / windSpeed : 1;
+const flagDirZ = windSpeed > 0 ? wind.z / windSpeed : 0;
+const droop = (1 - strength) * 0.3;
+const flutter = Math.sin(lastRenderTime / 80) * 0.06 * strength;
 
 const flagTip = project3DToScreen(
-targetState.position.x + flagWidth,
-poleHeight,
-targetState.position.z,
+pin.x + flagDirX * flagWidth * (1 - droop),
+pinY + poleHeight - flagHeight / 2 - droop + flutter,
+pin.z + flagDirZ * flagWidth * (1 - droop),
 canvas
 );
 
 const flagBottom = project3DToScreen(
-targetState.position.x + flagWidth,
-poleHeight - flagHeight,
-targetState.position.z,
+pin.x,
+pinY + poleHeight - flagHeight,
+pin.z,
 canvas
 );
 
@@ -884,8 +1167,8 @@ ctx.strokeStyle = '#8B0000'; // Dark red border
 ctx.lineWidth = 1;
 ctx.beginPath();
 ctx.moveTo(poleTop.x, poleTop.y); // Pole attachment point
-ctx.lineTo(flagTip.x, flagTip.y);  // Flag tip (right)
-ctx.lineTo(flagBottom.x, flagBottom.y); // Flag bottom
+ctx.lineTo(flagTip.x, flagTip.y);  // Flag tip (downwind)
+ctx.lineTo(flagBottom.x, flagBottom.y); // Back to the pole
 ctx.closePath();
 ctx.fill();
 ctx.stroke();
@@ -898,17 +1181,264 @@ ctx.beginPath();
 ctx.arc(targetPos.x, targetPos.y, targetRadius * targetPos.scale, 0, Math.PI * 2);
 ctx.stroke();
 
+// Cup (hole mode)
+if (holeState.active) {
+ctx.fillStyle = '#111111';
+ctx.beginPath();
+const cupRadius = Math.max(2, holeState.cup.radius * targetPos.scale);
+ctx.ellipse(targetPos.x, targetPos.y, cupRadius, cupRadius * 0.4, 0, 0, Math.PI * 2);
+ctx.fill();
+}
+
 // Draw distance label
 ctx.fillStyle = 'white';
 ctx.strokeStyle = 'black';
 ctx.lineWidth = 3;
 ctx.font = `bold ${Math.max(12, 14 * targetPos.scale / 100)}px Arial`;
 ctx.textAlign = 'center';
-const distLabel = `${targetState.position.z.toFixed(0)}m`;
+const distLabel = `${Math.sqrt(pin.x ** 2 + pin.z ** 2).toFixed(0)}m`;
 ctx.strokeText(distLabel, targetPos.x, targetPos.y + 20);
 ctx.fillText(distLabel, targetPos.x, targetPos.y + 20);
 }
 
+export function drawWindIndicator() {
+// Wind compass in the top-right corner: arrow shows where the wind blows,
+// up = along the aim line
+if (!windState.active) return;
+
+const radius = 28;
+const cx = canvas.width - radius - 15;
+const cy = radius + 15;
+
+ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+ctx.beginPath();
+ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+ctx.fill();
+
+// Gusts make the arrow grow and shrink
+const wind = getWindVelocity(windState, lastRenderTime / 1000);
+const gustSpeed = Math.sqrt(wind.x ** 2 + wind.z ** 2);
+const length = (radius - 6) * Math.min(1, 0.4 + gustSpeed / 15);
+const angle = windState.direction * Math.PI / 180 - shotFrame.heading;
+const dirX = Math.sin(angle);
+const dirY = -Math.cos(angle); // Screen Y points down
+
+ctx.strokeStyle = '#ffffff';
+ctx.fillStyle = '#ffffff';
+ctx.lineWidth = 3;
+ctx.beginPath();
+ctx.moveTo(cx - dirX * length, cy - dirY * length);
+ctx.lineTo(cx + dirX * length, cy + dirY * length);
+ctx.stroke();
+
+// Arrow head
+const headX = cx + dirX * length;
+const headY = cy + dirY * length;
+ctx.beginPath();
+ctx.moveTo(headX, headY);
+ctx.lineTo(headX - dirX * 8 - dirY * 5, headY - dirY * 8 + dirX * 5);
+ctx.lineTo(headX - dirX * 8 + dirY * 5, headY - dirY * 8 - dirX * 5);
+ctx.closePath();
+ctx.fill();
+
+// Speed label
+ctx.font = 'bold 13px Arial';
+ctx.textAlign = 'center';
+ctx.strokeStyle = 'black';
+ctx.lineWidth = 3;
+const label = `💨 ${windState.speed.toFixed(1)} m/s`;
+ctx.strokeText(label, cx, cy + radius + 16);
+ctx.fillText(label, cx, cy + radius + 16);
+}
+
+export function drawHoleInfo() {
+// Hole progress in the bottom-left corner (hole mode)
+if (!holeState.active) return;
+
+const distanceToPin = Math.sqrt(
+(holeState.cup.x - holeState.ballPosition.x) ** 2 +
+(holeState.cup.z - holeState.ballPosition.z) ** 2
+);
+const name = holeState.number
+? `Hole ${holeState.number} · Par ${holeState.par} · ${holeState.length.toFixed(0)}m`
+: `${holeState.length.toFixed(0)}m hole`;
+const text = holeState.holed
+? `⛳ ${name} - holed in ${holeState.strokes}`
+: `⛳ ${name} | Strokes: ${holeState.strokes} | ${distanceToPin.toFixed(1)}m to pin`;
+
+ctx.font = 'bold 15px Arial';
+ctx.textAlign = 'left';
+ctx.strokeStyle = 'black';
+ctx.lineWidth = 3;
+ctx.strokeText(text, 12, canvas.height - 14);
+ctx.fillStyle = 'white';
+ctx.fillText(text, 12, canvas.height - 14);
+}
+
+export function drawTurnBanner() {
+// Whose turn it is in a pass-and-play game, bottom-left (the range has no
+// hole info there). While results show, the turn has already passed on.
+if (!isMultiplayer(settings)) return;
+
+const game = playerState.game;
+const player = getCurrentPlayer();
+const round = game.format === 'free'
+? GAME_FORMATS.free
+: `${GAME_FORMATS[game.format]} · shot ${Math.min(player.shots.length + 1, game.shotsEach)}/${game.shotsEach}`;
+const text = game.complete
+? `🏆 ${GAME_FORMATS[game.format]} over - tap 📋`
+: `${gameState() === GameState.SHOWING_RESULTS ? 'Next' : 'Up'}: ${player.name} | ${round}`;
+
+ctx.font = 'bold 15px Arial';
+ctx.textAlign = 'left';
+const width = ctx.measureText(text).width;
+ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+ctx.fillRect(8, canvas.height - 36, width + 26, 28);
+ctx.fillStyle = game.complete ? '#FFD700' : player.color;
+ctx.fillRect(8, canvas.height - 36, 6, 28);
+ctx.fillStyle = 'white';
+ctx.fillText(text, 22, canvas.height - 16);
+}
+
+export function drawGreenView() {
+// Top-down view of the green below the countdown while putting: ball, hole,
+// downhill arrows of the slope and the roll path. Up = along the aim line.
+if (!targetState.active || !(isPutting(settings) || ballFlight.rolling)) return;
+if (swingRecorder.replayMode || statsView.active || scorecardView.active) return;
+
+// The putt in progress keeps its own frame; otherwise the next shot's
+const frame = ballFlight.rolling ? ballFlight.frame : shotFrame;
+const terrain = ballFlight.rolling ? ballFlight.terrain : terrainState.terrain;
+const hole = toShotFrame(targetState.position, frame);
+const ball = ballFlight.rolling ? ballFlight.position : { x: 0, z: 0 };
+
+// Fit ball and hole in the panel
+const size = Math.min(160, canvas.width * 0.4, canvas.height * 0.22);
+const panelX = canvas.width / 2 - size / 2;
+const panelY = 48;   // Below the swing countdown
+const holeDistance = Math.sqrt(hole.x ** 2 + hole.z ** 2);
+const scale = size * 0.8 / Math.max(holeDistance, 4);
+const midX = hole.x / 2;
+const midZ = hole.z / 2;
+const toPanel = point => ({
+x: panelX + size / 2 + (point.x - midX) * scale,
+y: panelY + size / 2 - (point.z - midZ) * scale
+});
+
+ctx.save();
+ctx.beginPath();
+ctx.rect(panelX, panelY, size, size);
+ctx.clip();
+
+// Ground and zones
+ctx.fillStyle = getSurface(terrain ? terrain.defaultSurface : 'fairway').color;
+ctx.fillRect(panelX, panelY, size, size);
+if (terrain) {
+for (const zone of terrain.zones) {
+ctx.fillStyle = (SURFACES[zone.surface] || SURFACES.fairway).color;
+ctx.beginPath();
+getZoneOutline(zone).forEach((point, i) => {
+const pos = toPanel(toShotFrame(point, frame));
+if (i === 0) {
+ctx.moveTo(pos.x, pos.y);
+} else {
+ctx.lineTo(pos.x, pos.y);
+}
+});
+ctx.closePath();
+ctx.fill();
+}
+}
+
+// Slope: arrows point downhill, longer = steeper
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+ctx.lineWidth = 1.5;
+const cells = 5;
+for (let row = 0; row < cells; row++) {
+for (let col = 0; col < cells; col++) {
+const sx = panelX + (col + 0.5) * size / cells;
+const sy = panelY + (row + 0.5) * size / cells;
+const local = { x: midX + (sx - panelX - size / 2) / scale, z: midZ - (sy - panelY - size / 2) / scale };
+const world = fromShotFrame(local, frame);
+const slope = getSlopeAt(terrain, world.x, world.z);
+const downhill = rotateHeading({ x: -slope.x, y: 0, z: -slope.z }, frame ? -frame.heading : 0);
+const steepness = Math.sqrt(downhill.x ** 2 + downhill.z ** 2);
+if (steepness < 0.002) continue;
+const length = Math.min(12, steepness * 400);
+const dirX = downhill.x / steepness;
+const dirY = -downhill.z / steepness;
+ctx.beginPath();
+ctx.moveTo(sx - dirX * length / 2, sy - dirY * length / 2);
+ctx.lineTo(sx + dirX * length / 2, sy + dirY * length / 2);
+ctx.lineTo(sx + dirX * length / 2 - dirX * 4 - dirY * 3, sy + dirY * length / 2 - dirY * 4 + dirX * 3);
+ctx.moveTo(sx + dirX * length / 2, sy + dirY * length / 2);
+ctx.lineTo(sx + dirX * length / 2 - dirX * 4 + dirY * 3, sy + dirY * length / 2 - dirY * 4 - dirX * 3);
+ctx.stroke();
+}
+}
+
+// Roll path
+if (ballFlight.rolling && ballFlight.trajectory.length > 1) {
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+ctx.lineWidth = 2;
+ctx.beginPath();
+ctx.moveTo(toPanel({ x: 0, z: 0 }).x, toPanel({ x: 0, z: 0 }).y);
+ballFlight.trajectory.forEach(point => {
+const pos = toPanel(point);
+ctx.lineTo(pos.x, pos.y);
+});
+ctx.stroke();
+}
+
+// Hole with flag
+const holePos = toPanel(hole);
+ctx.fillStyle = '#111111';
+ctx.beginPath();
+ctx.arc(holePos.x, holePos.y, Math.max(3, (holeState.active ? holeState.cup.radius : 0.054) * scale), 0, Math.PI * 2);
+ctx.fill();
+ctx.strokeStyle = '#FFD700';
+ctx.lineWidth = 2;
+ctx.beginPath();
+ctx.moveTo(holePos.x, holePos.y);
+ctx.lineTo(holePos.x, holePos.y - 16);
+ctx.stroke();
+ctx.fillStyle = '#ff0000';
+ctx.beginPath();
+ctx.moveTo(holePos.x, holePos.y - 16);
+ctx.lineTo(holePos.x + 9, holePos.y - 13);
+ctx.lineTo(holePos.x, holePos.y - 10);
+ctx.closePath();
+ctx.fill();
+
+// Ball
+const ballPos = toPanel(ball);
+ctx.fillStyle = 'white';
+ctx.strokeStyle = '#333333';
+ctx.lineWidth = 1;
+ctx.beginPath();
+ctx.arc(ballPos.x, ballPos.y, 4, 0, Math.PI * 2);
+ctx.fill();
+ctx.stroke();
+ctx.restore();
+
+// Frame and labels
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+ctx.lineWidth = 2;
+ctx.strokeRect(panelX, panelY, size, size);
+
+const cupWorld = targetState.position;
+const cupSlope = getSlopeAt(terrain, cupWorld.x, cupWorld.z);
+const percent = Math.sqrt(cupSlope.x ** 2 + cupSlope.z ** 2) * 100;
+const label = `${holeDistance.toFixed(1)}m · ${percent > 0.1 ? `${percent.toFixed(1)}% slope` : 'flat'}`;
+ctx.font = 'bold 13px Arial';
+ctx.textAlign = 'center';
+ctx.strokeStyle = 'black';
+ctx.lineWidth = 3;
+ctx.strokeText(label, canvas.width / 2, panelY + size + 16);
+ctx.fillStyle = 'white';
+ctx.fillText(label, canvas.width / 2, panelY + size + 16);
+}
+
 export function drawClubPosition() {
 // TODO: Visualize current club position/orientation
 const x = canvas.width / 2;
@@ -1053,8 +1583,9 @@ ballFlight.position.y,
 ballFlight.position.z
 );
 
-// Only draw if ball is visible
+// Only draw if ball is visible (obstacles in front of it still are)
 if (!pos.visible) {
+    drawObstacles(-Infinity, ballFlight.position.z);
     return;
 }
 
@@ -1064,7 +1595,7 @@ const ballRadius = Math.max(3, settings.ballDiameter * pos.scale * 0.3);
 // Shadow on ground
 const shadowPos = projectWithCamera(
 ballFlight.position.x,
-0, // on ground
+groundY(ballFlight.position.x, ballFlight.position.z), // on ground
 ballFlight.position.z
 );
 
@@ -1085,6 +1616,9 @@ ctx.strokeStyle = 'black';
 ctx.lineWidth = Math.max(1, ballRadius * 0.1);
 ctx.stroke();
 
+// Obstacles between the camera and the ball hide it
+drawObstacles(-Infinity, ballFlight.position.z);
+
 // Distance indicator
 ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
 ctx.font = `${Math.max(10, 12 * pos.scale / 100)}px Arial`;
@@ -1121,26 +1655,15 @@ ctx.stroke();
 }
 }
 
-export function drawBallTrajectory() {
-// Draw the ball's flight path in 3D perspective with enhanced visibility
-if (ballFlight.trajectory.length < 2) {
-    return;
-}
-
-// Draw trajectory line with gradient for depth effect
-ctx.lineWidth = 3;
-ctx.lineCap = 'round';
-ctx.lineJoin = 'round';
-
-// Main trajectory line
-ctx.strokeStyle = 'rgba(255, 255, 100, 0.8)'; // Bright yellow-white
+// Stroke trajectory points [start, end] as one line (onGround → project on the ground)
+function strokeTrajectorySegment(start, end, onGround) {
 ctx.beginPath();
 let hasStarted = false;
 
-for (let i = 0; i < ballFlight.trajectory.length; i++) {
+for (let i = start; i <= end; i++) {
 const point = ballFlight.trajectory[i];
 // Use projectWithCamera for consistent perspective during flight
-const pos = projectWithCamera(point.x, point.y, point.z);
+const pos = projectWithCamera(point.x, onGround ? groundY(point.x, point.z) : point.y, point.z);
 
 if (pos.visible) {
 if (!hasStarted) {
@@ -1155,10 +1678,37 @@ ctx.lineTo(pos.x, pos.y);
 if (hasStarted) {
 ctx.stroke();
 }
+}
+
+export function drawBallTrajectory() {
+// Draw the ball's flight path in 3D perspective with enhanced visibility
+if (ballFlight.trajectory.length < 2) {
+    return;
+}
+
+// Carry ends at the first landing; after that the ball bounces and rolls
+const lastIndex = ballFlight.trajectory.length - 1;
+const carryEnd = ballFlight.landingIndex >= 0 ? ballFlight.landingIndex : lastIndex;
+
+// Draw trajectory line with gradient for depth effect
+ctx.lineWidth = 3;
+ctx.lineCap = 'round';
+ctx.lineJoin = 'round';
+
+// Main trajectory line (carry)
+ctx.strokeStyle = 'rgba(255, 255, 100, 0.8)'; // Bright yellow-white
+strokeTrajectorySegment(0, carryEnd, false);
+
+// Bounce and roll path
+if (carryEnd < lastIndex) {
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+ctx.lineWidth = 2;
+strokeTrajectorySegment(carryEnd, lastIndex, false);
+}
 
 // Draw trajectory points as small dots for better visibility
 ctx.fillStyle = 'rgba(255, 200, 50, 0.6)';
-for (let i = 0; i < ballFlight.trajectory.length; i += 2) { // Every other point
+for (let i = 0; i <= carryEnd; i += 2) { // Every other point
 const point = ballFlight.trajectory[i];
 const pos = projectWithCamera(point.x, point.y, point.z);
 
@@ -1169,42 +1719,36 @@ ctx.fill();
 }
 }
 
-// Draw trajectory shadow on ground for better depth perception
-ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+// Carry marker where the ball first landed
+if (ballFlight.landingIndex >= 0) {
+const landing = ballFlight.trajectory[ballFlight.landingIndex];
+const pos = projectWithCamera(landing.x, landing.y, landing.z);
+if (pos.visible) {
+ctx.strokeStyle = 'rgba(255, 255, 100, 0.9)';
 ctx.lineWidth = 2;
-ctx.setLineDash([3, 3]);
 ctx.beginPath();
-hasStarted = false;
-
-for (let i = 0; i < ballFlight.trajectory.length; i++) {
-const point = ballFlight.trajectory[i];
-const groundPos = projectWithCamera(point.x, 0, point.z); // Project to ground (y=0)
-
-if (groundPos.visible) {
-if (!hasStarted) {
-ctx.moveTo(groundPos.x, groundPos.y);
-hasStarted = true;
-} else {
-ctx.lineTo(groundPos.x, groundPos.y);
-}
-}
-}
-
-if (hasStarted) {
+ctx.arc(pos.x, pos.y, 5, 0, Math.PI * 2);
 ctx.stroke();
 }
-ctx.setLineDash([]);  // Reset to solid
 }
 
-export function drawResults() {
-// Results overlay showing shot stats
+// Draw trajectory shadow on ground for better depth perception
+ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+ctx.lineWidth = 2;
+ctx.setLineDash([3, 3]);
+strokeTrajectorySegment(0, carryEnd, true);
+ctx.setLineDash([]);  // Reset to solid
+}
+
+export function drawResults() {
+// Results overlay showing shot stats
 const centerX = canvas.width / 2;
 const centerY = canvas.height / 2;
 
 // Semi-transparent overlay
 ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
 const overlayWidth = Math.min(400, canvas.width - 40);
-const overlayHeight = 220;
+const overlayHeight = 295;
 const overlayX = centerX - overlayWidth / 2;
 const overlayY = centerY - overlayHeight / 2 - 50; // Slightly above center
 ctx.fillRect(overlayX, overlayY, overlayWidth, overlayHeight);
@@ -1220,29 +1764,45 @@ ctx.font = 'bold 28px Arial';
 ctx.textAlign = 'center';
 ctx.fillText('⛳ Shot Complete!', centerX, overlayY + 40);
 
-// Distance
+// Distance (putts: distance control instead of carry and height)
 ctx.fillStyle = 'white';
 ctx.font = 'bold 24px Arial';
-ctx.fillText(`Distance: ${ballFlight.landingDistance.toFixed(1)}m`, centerX, overlayY + 80);
+if (lastShot.putt) {
+ctx.fillText(`Putt: rolled ${lastShot.putt.distance.toFixed(2)}m of ${lastShot.putt.holeDistance.toFixed(2)}m`, centerX, overlayY + 80);
+ctx.font = '18px Arial';
+ctx.fillText(`${describePuttPace(lastShot.putt)} · ${describePuttLine(lastShot.putt)}`, centerX, overlayY + 110);
+} else {
+ctx.fillText(`Carry: ${ballFlight.landingDistance.toFixed(1)}m | Total: ${ballFlight.totalDistance.toFixed(1)}m`, centerX, overlayY + 80);
 
 // Height
 ctx.font = '18px Arial';
 ctx.fillText(`Max Height: ${ballFlight.maxHeight.toFixed(1)}m`, centerX, overlayY + 110);
+}
 
-// Impact speed
+// Club and impact speed
 if (lastShot.impactSpeed) {
-ctx.fillText(`Impact: ${lastShot.impactSpeed.toFixed(1)} m/s`, centerX, overlayY + 135);
+const club = lastShot.club ? `${getClubName(lastShot.club)} · ` : '';
+ctx.fillText(`${club}Impact: ${lastShot.impactSpeed.toFixed(1)} m/s`, centerX, overlayY + 135);
 }
 
-// Target accuracy
-if (lastShot.targetAccuracy !== null && lastShot.targetAccuracy !== undefined) {
+// Hole progress, or target accuracy on the range
+if (lastShot.hole) {
+ctx.font = 'bold 20px Arial';
+ctx.fillStyle = '#ffff00';
+const holeText = lastShot.hole.holed
+? (lastShot.hole.scoreName
+? `🏆 ${lastShot.hole.scoreName}! Holed in ${lastShot.hole.strokes} (${formatToPar(lastShot.hole.roundToPar)})`
+: `🏆 HOLED in ${lastShot.hole.strokes}!`)
+: `⛳ Stroke ${lastShot.hole.strokes}: ${lastShot.hole.distanceToPin.toFixed(1)}m to pin`;
+ctx.fillText(holeText, centerX, overlayY + 165);
+} else if (lastShot.targetAccuracy !== null && lastShot.targetAccuracy !== undefined) {
 ctx.font = 'bold 20px Arial';
 ctx.fillStyle = '#ffff00';
 ctx.fillText(`🎯 Target: ${lastShot.targetAccuracy.toFixed(1)}m away`, centerX, overlayY + 165);
 }
 
-// Spin indicator
-if (lastShot.spin) {
+// Spin indicator (putts have no spin)
+if (lastShot.spin && !lastShot.putt) {
 const sidespin = lastShot.spin.y;
 ctx.font = 'bold 16px Arial';
 if (Math.abs(sidespin) > 2) {
@@ -1258,6 +1818,615 @@ ctx.fillStyle = '#66ff66';
 ctx.fillText('STRAIGHT', centerX, overlayY + 195);
 }
 }
+
+// Club delivery: face, path and attack angle at impact
+if (lastShot.delivery && !lastShot.putt) {
+ctx.font = '14px Arial';
+ctx.fillStyle = '#cccccc';
+ctx.fillText(describeClubDelivery(lastShot.delivery), centerX, overlayY + 220);
+}
+
+// Tempo: green on the 3:1 (putts 2:1) rhythm, orange off it
+if (lastShot.swingAnalysis) {
+ctx.font = 'bold 14px Arial';
+ctx.fillStyle = lastShot.swingAnalysis.tempo.rating === 'good' ? '#66ff66' : '#ffaa44';
+ctx.fillText(describeTempo(lastShot.swingAnalysis.tempo), centerX, overlayY + 245);
+}
+
+// Lie (and penalty for water / out of bounds)
+if (lastShot.surface) {
+const penalty = lastShot.penalty || 0;
+ctx.font = 'bold 16px Arial';
+ctx.fillStyle = penalty > 0 ? '#ff6666' : 'white';
+let lie = `Landed ${describeSurface(lastShot.landingSurface || lastShot.surface)}`;
+if (lastShot.obstacle) {
+lie = `Hit a ${lastShot.obstacle.toLowerCase()}, landed ${describeSurface(lastShot.landingSurface || lastShot.surface)}`;
+}
+if (lastShot.surface !== lastShot.landingSurface) {
+lie += `, stopped ${describeSurface(lastShot.surface)}`;
+}
+if (penalty > 0) {
+lie += ` (+${penalty})`;
+}
+ctx.fillText(lie, centerX, overlayY + 272);
+}
+}
+
+// Player filter line of the stats pages (only once pass-and-play shots exist)
+function drawStatsPlayerFilter(centerX, y) {
+if (statsView.players.length === 0) {
+statsView.playerRow = null;
+return;
+}
+ctx.fillStyle = '#ffd93d';
+ctx.font = 'bold 14px Arial';
+ctx.textAlign = 'center';
+ctx.fillText(`👤 ${statsView.player ?? 'All players'} (tap to change)`, centerX, y);
+statsView.playerRow = { top: y - 16, bottom: y + 5 };
+}
+
+export function drawStats() {
+// Session statistics overlay built from shot history
+const centerX = canvas.width / 2;
+const overlayWidth = Math.min(420, canvas.width - 40);
+const overlayHeight = Math.min(360, canvas.height - 40);
+const overlayX = centerX - overlayWidth / 2;
+const overlayY = Math.max(20, canvas.height / 2 - overlayHeight / 2 - 30);
+statsView.bounds = { x: overlayX, y: overlayY, width: overlayWidth, height: overlayHeight };
+
+ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+ctx.fillRect(overlayX, overlayY, overlayWidth, overlayHeight);
+ctx.strokeStyle = '#2196F3';
+ctx.lineWidth = 3;
+ctx.strokeRect(overlayX, overlayY, overlayWidth, overlayHeight);
+
+// Title and range
+ctx.fillStyle = '#2196F3';
+ctx.font = 'bold 24px Arial';
+ctx.textAlign = 'center';
+ctx.fillText('📊 Stats', centerX, overlayY + 35);
+
+ctx.fillStyle = '#00ffff';
+ctx.font = 'bold 16px Arial';
+ctx.fillText(`${STATS_RANGE_NAMES[statsView.range]} (tap to change)`, centerX, overlayY + 60);
+drawStatsPlayerFilter(centerX, overlayY + 80);
+
+const stats = statsView.stats;
+if (!stats || stats.count === 0) {
+ctx.fillStyle = '#aaa';
+ctx.font = '16px Arial';
+ctx.fillText('No shots in this range yet', centerX, overlayY + 120);
+} else {
+const leftX = overlayX + 20;
+const rightX = overlayX + overlayWidth - 20;
+let lineY = overlayY + 108;
+const row = (label, value, color = 'white') => {
+ctx.textAlign = 'left';
+ctx.fillStyle = '#aaa';
+ctx.fillText(label, leftX, lineY);
+ctx.textAlign = 'right';
+ctx.fillStyle = color;
+ctx.fillText(value, rightX, lineY);
+lineY += 26;
+};
+
+ctx.font = '16px Arial';
+row('Shots', `${stats.count}`);
+row('Carry avg / median', `${stats.carry.average.toFixed(1)}m / ${stats.carry.median.toFixed(1)}m`);
+row('Best carry', `${stats.carry.best.toFixed(1)}m`, '#4CAF50');
+row('Max height avg / best', `${stats.maxHeight.average.toFixed(1)}m / ${stats.maxHeight.best.toFixed(1)}m`);
+row('Impact speed avg / best', `${stats.impactSpeed.average.toFixed(1)} / ${stats.impactSpeed.best.toFixed(1)} m/s`);
+row('Slice', `${stats.shape.slice.toFixed(0)}%`, '#ff6666');
+row('Straight', `${stats.shape.straight.toFixed(0)}%`, '#66ff66');
+row('Hook', `${stats.shape.hook.toFixed(0)}%`, '#6666ff');
+if (stats.targetAccuracy.count > 0) {
+row('🎯 Mean target distance', `${stats.targetAccuracy.average.toFixed(1)}m`, '#ffff00');
+}
+}
+
+ctx.fillStyle = '#888';
+ctx.font = '12px Arial';
+ctx.textAlign = 'center';
+ctx.fillText('Tap outside to close', centerX, overlayY + overlayHeight - 12);
+}
+
+export function drawClubStats() {
+// Per-club averages (club bag) for the selected range
+const centerX = canvas.width / 2;
+const clubs = statsView.clubs;
+const overlayWidth = Math.min(420, canvas.width - 40);
+const rowHeight = Math.min(24, (canvas.height - 195) / Math.max(1, clubs.length));
+const overlayHeight = Math.max(200, 145 + rowHeight * clubs.length);
+const overlayX = centerX - overlayWidth / 2;
+const overlayY = Math.max(20, canvas.height / 2 - overlayHeight / 2 - 30);
+statsView.bounds = { x: overlayX, y: overlayY, width: overlayWidth, height: overlayHeight };
+
+ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+ctx.fillRect(overlayX, overlayY, overlayWidth, overlayHeight);
+ctx.strokeStyle = '#2196F3';
+ctx.lineWidth = 3;
+ctx.strokeRect(overlayX, overlayY, overlayWidth, overlayHeight);
+
+ctx.fillStyle = '#2196F3';
+ctx.font = 'bold 24px Arial';
+ctx.textAlign = 'center';
+ctx.fillText('🏌️ Clubs', centerX, overlayY + 35);
+
+ctx.fillStyle = '#00ffff';
+ctx.font = 'bold 16px Arial';
+ctx.fillText(`${STATS_RANGE_NAMES[statsView.range]} (tap to change)`, centerX, overlayY + 60);
+drawStatsPlayerFilter(centerX, overlayY + 80);
+
+if (clubs.length === 0) {
+ctx.fillStyle = '#aaa';
+ctx.font = '16px Arial';
+ctx.fillText('No shots in this range yet', centerX, overlayY + 120);
+} else {
+// Columns: club, shots, carry avg, total avg, best carry
+const columns = [0.05, 0.42, 0.6, 0.78, 0.95].map(f => overlayX + overlayWidth * f);
+let lineY = overlayY + 103;
+ctx.font = 'bold 13px Arial';
+ctx.fillStyle = '#aaa';
+ctx.textAlign = 'left';
+ctx.fillText('Club', columns[0], lineY);
+ctx.textAlign = 'right';
+['Shots', 'Carry', 'Total', 'Best'].forEach((label, i) => ctx.fillText(label, columns[i + 1], lineY));
+
+ctx.font = `${Math.min(15, rowHeight - 6)}px Arial`;
+clubs.forEach(club => {
+lineY += rowHeight;
+ctx.textAlign = 'left';
+ctx.fillStyle = 'white';
+ctx.fillText(club.name, columns[0], lineY);
+ctx.textAlign = 'right';
+ctx.fillStyle = '#aaa';
+ctx.fillText(`${club.count}`, columns[1], lineY);
+ctx.fillStyle = 'white';
+ctx.fillText(`${club.carry.average.toFixed(0)}m`, columns[2], lineY);
+ctx.fillText(`${club.total.average.toFixed(0)}m`, columns[3], lineY);
+ctx.fillStyle = '#4CAF50';
+ctx.fillText(`${club.carry.best.toFixed(0)}m`, columns[4], lineY);
+});
+}
+
+ctx.fillStyle = '#888';
+ctx.font = '12px Arial';
+ctx.textAlign = 'center';
+ctx.fillText('Tap outside to close', centerX, overlayY + overlayHeight - 12);
+}
+
+export function drawDispersion() {
+// Top-down launch-monitor style view: every landing point around the target
+const centerX = canvas.width / 2;
+const overlayWidth = Math.min(420, canvas.width - 40);
+const overlayHeight = Math.min(480, canvas.height - 40);
+const overlayX = centerX - overlayWidth / 2;
+const overlayY = Math.max(20, canvas.height / 2 - overlayHeight / 2 - 30);
+statsView.bounds = { x: overlayX, y: overlayY, width: overlayWidth, height: overlayHeight };
+
+ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+ctx.fillRect(overlayX, overlayY, overlayWidth, overlayHeight);
+ctx.strokeStyle = '#2196F3';
+ctx.lineWidth = 3;
+ctx.strokeRect(overlayX, overlayY, overlayWidth, overlayHeight);
+
+// Title, range and filter
+ctx.fillStyle = '#2196F3';
+ctx.font = 'bold 22px Arial';
+ctx.textAlign = 'center';
+ctx.fillText('🎯 Dispersion', centerX, overlayY + 30);
+
+ctx.fillStyle = '#00ffff';
+ctx.font = 'bold 14px Arial';
+ctx.fillText(`${STATS_RANGE_NAMES[statsView.range]} (tap here to change)`, centerX, overlayY + 52);
+drawStatsPlayerFilter(centerX, overlayY + 70);
+ctx.fillStyle = '#aaa';
+ctx.font = '12px Arial';
+ctx.fillText(`Filter: ${statsView.profile ?? 'All settings'} (tap chart)`, centerX, overlayY + 87);
+
+const dispersion = statsView.dispersion;
+if (!dispersion || dispersion.count === 0) {
+ctx.fillStyle = '#aaa';
+ctx.font = '16px Arial';
+ctx.fillText('No shots with a target in this range', centerX, overlayY + 140);
+return;
+}
+
+// Chart area (square, target at center)
+const chartSize = Math.min(overlayWidth - 40, overlayHeight - 175);
+const chartX = centerX - chartSize / 2;
+const chartY = overlayY + 100;
+const chartCenterX = chartX + chartSize / 2;
+const chartCenterY = chartY + chartSize / 2;
+
+// Scale to fit the farthest point (and the ellipse) with some margin
+let extent = 5;
+dispersion.points.forEach(p => {
+extent = Math.max(extent, Math.abs(p.x), Math.abs(p.z));
+});
+if (dispersion.ellipse) {
+extent = Math.max(extent,
+Math.abs(dispersion.ellipse.center.x) + dispersion.ellipse.radiusMajor,
+Math.abs(dispersion.ellipse.center.z) + dispersion.ellipse.radiusMajor);
+}
+const ringStep = extent > 30 ? 10 : 5;
+extent = Math.ceil(extent / ringStep) * ringStep;
+const scale = (chartSize / 2) / extent;
+
+// Screen mapping: right = +X, up = long (+Z)
+const toScreen = p => ({ x: chartCenterX + p.x * scale, y: chartCenterY - p.z * scale });
+
+// Distance rings around the target
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+ctx.lineWidth = 1;
+ctx.fillStyle = '#666';
+ctx.font = '10px Arial';
+ctx.textAlign = 'left';
+for (let r = ringStep; r <= extent; r += ringStep) {
+ctx.beginPath();
+ctx.arc(chartCenterX, chartCenterY, r * scale, 0, Math.PI * 2);
+ctx.stroke();
+ctx.fillText(`${r}m`, chartCenterX + r * scale + 2, chartCenterY - 2);
+}
+
+// Cross hairs (target line and distance line)
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+ctx.beginPath();
+ctx.moveTo(chartX, chartCenterY);
+ctx.lineTo(chartX + chartSize, chartCenterY);
+ctx.moveTo(chartCenterX, chartY);
+ctx.lineTo(chartCenterX, chartY + chartSize);
+ctx.stroke();
+
+ctx.fillStyle = '#888';
+ctx.textAlign = 'center';
+ctx.fillText('LONG', chartCenterX, chartY + 10);
+ctx.fillText('SHORT', chartCenterX, chartY + chartSize - 2);
+ctx.textAlign = 'left';
+ctx.fillText('L', chartX + 2, chartCenterY - 4);
+ctx.textAlign = 'right';
+ctx.fillText('R', chartX + chartSize - 2, chartCenterY - 4);
+
+// 95% confidence ellipse
+if (dispersion.ellipse) {
+const e = dispersion.ellipse;
+const c = toScreen(e.center);
+ctx.strokeStyle = '#ffaa00';
+ctx.fillStyle = 'rgba(255, 170, 0, 0.15)';
+ctx.lineWidth = 2;
+ctx.beginPath();
+// Screen Y is flipped, so the rotation is negated
+ctx.ellipse(c.x, c.y, Math.max(1, e.radiusMajor * scale), Math.max(1, e.radiusMinor * scale), -e.angle, 0, Math.PI * 2);
+ctx.fill();
+ctx.stroke();
+}
+
+// Where each ball stopped
+ctx.fillStyle = 'white';
+dispersion.points.forEach(p => {
+const s = toScreen(p);
+ctx.beginPath();
+ctx.arc(s.x, s.y, 4, 0, Math.PI * 2);
+ctx.fill();
+});
+
+// Target
+ctx.fillStyle = '#ff0000';
+ctx.beginPath();
+ctx.arc(chartCenterX, chartCenterY, 5, 0, Math.PI * 2);
+ctx.fill();
+
+// Mean finishing point
+const mean = toScreen(dispersion.bias);
+ctx.strokeStyle = '#ffff00';
+ctx.lineWidth = 2;
+ctx.beginPath();
+ctx.moveTo(mean.x - 6, mean.y - 6);
+ctx.lineTo(mean.x + 6, mean.y + 6);
+ctx.moveTo(mean.x + 6, mean.y - 6);
+ctx.lineTo(mean.x - 6, mean.y + 6);
+ctx.stroke();
+
+// Bias summary
+const sideBias = dispersion.bias.x;
+const depthBias = dispersion.bias.z;
+const sideLabel = Math.abs(sideBias) < 0.05 ? 'on line' : `${Math.abs(sideBias).toFixed(1)}m ${sideBias > 0 ? 'right' : 'left'}`;
+const depthLabel = Math.abs(depthBias) < 0.05 ? 'pin high' : `${Math.abs(depthBias).toFixed(1)}m ${depthBias > 0 ? 'long' : 'short'}`;
+
+ctx.fillStyle = 'white';
+ctx.font = '14px Arial';
+ctx.textAlign = 'center';
+ctx.fillText(`${dispersion.count} shots | Bias: ${sideLabel}, ${depthLabel}`, centerX, chartY + chartSize + 22);
+if (dispersion.ellipse) {
+ctx.fillStyle = '#ffaa00';
+ctx.font = '12px Arial';
+ctx.fillText(`95% ellipse: ${(dispersion.ellipse.radiusMajor * 2).toFixed(1)}m × ${(dispersion.ellipse.radiusMinor * 2).toFixed(1)}m`, centerX, chartY + chartSize + 40);
+}
+}
+
+export function drawScorecard() {
+// Course scorecard: strokes per hole, over/under par and totals
+const scorecard = courseState.scorecard;
+if (!scorecard) return;
+
+const centerX = canvas.width / 2;
+const overlayWidth = Math.min(380, canvas.width - 40);
+const rowHeight = Math.min(24, (canvas.height - 200) / (scorecard.holes.length + 1));
+const overlayHeight = 150 + rowHeight * (scorecard.holes.length + 1);
+const overlayX = centerX - overlayWidth / 2;
+const overlayY = Math.max(20, canvas.height / 2 - overlayHeight / 2 - 30);
+scorecardView.bounds = { x: overlayX, y: overlayY, width: overlayWidth, height: overlayHeight };
+
+ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+ctx.fillRect(overlayX, overlayY, overlayWidth, overlayHeight);
+ctx.strokeStyle = '#4CAF50';
+ctx.lineWidth = 3;
+ctx.strokeRect(overlayX, overlayY, overlayWidth, overlayHeight);
+
+ctx.fillStyle = '#4CAF50';
+ctx.font = 'bold 22px Arial';
+ctx.textAlign = 'center';
+ctx.fillText(`📋 ${scorecard.courseName}`, centerX, overlayY + 32);
+
+// Columns: hole, par, length, strokes, score name
+const columns = [0.1, 0.24, 0.4, 0.58, 0.8].map(f => overlayX + overlayWidth * f);
+const cell = (text, column, y) => ctx.fillText(text, columns[column], y);
+
+let lineY = overlayY + 65;
+ctx.font = 'bold 14px Arial';
+ctx.fillStyle = '#aaa';
+['Hole', 'Par', 'm', 'Score', ''].forEach((label, i) => cell(label, i, lineY));
+
+ctx.font = `${Math.min(15, rowHeight - 4)}px Arial`;
+scorecard.holes.forEach((hole, i) => {
+lineY += rowHeight;
+const current = !scorecard.complete && i === scorecard.currentHole;
+if (current) {
+ctx.fillStyle = 'rgba(76, 175, 80, 0.25)';
+ctx.fillRect(overlayX + 6, lineY - rowHeight + 6, overlayWidth - 12, rowHeight);
+}
+ctx.fillStyle = 'white';
+cell(`${hole.number}`, 0, lineY);
+cell(`${hole.par}`, 1, lineY);
+ctx.fillStyle = '#aaa';
+cell(hole.length.toFixed(0), 2, lineY);
+if (hole.strokes !== null) {
+const diff = hole.strokes - hole.par;
+ctx.fillStyle = diff < 0 ? '#ff6666' : diff === 0 ? 'white' : '#66aaff';
+cell(`${hole.strokes}`, 3, lineY);
+cell(describeScore(hole.strokes, hole.par), 4, lineY);
+} else if (current) {
+ctx.fillStyle = '#ffff00';
+cell(holeState.roundId === scorecard.roundId && holeState.number === hole.number ? `(${holeState.strokes})` : '▶', 3, lineY);
+}
+});
+
+// Totals
+const summary = getScoreSummary(scorecard);
+lineY += rowHeight + 14;
+ctx.font = 'bold 16px Arial';
+ctx.fillStyle = 'white';
+cell('Total', 0, lineY);
+cell(`${summary.coursePar}`, 1, lineY);
+cell(`${summary.strokes}`, 3, lineY);
+ctx.fillStyle = summary.toPar < 0 ? '#ff6666' : summary.toPar === 0 ? 'white' : '#66aaff';
+cell(formatToPar(summary.toPar), 4, lineY);
+
+ctx.fillStyle = '#ffff00';
+ctx.font = 'bold 15px Arial';
+const progress = scorecard.complete
+? `Round complete: ${summary.strokes} (${formatToPar(summary.toPar)})`
+: `${summary.played} of ${scorecard.holes.length} holes played`;
+ctx.fillText(progress, centerX, overlayY + overlayHeight - 32);
+
+ctx.fillStyle = '#888';
+ctx.font = '12px Arial';
+ctx.fillText('Tap to close', centerX, overlayY + overlayHeight - 12);
+}
+
+export function drawLeaderboard() {
+// Pass-and-play standings: best first, with each player's stats
+const game = playerState.game;
+if (!game) return;
+
+const rows = getLeaderboard();
+const centerX = canvas.width / 2;
+const overlayWidth = Math.min(400, canvas.width - 40);
+const rowHeight = 26;
+const overlayHeight = 140 + rowHeight * rows.length;
+const overlayX = centerX - overlayWidth / 2;
+const overlayY = Math.max(20, canvas.height / 2 - overlayHeight / 2 - 30);
+leaderboardView.bounds = { x: overlayX, y: overlayY, width: overlayWidth, height: overlayHeight };
+
+ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+ctx.fillRect(overlayX, overlayY, overlayWidth, overlayHeight);
+ctx.strokeStyle = '#4CAF50';
+ctx.lineWidth = 3;
+ctx.strokeRect(overlayX, overlayY, overlayWidth, overlayHeight);
+
+ctx.fillStyle = '#4CAF50';
+ctx.font = 'bold 22px Arial';
+ctx.textAlign = 'center';
+ctx.fillText(`👥 ${GAME_FORMATS[game.format]}`, centerX, overlayY + 32);
+
+// Columns: place, player, shots, longest, closest, average
+const columns = [0.07, 0.27, 0.48, 0.63, 0.79, 0.93].map(f => overlayX + overlayWidth * f);
+const cell = (text, column, y) => ctx.fillText(text, columns[column], y);
+const meters = value => value !== null ? value.toFixed(1) : '-';
+
+let lineY = overlayY + 65;
+ctx.font = 'bold 14px Arial';
+ctx.fillStyle = '#aaa';
+['#', 'Player', 'Shots', 'Long', 'Pin', 'Avg'].forEach((label, i) => cell(label, i, lineY));
+
+ctx.font = '15px Arial';
+rows.forEach((row, i) => {
+lineY += rowHeight;
+const current = !game.complete && row.name === getCurrentPlayer().name;
+if (current) {
+ctx.fillStyle = 'rgba(76, 175, 80, 0.25)';
+ctx.fillRect(overlayX + 6, lineY - rowHeight + 8, overlayWidth - 12, rowHeight);
+}
+ctx.fillStyle = game.format === 'free' ? '#aaa' : (i === 0 ? '#FFD700' : 'white');
+cell(game.format === 'free' ? '' : `${i + 1}`, 0, lineY);
+ctx.fillStyle = row.color;
+cell(row.name, 1, lineY);
+ctx.fillStyle = 'white';
+cell(game.format === 'free' ? `${row.shots}` : `${row.shots}/${game.shotsEach}`, 2, lineY);
+ctx.fillStyle = game.format === 'longest' ? 'white' : '#aaa';
+cell(meters(row.longest), 3, lineY);
+ctx.fillStyle = game.format === 'closest' ? 'white' : '#aaa';
+cell(meters(row.closest), 4, lineY);
+ctx.fillStyle = '#aaa';
+cell(meters(row.average), 5, lineY);
+});
+
+ctx.fillStyle = '#ffff00';
+ctx.font = 'bold 15px Arial';
+const progress = game.complete
+? `🏆 ${rows[0].name} wins: ${formatGameScore(rows[0], game.format)}`
+: `${getCurrentPlayer().name}'s turn`;
+ctx.fillText(progress, centerX, overlayY + overlayHeight - 32);
+
+ctx.fillStyle = '#888';
+ctx.font = '12px Arial';
+ctx.fillText('Tap to close', centerX, overlayY + overlayHeight - 12);
+}
+
+export function drawResimulation() {
+// Original vs re-simulated flight of a recorded swing (side and top views)
+const centerX = canvas.width / 2;
+const overlayWidth = Math.min(440, canvas.width - 40);
+const overlayHeight = Math.min(520, canvas.height - 40);
+const overlayX = centerX - overlayWidth / 2;
+const overlayY = Math.max(20, canvas.height / 2 - overlayHeight / 2 - 30);
+
+ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+ctx.fillRect(overlayX, overlayY, overlayWidth, overlayHeight);
+ctx.strokeStyle = '#ff9800';
+ctx.lineWidth = 3;
+ctx.strokeRect(overlayX, overlayY, overlayWidth, overlayHeight);
+
+ctx.fillStyle = '#ff9800';
+ctx.font = 'bold 22px Arial';
+ctx.textAlign = 'center';
+ctx.fillText('🔁 Re-simulation', centerX, overlayY + 30);
+ctx.fillStyle = '#aaa';
+ctx.font = '13px Arial';
+ctx.fillText(resimView.swing.name || '', centerX, overlayY + 50);
+
+const runs = [
+{ label: 'Original', result: resimView.original, color: '#aaaaaa' },
+{ label: 'New settings', result: resimView.resimulated, color: '#ffff00' }
+];
+
+// Shared scale so both flights are directly comparable
+let maxZ = 10, maxY = 2, maxX = 2;
+runs.forEach(run => {
+run.result.trajectory.forEach(p => {
+maxZ = Math.max(maxZ, p.z);
+maxY = Math.max(maxY, p.y);
+maxX = Math.max(maxX, Math.abs(p.x));
+});
+});
+
+const chartX = overlayX + 20;
+const chartW = overlayWidth - 40;
+const sideY = overlayY + 70;
+const sideH = 110;
+const topY = sideY + sideH + 25;
+const topH = 110;
+const scaleZ = chartW / maxZ;
+const scaleY = sideH / maxY;
+const scaleX = (topH / 2) / maxX;
+
+// Chart frames and labels
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+ctx.lineWidth = 1;
+ctx.strokeRect(chartX, sideY, chartW, sideH);
+ctx.strokeRect(chartX, topY, chartW, topH);
+ctx.beginPath();
+ctx.moveTo(chartX, topY + topH / 2);
+ctx.lineTo(chartX + chartW, topY + topH / 2);
+ctx.stroke();
+ctx.fillStyle = '#888';
+ctx.font = '11px Arial';
+ctx.textAlign = 'left';
+ctx.fillText(`Side view (max ${maxY.toFixed(0)}m high)`, chartX + 4, sideY + 12);
+ctx.fillText(`Top view (±${maxX.toFixed(0)}m)`, chartX + 4, topY + 12);
+ctx.textAlign = 'right';
+ctx.fillText(`${maxZ.toFixed(0)}m`, chartX + chartW - 4, sideY + sideH - 4);
+
+// Flight paths
+runs.forEach(run => {
+if (run.result.trajectory.length < 2) return;
+ctx.strokeStyle = run.color;
+ctx.lineWidth = 2;
+
+ctx.beginPath();
+run.result.trajectory.forEach((p, i) => {
+const x = chartX + p.z * scaleZ;
+const y = sideY + sideH - p.y * scaleY;
+if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+});
+ctx.stroke();
+
+ctx.beginPath();
+run.result.trajectory.forEach((p, i) => {
+const x = chartX + p.z * scaleZ;
+const y = topY + topH / 2 + p.x * scaleX;
+if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+});
+ctx.stroke();
+});
+
+// Numbers side by side
+let lineY = topY + topH + 28;
+const colLabel = overlayX + 20;
+const colA = overlayX + overlayWidth * 0.55;
+const colB = overlayX + overlayWidth - 20;
+ctx.font = 'bold 14px Arial';
+ctx.textAlign = 'left';
+ctx.fillStyle = '#aaa';
+ctx.fillText('', colLabel, lineY);
+ctx.textAlign = 'right';
+runs.forEach((run, i) => {
+ctx.fillStyle = run.color;
+ctx.fillText(run.label, i === 0 ? colA : colB, lineY);
+});
+lineY += 22;
+
+const rows = [
+['Hit detected', r => r.hit ? 'Yes' : 'No'],
+['Impact speed', r => r.hit ? `${r.impactSpeed.toFixed(1)} m/s` : '-'],
+['Distance', r => r.hit ? `${r.distance.toFixed(1)}m` : '-'],
+['Max height', r => r.hit ? `${r.maxHeight.toFixed(1)}m` : '-'],
+['Flight time', r => r.hit ? `${r.flightTime.toFixed(1)}s` : '-']
+];
+ctx.font = '14px Arial';
+rows.forEach(([label, format]) => {
+ctx.textAlign = 'left';
+ctx.fillStyle = '#aaa';
+ctx.fillText(label, colLabel, lineY);
+ctx.textAlign = 'right';
+runs.forEach((run, i) => {
+ctx.fillStyle = run.color;
+ctx.fillText(format(run.result), i === 0 ? colA : colB, lineY);
+});
+lineY += 20;
+});
+
+// Which settings changed
+ctx.textAlign = 'center';
+ctx.font = '12px Arial';
+ctx.fillStyle = '#00ffff';
+const changes = resimView.changes.length
+? resimView.changes.map(c => `${c.key}: ${c.from} → ${c.to}`).join(', ')
+: 'Same settings as recording (change them in ⚙️)';
+ctx.fillText(changes.length > 70 ? changes.slice(0, 67) + '...' : changes, centerX, lineY + 6);
+
+ctx.fillStyle = '#888';
+ctx.fillText('Tap to close', centerX, overlayY + overlayHeight - 10);
 }
 
 export function drawDebugInfo() {
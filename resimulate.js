@@ -0,0 +1,126 @@
+// ============================================
+// RE-SIMULATION MODULE
+// ============================================
+// Replays a recording's raw IMU samples through the same pipeline as live
+// play (tracking → hit detection → impact velocity → ball flight) with any
+// settings object, so settings can be A/B compared without swinging again.
+//
+// Uses its own tracker and flight state - the live game is never touched.
+
+import { createTrackingState, updateClubTipTracking, getClubDelivery } from './tracking.js';
+import { isHitDetected, calculateImpactVelocity, computeLaunchConditions } from './impact.js';
+import { simulateShot } from './simulation.js';
+
+// ============================================
+// RE-SIMULATION VIEW STATE
+// ============================================
+export const resimView = {
+    active: false,
+    swing: null,
+    original: null,     // Result with the recording's own settings
+    resimulated: null,  // Result with the new settings
+    changes: []         // Settings that differ: [{ key, from, to }]
+};
+
+// Settings that affect the swing → flight pipeline
+const RESIM_SETTING_KEYS = [
+    'clubId', 'clubLength', 'clubWeight', 'loftAngle', 'ballDiameter', 'ballWeight',
+    'hitZoneDiameter', 'minSwingSpeed', 'gravity', 'airResistance',
+    'impactPower', 'spinEffect', 'physicsMode',
+    'altitude', 'temperature', 'humidity', 'pressure'
+];
+
+export function canResimulate(swing) {
+    return Boolean(swing && swing.imuSamples && swing.imuSamples.length > 0 && swing.trackingStart);
+}
+
+// ============================================
+// RE-SIMULATE ONE SWING
+// ============================================
+// Returns { hit, impactVelocity, impactSpeed, delivery, launch, distance (carry),
+//           totalDistance, maxHeight, flightTime, trajectory, landing }
+export function resimulateSwing(swing, settings) {
+    const result = {
+        hit: false,
+        impactVelocity: null,
+        impactSpeed: 0,
+        delivery: null,
+        launch: null,
+        distance: 0,
+        totalDistance: 0,
+        maxHeight: 0,
+        flightTime: 0,
+        trajectory: [],
+        landing: null
+    };
+
+    if (!canResimulate(swing)) return result;
+
+    // Start the tracker exactly where the live one was at tee-up
+    const tracker = createTrackingState();
+    tracker.quaternion = { ...swing.trackingStart.quaternion };
+    tracker.addressQuaternion = { ...swing.trackingStart.quaternion };
+    tracker.offset = { ...swing.trackingStart.offset };
+    tracker.lastUpdateTime = swing.trackingStart.lastUpdateTime;
+
+    const ballPosition = { set: true };
+    const timeoutAt = swing.startTime + settings.swingTimeout * 1000;
+
+    // Feed samples in the same order as handleDeviceMotion: track, then detect
+    let hitSample = null;
+    for (const sample of swing.imuSamples) {
+        if (sample.receivedAt > timeoutAt) break;
+
+        updateClubTipTracking(sample, settings, ballPosition, null, tracker, sample.receivedAt);
+
+        if (isHitDetected(tracker.tipPosition, sample.acceleration, tracker.history, settings)) {
+            hitSample = sample;
+            break;
+        }
+    }
+
+    if (!hitSample) return result;
+
+    result.hit = true;
+    result.impactVelocity = calculateImpactVelocity(tracker.history, hitSample.acceleration, settings);
+    result.impactSpeed = Math.sqrt(
+        result.impactVelocity.x ** 2 +
+        result.impactVelocity.y ** 2 +
+        result.impactVelocity.z ** 2
+    );
+    result.delivery = getClubDelivery(tracker);
+    result.launch = computeLaunchConditions(result.impactVelocity, settings, result.delivery);
+
+    // Fly the ball headlessly (same wind, terrain, spot and cup as the original shot)
+    const flight = simulateShot(result.launch.velocity, result.launch.spin, settings, {
+        wind: swing.wind || null,
+        terrain: swing.terrain || null,
+        frame: swing.shotFrame || null,
+        cup: swing.cup || null,
+        rolling: result.launch.rolling
+    });
+    result.trajectory = flight.trajectory;
+    result.distance = flight.carry;
+    result.totalDistance = flight.totalDistance;
+    result.maxHeight = flight.apex;
+    result.flightTime = flight.flightTime;
+    result.landing = flight.landing;
+    return result;
+}
+
+// ============================================
+// COMPARE ORIGINAL VS NEW SETTINGS
+// ============================================
+export function compareResimulation(swing, newSettings) {
+    const originalSettings = { ...newSettings, ...swing.settings };
+
+    resimView.swing = swing;
+    resimView.original = resimulateSwing(swing, originalSettings);
+    resimView.resimulated = resimulateSwing(swing, newSettings);
+    resimView.changes = RESIM_SETTING_KEYS
+        .filter(key => originalSettings[key] !== newSettings[key])
+        .map(key => ({ key: key, from: originalSettings[key], to: newSettings[key] }));
+    resimView.active = true;
+
+    return resimView;
+}
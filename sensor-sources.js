@@ -0,0 +1,270 @@
+// ============================================
+// SENSOR SOURCES MODULE
+// ============================================
+// Where IMU samples come from. sensors.js consumes whichever source is
+// active, so the rest of the pipeline doesn't care whether data comes from
+// a phone, a recorded swing or a scripted swing generator.
+//
+// SOURCE INTERFACE:
+//   {
+//     name,                         // Shown in the debug log
+//     requiresPermission,           // true → ask for motion permission first (iOS)
+//     start({ onMotion, onOrientation }),
+//     stop()
+//   }
+//
+// SAMPLE FORMAT (same as swing.imuSamples):
+//   onMotion({ acceleration: {x,y,z}, rotationRate: {alpha,beta,gamma}, timestamp })
+//   onOrientation({ alpha, beta, gamma })   // alpha null = no compass (6DOF)
+
+import { addDebugMessage } from './utils.js';
+
+// Quiet period between looped swings so there's time to tee up (seconds)
+const DEFAULT_PAUSE_TIME = 3;
+
+// Fixed acceleration direction for generated swings (mostly along the swing,
+// slightly off-axis so the Madgwick gradient never degenerates)
+const SWING_ACCEL_DIRECTION = { x: 0.05, y: 0.25, z: 1 };
+
+// Acceleration vector with the given magnitude (m/s²) for generated swings
+export function swingAcceleration(magnitude) {
+    const d = SWING_ACCEL_DIRECTION;
+    const norm = Math.sqrt(d.x ** 2 + d.y ** 2 + d.z ** 2);
+    return {
+        x: d.x / norm * magnitude,
+        y: d.y / norm * magnitude,
+        z: d.z / norm * magnitude
+    };
+}
+
+// ============================================
+// DEVICE SOURCE (browser motion events)
+// ============================================
+export function createDeviceSource() {
+    let handlers = null;
+    let accelSourceLogged = false;
+
+    function handleDeviceMotion(event) {
+        const sample = {
+            acceleration: null,
+            rotationRate: null,
+            timestamp: event.timeStamp || Date.now()
+        };
+
+        // ACCELERATION DATA
+        // Prefer linear acceleration (gravity-compensated), fallback to raw acceleration
+        if (event.acceleration && (event.acceleration.x !== null || event.acceleration.y !== null || event.acceleration.z !== null)) {
+            sample.acceleration = {
+                x: event.acceleration.x || 0,
+                y: event.acceleration.y || 0,
+                z: event.acceleration.z || 0
+            };
+
+            if (!accelSourceLogged) {
+                accelSourceLogged = true;
+                addDebugMessage('📱 Using linear acceleration (gravity-compensated)');
+            }
+        } else if (event.accelerationIncludingGravity) {
+            sample.acceleration = {
+                x: event.accelerationIncludingGravity.x || 0,
+                y: event.accelerationIncludingGravity.y || 0,
+                z: event.accelerationIncludingGravity.z || 0
+            };
+
+            if (!accelSourceLogged) {
+                accelSourceLogged = true;
+                addDebugMessage('⚠️ Using raw acceleration (includes gravity ~9.8m/s²)');
+            }
+        }
+
+        // GYROSCOPE DATA
+        if (event.rotationRate) {
+            sample.rotationRate = {
+                alpha: event.rotationRate.alpha || 0,  // Yaw (Z-axis)
+                beta: event.rotationRate.beta || 0,    // Pitch (X-axis)
+                gamma: event.rotationRate.gamma || 0   // Roll (Y-axis)
+            };
+        }
+
+        handlers.onMotion(sample);
+    }
+
+    function handleDeviceOrientation(event) {
+        handlers.onOrientation({
+            alpha: event.alpha,      // Compass heading 0-360° (null if unavailable)
+            beta: event.beta ?? 0,   // Pitch: -180 to 180°
+            gamma: event.gamma ?? 0  // Roll: -90 to 90°
+        });
+    }
+
+    return {
+        name: 'Device sensors',
+        requiresPermission: true,
+        start(newHandlers) {
+            if (handlers) return;
+            handlers = newHandlers;
+            window.addEventListener('devicemotion', handleDeviceMotion);
+            window.addEventListener('deviceorientation', handleDeviceOrientation);
+        },
+        stop() {
+            if (!handlers) return;
+            window.removeEventListener('devicemotion', handleDeviceMotion);
+            window.removeEventListener('deviceorientation', handleDeviceOrientation);
+            handlers = null;
+        },
+        resetDebugFlags() {
+            accelSourceLogged = false;
+        }
+    };
+}
+
+// ============================================
+// SEQUENCE SOURCE (timed sample playback)
+// ============================================
+// Emits a list of samples with their original spacing (receivedAt deltas),
+// looping forever. Timestamps are replaced with the current time so the
+// live pipeline sees them as fresh data.
+function createSequenceSource(name, samples) {
+    let handlers = null;
+    let timer = null;
+    let index = 0;
+
+    function emitNext() {
+        const sample = samples[index];
+        const now = Date.now();
+
+        if (sample.orientation) {
+            handlers.onOrientation({ ...sample.orientation });
+        }
+        handlers.onMotion({
+            acceleration: { ...sample.acceleration },
+            rotationRate: { ...sample.rotationRate },
+            timestamp: now
+        });
+
+        // Schedule the next sample with the recorded spacing
+        const nextIndex = (index + 1) % samples.length;
+        const delay = nextIndex === 0 ? 0 : samples[nextIndex].receivedAt - sample.receivedAt;
+        index = nextIndex;
+        timer = setTimeout(emitNext, Math.max(0, delay));
+    }
+
+    return {
+        name: name,
+        requiresPermission: false,
+        start(newHandlers) {
+            if (handlers || samples.length === 0) return;
+            handlers = newHandlers;
+            index = 0;
+            emitNext();
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+            handlers = null;
+        }
+    };
+}
+
+// Motionless samples (below the tracking trigger) used as padding
+function generateIdleSamples(duration, rate, startTime) {
+    const samples = [];
+    const count = Math.round(duration * rate);
+    for (let i = 0; i < count; i++) {
+        const time = startTime + (i / rate) * 1000;
+        samples.push({
+            acceleration: { x: 0, y: 0, z: 0 },
+            rotationRate: { alpha: 0, beta: 0, gamma: 0 },
+            orientation: { alpha: null, beta: 0, gamma: 0 },
+            timestamp: time,
+            receivedAt: time
+        });
+    }
+    return samples;
+}
+
+// ============================================
+// SYNTHETIC SWING GENERATOR
+// ============================================
+// Scripted swing: idle → backswing → downswing through the ball → follow
+// through. The club rotates back and returns to the address angle exactly
+// at impact, so the tip passes through the hit zone.
+//
+// Pure function (no DOM, no timers) - usable from tests and re-simulation.
+// Returns samples in the swing.imuSamples format.
+export function generateSyntheticSwing(options = {}) {
+    const rate = options.rate ?? 60;                         // Samples per second
+    const startTime = options.startTime ?? 0;                // ms
+    const idleTime = options.idleTime ?? 0.5;                // s before the backswing
+    const backswingTime = options.backswingTime ?? 0.5;      // s
+    const downswingTime = options.downswingTime ?? 0.5;      // s
+    const followThroughTime = options.followThroughTime ?? 0.3;  // s
+    const backswingRate = options.backswingRate ?? 300;      // deg/s
+    const impactAcceleration = options.impactAcceleration ?? 30;  // m/s²
+
+    // Downswing speed that returns to address angle at impact
+    const downswingRate = backswingRate * backswingTime / downswingTime;
+
+    const samples = generateIdleSamples(idleTime, rate, startTime);
+    const swingStart = startTime + idleTime * 1000;
+    const swingDuration = backswingTime + downswingTime + followThroughTime;
+    const count = Math.round(swingDuration * rate);
+
+    for (let i = 0; i < count; i++) {
+        const t = i / rate;
+        let rotation, accel;
+
+        if (t < backswingTime) {
+            rotation = backswingRate;
+            accel = 4;
+        } else if (t < backswingTime + downswingTime) {
+            rotation = -downswingRate;
+            const progress = (t - backswingTime) / downswingTime;
+            accel = 6 + (impactAcceleration - 6) * progress;  // Speeds up into the ball
+        } else {
+            rotation = -downswingRate;
+            const progress = (t - backswingTime - downswingTime) / followThroughTime;
+            accel = impactAcceleration * (1 - progress) + 3 * progress;
+        }
+
+        const time = swingStart + t * 1000;
+        samples.push({
+            acceleration: swingAcceleration(accel),
+            rotationRate: { alpha: rotation, beta: 0, gamma: 0 },
+            orientation: { alpha: null, beta: 0, gamma: 0 },
+            timestamp: time,
+            receivedAt: time
+        });
+    }
+
+    return samples;
+}
+
+// Loops the synthetic swing with a pause in between (for desktop demos)
+export function createSyntheticSource(options = {}) {
+    const rate = options.rate ?? 60;
+    const pauseTime = options.pauseTime ?? DEFAULT_PAUSE_TIME;
+    const samples = generateSyntheticSwing({ ...options, rate: rate, idleTime: pauseTime });
+    return createSequenceSource(`Synthetic swing (${rate} Hz)`, samples);
+}
+
+// ============================================
+// PLAYBACK SOURCE (recorded swing)
+// ============================================
+// Plays a recording's raw imuSamples with their original timing, looping
+// with a pause in between.
+export function createPlaybackSource(swing, options = {}) {
+    const recorded = swing.imuSamples || [];
+    const pauseTime = options.pauseTime ?? DEFAULT_PAUSE_TIME;
+
+    // Pad at the recording's own sample rate
+    let rate = 60;
+    if (recorded.length > 1) {
+        const span = (recorded[recorded.length - 1].receivedAt - recorded[0].receivedAt) / 1000;
+        if (span > 0) rate = (recorded.length - 1) / span;
+    }
+
+    const start = recorded.length ? recorded[0].receivedAt - pauseTime * 1000 : 0;
+    const samples = [...generateIdleSamples(pauseTime, rate, start), ...recorded];
+    return createSequenceSource(`Playback: ${swing.name || 'recorded swing'}`, samples);
+}
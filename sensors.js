@@ -9,10 +9,14 @@
 //   - Magnetometer: Compass heading in degrees (if available)
 //
 // DATA FLOW:
-//   Browser events → This module → tracking.js (sensor fusion) → game-logic.js (hit detection)
+//   Sensor source → This module → tracking.js (sensor fusion) → game-logic.js (hit detection)
+//
+// The sensor source (see sensor-sources.js) is the real device by default,
+// but can be swapped for recorded playback or a synthetic swing generator.
 
 import { GameState } from './config.js';
 import { addDebugMessage } from './utils.js';
+import { createDeviceSource } from './sensor-sources.js';
 
 // ============================================
 // IMU DATA STORAGE
@@ -28,6 +32,9 @@ export const imuData = {
 // Permission state
 export let imuPermissionGranted = false;
 
+// Active sensor source
+let sensorSource = createDeviceSource();
+
 // Callback functions (will be set by main.js)
 let updateClubTipTrackingCallback = null;
 let recordSwingMotionCallback = null;
@@ -46,6 +53,33 @@ export function setSensorCallbacks(callbacks) {
     onIMUInitializedCallback = callbacks.onIMUInitialized;
 }
 
+// ============================================
+// SENSOR SOURCE
+// ============================================
+// Swap where samples come from. If sensors are already running, the old
+// source is stopped and the new one starts right away.
+export function setSensorSource(source) {
+    if (imuPermissionGranted) {
+        sensorSource.stop();
+    }
+    sensorSource = source;
+    if (imuPermissionGranted) {
+        startSensorSource();
+    }
+}
+
+export function getSensorSource() {
+    return sensorSource;
+}
+
+function startSensorSource() {
+    sensorSource.start({
+        onMotion: handleMotionSample,
+        onOrientation: handleOrientationSample
+    });
+    addDebugMessage(`📡 Sensor source: ${sensorSource.name}`);
+}
+
 // ============================================
 // IMU PERMISSION REQUEST
 // ============================================
@@ -56,7 +90,9 @@ export async function requestIMUPermission() {
     }
 
     // Check if DeviceMotionEvent.requestPermission exists (iOS 13+)
-    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+    // Recorded/synthetic sources don't need it
+    if (sensorSource.requiresPermission && typeof DeviceMotionEvent !== 'undefined' &&
+        typeof DeviceMotionEvent.requestPermission === 'function') {
         try {
             const permission = await DeviceMotionEvent.requestPermission();
             if (permission === 'granted') {
@@ -85,20 +121,28 @@ export async function requestIMUPermission() {
 // INITIALIZE IMU
 // ============================================
 function initializeIMU() {
-    // Start listening to device motion events
-    window.addEventListener('devicemotion', handleDeviceMotion);
-    window.addEventListener('deviceorientation', handleDeviceOrientation);
+    // Start listening to the sensor source (only once)
+    if (!imuPermissionGranted) {
+        startSensorSource();
+    }
 
     imuPermissionGranted = true;
 
     // Debug: Log platform detection
-    const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-    const isAndroid = /Android/.test(navigator.userAgent);
+    const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+    const isIOS = /iPad|iPhone|iPod/.test(userAgent);
+    const isAndroid = /Android/.test(userAgent);
     const platform = isIOS ? 'iOS' : (isAndroid ? 'Android' : 'Desktop');
     addDebugMessage(`📱 Platform: ${platform}`);
 
     if (updateStatusCallback) {
-        updateStatusCallback('✓ IMU Ready! Set ball position to start');
+        if (sensorSource.hint) {
+            updateStatusCallback(`✓ Ready! ${sensorSource.hint}`);
+        } else if (platform === 'Desktop' && sensorSource.requiresPermission) {
+            updateStatusCallback('✓ Ready - no motion sensors? Pick Mouse / Keyboard in ⚙️ Sensor Input');
+        } else {
+            updateStatusCallback('✓ IMU Ready! Set ball position to start');
+        }
     }
 
     // Notify that IMU is initialized
@@ -108,51 +152,25 @@ function initializeIMU() {
 }
 
 // ============================================
-// DEVICE MOTION HANDLER
+// MOTION SAMPLE HANDLER
 // ============================================
-// Called by browser on every sensor update (typically ~60Hz)
-function handleDeviceMotion(event) {
-    // ACCELERATION DATA
-    // Prefer linear acceleration (gravity-compensated), fallback to raw acceleration
-    if (event.acceleration && (event.acceleration.x !== null || event.acceleration.y !== null || event.acceleration.z !== null)) {
-        imuData.acceleration = {
-            x: event.acceleration.x || 0,
-            y: event.acceleration.y || 0,
-            z: event.acceleration.z || 0
-        };
-
-        if (!handleDeviceMotion._accelSourceLogged) {
-            handleDeviceMotion._accelSourceLogged = true;
-            addDebugMessage('📱 Using linear acceleration (gravity-compensated)');
-        }
-    } else if (event.accelerationIncludingGravity) {
-        imuData.acceleration = {
-            x: event.accelerationIncludingGravity.x || 0,
-            y: event.accelerationIncludingGravity.y || 0,
-            z: event.accelerationIncludingGravity.z || 0
-        };
-
-        if (!handleDeviceMotion._accelSourceLogged) {
-            handleDeviceMotion._accelSourceLogged = true;
-            addDebugMessage('⚠️ Using raw acceleration (includes gravity ~9.8m/s²)');
-        }
+// Called by the sensor source on every sample (typically ~60Hz)
+function handleMotionSample(sample) {
+    if (sample.acceleration) {
+        imuData.acceleration = sample.acceleration;
     }
-
-    // GYROSCOPE DATA
-    if (event.rotationRate) {
-        imuData.rotationRate = {
-            alpha: event.rotationRate.alpha || 0,  // Yaw (Z-axis)
-            beta: event.rotationRate.beta || 0,    // Pitch (X-axis)
-            gamma: event.rotationRate.gamma || 0   // Roll (Y-axis)
-        };
+    if (sample.rotationRate) {
+        imuData.rotationRate = sample.rotationRate;
     }
 
-    imuData.timestamp = event.timeStamp || Date.now();
+    imuData.timestamp = sample.timestamp || Date.now();
 
     const currentState = getCurrentStateCallback ? getCurrentStateCallback() : null;
 
-    // Update club tip tracking when ball is set or actively swinging
-    if (currentState === GameState.BALL_SET_READY_TO_SWING || currentState === GameState.SWINGING) {
+    // Update club tip tracking when ball is set or actively swinging, and
+    // during the flight for the follow-through (swing-analysis.js)
+    if (currentState === GameState.BALL_SET_READY_TO_SWING || currentState === GameState.SWINGING ||
+        currentState === GameState.BALL_FLYING) {
         if (updateClubTipTrackingCallback) {
             try {
                 updateClubTipTrackingCallback();
@@ -169,15 +187,11 @@ function handleDeviceMotion(event) {
 }
 
 // ============================================
-// DEVICE ORIENTATION HANDLER
+// ORIENTATION SAMPLE HANDLER
 // ============================================
 // Provides absolute orientation (including compass heading if available)
-function handleDeviceOrientation(event) {
-    imuData.orientation = {
-        alpha: event.alpha,      // Compass heading 0-360° (null if unavailable)
-        beta: event.beta ?? 0,   // Pitch: -180 to 180°
-        gamma: event.gamma ?? 0  // Roll: -90 to 90°
-    };
+function handleOrientationSample(orientation) {
+    imuData.orientation = orientation;
     // NOTE: alpha is kept as null when compass unavailable (not defaulted to 0)
     //       This allows tracking.js to detect 6DOF vs 9DOF mode
 }
@@ -190,5 +204,7 @@ export function setIMUPermissionGranted(value) {
 }
 
 export function resetSensorDebugFlags() {
-    handleDeviceMotion._accelSourceLogged = false;
+    if (sensorSource.resetDebugFlags) {
+        sensorSource.resetDebugFlags();
+    }
 }
@@ -0,0 +1,129 @@
+// ============================================
+// SHOT HISTORY MODULE
+// ============================================
+// Modal listing the saved shot history a page at a time, newest first,
+// with a delete button on every shot.
+
+import { getShotHistory, deleteShotFromHistory } from './storage.js';
+import { getClubName } from './clubs.js';
+
+// UI element references (will be set by main.js)
+let historyModal = null;
+let historyList = null;
+let pageInfo = null;
+let newerBtn = null;
+let olderBtn = null;
+
+// Callback references
+let updateStatusCallback = null;
+let onHistoryChangedCallback = null;
+
+// Page shown (0 = newest shots)
+let currentPage = 0;
+
+export function initShotHistory(elements, callbacks) {
+    historyModal = elements.shotHistoryModal;
+    historyList = elements.shotHistoryList;
+    pageInfo = elements.shotHistoryPage;
+    newerBtn = elements.newerShotsBtn;
+    olderBtn = elements.olderShotsBtn;
+
+    updateStatusCallback = callbacks.updateStatus;
+    onHistoryChangedCallback = callbacks.onHistoryChanged;
+
+    elements.browseHistoryBtn.addEventListener('click', openShotHistory);
+    elements.closeShotHistoryBtn.addEventListener('click', closeShotHistory);
+    newerBtn.addEventListener('click', () => showPage(currentPage - 1));
+    olderBtn.addEventListener('click', () => showPage(currentPage + 1));
+
+    // Close modal when clicking outside
+    historyModal.addEventListener('click', function(e) {
+        if (e.target === historyModal) {
+            closeShotHistory();
+        }
+    });
+}
+
+export function openShotHistory() {
+    showPage(0);
+    historyModal.classList.add('active');
+}
+
+function closeShotHistory() {
+    historyModal.classList.remove('active');
+}
+
+// ============================================
+// SHOT LIST
+// ============================================
+// Pages past the end (e.g. after deleting the last shot on it) show the
+// last page instead
+function showPage(page) {
+    let history = getShotHistory(Math.max(0, page));
+    if (history.page >= history.pages) {
+        history = getShotHistory(history.pages - 1);
+    }
+    currentPage = history.page;
+
+    historyList.replaceChildren();
+    if (history.total === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'library-empty';
+        empty.textContent = 'No saved shots yet. Every completed shot is saved here.';
+        historyList.appendChild(empty);
+    }
+    history.shots.forEach(shot => {
+        historyList.appendChild(createShotRow(shot));
+    });
+
+    pageInfo.textContent = `Page ${history.page + 1} of ${history.pages} (${history.total} shots)`;
+    newerBtn.disabled = history.page === 0;
+    olderBtn.disabled = history.page >= history.pages - 1;
+}
+
+const meters = value => typeof value === 'number' && isFinite(value) ? `${value.toFixed(1)}m` : 'N/A';
+
+// One line per shot (older shots may lack total, target and penalty)
+function describeShot(shot) {
+    const total = shot.totalDistance ?? shot.distance;
+    const parts = [`Carry ${meters(shot.distance)}`];
+    if (total !== shot.distance) parts.push(`Total ${meters(total)}`);
+    parts.push(`Height ${meters(shot.maxHeight)}`);
+    if (typeof shot.targetAccuracy === 'number') parts.push(`Target ${meters(shot.targetAccuracy)} away`);
+    if (shot.penalty > 0) parts.push(`+${shot.penalty} penalty`);
+    return parts.join(' | ');
+}
+
+function createShotRow(shot) {
+    const row = document.createElement('div');
+    row.className = 'library-row';
+
+    // Club (and player) with the time
+    const title = document.createElement('div');
+    const club = shot.club ? getClubName(shot.club) : 'No club';
+    const player = shot.player ? ` - ${shot.player}` : '';
+    title.textContent = `${club}${player}`;
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    info.textContent = `${new Date(shot.timestamp).toLocaleString()} | ${describeShot(shot)}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'button-row';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = '🗑️ Delete';
+    deleteBtn.className = 'secondary-btn danger-btn';
+    deleteBtn.addEventListener('click', function() {
+        if (!confirm(`Delete this ${club} shot?`)) return;
+        if (deleteShotFromHistory(shot.id)) {
+            updateStatusCallback(`🗑️ Deleted ${club} shot`);
+            onHistoryChangedCallback();
+        }
+        showPage(currentPage);
+    });
+
+    actions.append(deleteBtn);
+    row.append(title, info, actions);
+    return row;
+}
@@ -0,0 +1,723 @@
+// ============================================
+// SIMULATION MODULE
+// ============================================
+// Headless ball-flight simulation. No DOM, sound, storage or clock access,
+// so the same flight model runs in the browser and in Node (tests, previews,
+// re-simulation, statistics).
+//
+// COORDINATE SYSTEM (same as the game):
+//   X: Left (-) / Right (+), Y: Up, Z: Away from player (+)
+
+import { getSurface, getSurfaceAt, getSlopeAt, getElevationAt } from './terrain.js';
+import { getObstacleShapes, findObstacleHit, OBSTACLE_MATERIALS } from './obstacles.js';
+import { getAirDensityRatio } from './environment.js';
+
+// Fixed integration step (seconds). The flight always advances in steps of
+// this size, whatever the display refresh rate, so every device computes
+// exactly the same trajectory.
+export const PHYSICS_TIMESTEP = 1 / 120;
+
+// Safety limit for flight integration (seconds), also applied to the live
+// flight in physics.js
+export const DEFAULT_MAX_FLIGHT_TIME = 30;
+
+// Decay rates per second. The original tuning applied these once per frame
+// at 60 Hz; converting them to continuous rates keeps the same flight
+// while making it independent of the step size.
+const TUNED_FRAME_RATE = 60;
+const SPIN_DECAY_PER_FRAME = 0.98;
+const SPIN_DECAY_RATE = -Math.log(SPIN_DECAY_PER_FRAME) * TUNED_FRAME_RATE;  // ≈1.21 /s
+
+// Air resistance setting (0-1) → drag rate per second
+function getDragRate(airResistance) {
+    const dragPerFrame = airResistance * 0.01;
+    return -Math.log(1 - dragPerFrame) * TUNED_FRAME_RATE;
+}
+
+// REALISTIC MODE CONSTANTS
+const AIR_DENSITY = 1.225;          // kg/m³ (sea level, 15°C) - scaled by the environment
+const AIR_VISCOSITY = 1.81e-5;      // kg/(m·s) dynamic viscosity
+const REALISTIC_SPIN_DECAY_RATE = 0.05;  // /s (spin time constant ~20s)
+
+// Drag coefficient: dimples trigger the "drag crisis" - high drag at low
+// Reynolds numbers, ~0.21 at driving speeds - plus a spin-dependent term.
+// Tuned so tour-average launch conditions give tour-average carries
+// (driver ~250m, 7-iron ~165m, pitching wedge ~125m).
+const DRAG_LOW_REYNOLDS = 5e4;
+const DRAG_HIGH_REYNOLDS = 1e5;
+const DRAG_LOW_SPEED = 0.5;
+const DRAG_HIGH_SPEED = 0.21;
+const DRAG_PER_SPIN_FACTOR = 0.12;
+
+// Lift coefficient cap (lift levels off at very high spin)
+const MAX_LIFT_COEFFICIENT = 0.4;
+
+// ============================================
+// WIND
+// ============================================
+// wind: { speed (m/s), direction (deg), gustiness (0-1), gustPhase (rad) }
+// direction is where the wind blows TO, measured from the target line:
+//   0 = tailwind (downrange), 90 = left-to-right, 180 = headwind (into
+//   the player), 270 = right-to-left
+// Gusts change the speed smoothly during the flight. The pattern only
+// depends on gustPhase and flight time, so a shot with the same wind always
+// flies the same way.
+const GUST_PERIODS = [3.1, 1.3];    // seconds
+const GUST_WEIGHTS = [0.6, 0.4];
+
+// Wind velocity (m/s, world axes) at a time since launch
+export function getWindVelocity(wind, time) {
+    if (!wind || !(wind.speed > 0)) return { x: 0, y: 0, z: 0 };
+
+    const phase = wind.gustPhase || 0;
+    const gust = GUST_WEIGHTS[0] * Math.sin(2 * Math.PI * time / GUST_PERIODS[0] + phase) +
+        GUST_WEIGHTS[1] * Math.sin(2 * Math.PI * time / GUST_PERIODS[1] + 2.7 * phase);
+    const speed = Math.max(0, wind.speed * (1 + (wind.gustiness || 0) * gust));
+    const angle = wind.direction * Math.PI / 180;
+
+    return { x: speed * Math.sin(angle), y: 0, z: speed * Math.cos(angle) };
+}
+
+// ============================================
+// SHOT FRAME
+// ============================================
+// frame: { origin: {x, z}, heading } - where a shot is played from and the
+// aim direction (radians, 0 = +Z straight down the range, positive turns
+// towards +X).
+// A flight is simulated in its shot frame (starts at 0,0,0 and launches
+// along +Z, like every shot on the range). Only wind, terrain and the cup
+// live in world coordinates and are converted with the helpers below.
+// Without a frame, shot frame and world are the same.
+
+// Rotate a shot-frame vector into world axes (use -heading for the reverse)
+export function rotateHeading(vector, heading) {
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+    return {
+        x: vector.x * cos + vector.z * sin,
+        y: vector.y,
+        z: -vector.x * sin + vector.z * cos
+    };
+}
+
+// World ground position → shot frame (x right of the aim line, z along it)
+export function toShotFrame(point, frame) {
+    if (!frame) return { x: point.x, z: point.z };
+    const local = rotateHeading({
+        x: point.x - frame.origin.x,
+        y: 0,
+        z: point.z - frame.origin.z
+    }, -frame.heading);
+    return { x: local.x, z: local.z };
+}
+
+// Shot-frame ground position → world
+export function fromShotFrame(point, frame) {
+    if (!frame) return { x: point.x, z: point.z };
+    const world = rotateHeading({ x: point.x, y: 0, z: point.z }, frame.heading);
+    return { x: frame.origin.x + world.x, z: frame.origin.z + world.z };
+}
+
+// Ground height under a shot-frame position, relative to where the shot is
+// played from (the ball starts at y = 0). 0 everywhere on flat terrain.
+export function getGroundHeight(terrain, frame, x, z) {
+    if (!terrain || !terrain.elevation) return 0;
+    const ground = fromShotFrame({ x: x, z: z }, frame);
+    const origin = frame ? frame.origin : { x: 0, z: 0 };
+    return getElevationAt(terrain, ground.x, ground.z) - getElevationAt(terrain, origin.x, origin.z);
+}
+
+// ============================================
+// FLIGHT STEP
+// ============================================
+// Advance any flight state ({ position, velocity, spin, wind?, frame?, flightTime? })
+// by dt seconds (normally PHYSICS_TIMESTEP). Semi-implicit Euler: velocity is
+// updated first, then position moves with the new velocity.
+// Drag and Magnus use the airspeed (ball velocity minus wind velocity).
+// Only mutates the given flight - the live game steps ballFlight with it,
+// simulateShot() steps a private copy.
+// Returns the Magnus/lift acceleration applied (for debugging).
+//
+// settings.physicsMode picks the model:
+//   'arcade'    Tuned game feel (airResistance, spinEffect sliders)
+//   'realistic' Drag/lift coefficients from ball size, mass and spin
+// Both scale drag and Magnus with the air density of the environment
+// settings (environment.js), relative to standard sea-level air.
+
+export function stepBallFlight(flight, dt, settings) {
+    let wind = getWindVelocity(flight.wind, flight.flightTime || 0);
+    if (flight.frame) {
+        wind = rotateHeading(wind, -flight.frame.heading);
+    }
+    const airDensityRatio = getAirDensityRatio(settings);
+    if (settings.physicsMode === 'realistic') {
+        return stepRealisticFlight(flight, dt, settings, wind, airDensityRatio);
+    }
+    return stepArcadeFlight(flight, dt, settings, wind, airDensityRatio);
+}
+
+function stepArcadeFlight(flight, dt, settings, wind, airDensityRatio) {
+    // ====================================================================
+    // GRAVITY: Constant downward acceleration
+    // ====================================================================
+    const gravity = -settings.gravity; // m/s² (negative = downward)
+    let magnus = { x: 0, y: 0, z: 0 };
+
+    // Update velocity with gravity
+    flight.velocity.y += gravity * dt;  // m/s
+
+    // Airspeed: velocity relative to the moving air
+    const air = {
+        x: flight.velocity.x - wind.x,
+        y: flight.velocity.y - wind.y,
+        z: flight.velocity.z - wind.z
+    };
+
+    // ====================================================================
+    // MAGNUS FORCE: Spin creates aerodynamic force perpendicular to motion
+    // ====================================================================
+    // Physics: Spinning ball drags air around it → pressure differential
+    // Cross product ω × v gives force direction (right-hand rule)
+
+    if (settings.spinEffect > 0 && flight.spin) {
+        const spinFactor = settings.spinEffect * 0.00001 * airDensityRatio;
+
+        // Cross product: ω × v
+        // Spin is in rad/s, velocity is in m/s
+        // Result is acceleration in m/s²
+        const magnusX = spinFactor * (
+            flight.spin.y * air.z -
+            flight.spin.z * air.y
+        );
+        const magnusY = spinFactor * (
+            flight.spin.z * air.x -
+            flight.spin.x * air.z
+        );
+        const magnusZ = spinFactor * (
+            flight.spin.x * air.y -
+            flight.spin.y * air.x
+        );
+
+        // Apply Magnus acceleration to velocity
+        if (isFinite(magnusX)) flight.velocity.x += magnusX * dt;
+        if (isFinite(magnusY)) flight.velocity.y += magnusY * dt;
+        if (isFinite(magnusZ)) flight.velocity.z += magnusZ * dt;
+        magnus = { x: magnusX, y: magnusY, z: magnusZ };
+
+        // Spin decays due to air friction
+        const spinDecay = Math.exp(-SPIN_DECAY_RATE * dt);
+        flight.spin.x *= spinDecay;
+        flight.spin.y *= spinDecay;
+        flight.spin.z *= spinDecay;
+    }
+
+    // ====================================================================
+    // AIR RESISTANCE (Drag): Opposes motion, proportional to velocity²
+    // ====================================================================
+
+    if (settings.airResistance > 0) {
+        const dragLoss = 1 - Math.exp(-getDragRate(settings.airResistance) * airDensityRatio * dt);
+
+        // Apply drag to horizontal motion (pushes the ball towards the wind speed)
+        flight.velocity.x -= air.x * dragLoss;
+        flight.velocity.z -= air.z * dragLoss;
+
+        // Y-axis drag only when moving upward (asymmetric for realism)
+        if (flight.velocity.y > 0) {
+            flight.velocity.y -= air.y * dragLoss;
+        }
+    }
+
+    // ====================================================================
+    // POSITION UPDATE: Integrate velocity to get new position
+    // ====================================================================
+
+    flight.position.x += flight.velocity.x * dt;  // meters
+    flight.position.y += flight.velocity.y * dt;  // meters
+    flight.position.z += flight.velocity.z * dt;  // meters
+
+    return magnus;
+}
+
+// ============================================
+// REALISTIC AERODYNAMICS
+// ============================================
+// Forces on a spinning golf ball:
+//   Drag: F = ½ρA·Cd·|v|² opposite to motion
+//   Lift: F = ½ρA·CL·|v|² along ω̂ × v̂ (Magnus)
+// with Cd from Reynolds number + spin factor and CL from spin factor
+// S = r|ω|/|v|.
+//
+// SPIN CONVENTION (same as launch): spin.x > 0 is backspin, spin.y > 0
+// curves right (slice). Physical spin axis for a ball flying +Z is
+// (-spin.x, spin.y, spin.z).
+
+export function getDragCoefficient(reynolds, spinFactor) {
+    let base;
+    if (reynolds <= DRAG_LOW_REYNOLDS) {
+        base = DRAG_LOW_SPEED;
+    } else if (reynolds >= DRAG_HIGH_REYNOLDS) {
+        base = DRAG_HIGH_SPEED;
+    } else {
+        const t = (reynolds - DRAG_LOW_REYNOLDS) / (DRAG_HIGH_REYNOLDS - DRAG_LOW_REYNOLDS);
+        base = DRAG_LOW_SPEED + (DRAG_HIGH_SPEED - DRAG_LOW_SPEED) * t;
+    }
+    return base + DRAG_PER_SPIN_FACTOR * spinFactor;
+}
+
+export function getLiftCoefficient(spinFactor) {
+    const lift = spinFactor <= 0.1 ? 1.8 * spinFactor : 0.18 + 0.5 * (spinFactor - 0.1);
+    return Math.min(MAX_LIFT_COEFFICIENT, lift);
+}
+
+function stepRealisticFlight(flight, dt, settings, wind, airDensityRatio) {
+    const density = AIR_DENSITY * airDensityRatio;
+    const mass = settings.ballWeight / 1000;          // g → kg
+    const radius = settings.ballDiameter / 200;       // cm diameter → m radius
+    const area = Math.PI * radius * radius;
+    const v = flight.velocity;
+
+    // Aerodynamic forces depend on the airspeed, not the ground speed
+    const air = { x: v.x - wind.x, y: v.y - wind.y, z: v.z - wind.z };
+    const speed = Math.sqrt(air.x * air.x + air.y * air.y + air.z * air.z);
+
+    let drag = { x: 0, y: 0, z: 0 };
+    let lift = { x: 0, y: 0, z: 0 };
+
+    if (speed > 0 && mass > 0) {
+        const spin = flight.spin || { x: 0, y: 0, z: 0 };
+        const omega = { x: -spin.x, y: spin.y, z: spin.z };
+        const spinRate = Math.sqrt(omega.x ** 2 + omega.y ** 2 + omega.z ** 2);
+
+        const spinFactor = radius * spinRate / speed;
+        const reynolds = density * speed * 2 * radius / AIR_VISCOSITY;
+        const cd = getDragCoefficient(reynolds, spinFactor);
+        const cl = getLiftCoefficient(spinFactor);
+
+        // ½ρA|v|/m - multiplied by a velocity vector gives acceleration
+        const k = 0.5 * density * area * speed / mass;
+
+        drag = { x: -k * cd * air.x, y: -k * cd * air.y, z: -k * cd * air.z };
+
+        if (spinRate > 0) {
+            // ω̂ × v  (|ω̂ × v| = |v| when spin axis ⟂ velocity)
+            const cross = {
+                x: (omega.y * air.z - omega.z * air.y) / spinRate,
+                y: (omega.z * air.x - omega.x * air.z) / spinRate,
+                z: (omega.x * air.y - omega.y * air.x) / spinRate
+            };
+            lift = { x: k * cl * cross.x, y: k * cl * cross.y, z: k * cl * cross.z };
+        }
+    }
+
+    // Velocity update (gravity + drag + lift)
+    v.x += (drag.x + lift.x) * dt;
+    v.y += (drag.y + lift.y - settings.gravity) * dt;
+    v.z += (drag.z + lift.z) * dt;
+
+    // Spin slowly decays over the flight
+    if (flight.spin) {
+        const spinDecay = Math.exp(-REALISTIC_SPIN_DECAY_RATE * dt);
+        flight.spin.x *= spinDecay;
+        flight.spin.y *= spinDecay;
+        flight.spin.z *= spinDecay;
+    }
+
+    // Position update
+    flight.position.x += v.x * dt;
+    flight.position.y += v.y * dt;
+    flight.position.z += v.z * dt;
+
+    return lift;
+}
+
+// Ball has reached the ground: on the way down, or flying into rising ground
+export function hasLanded(flight) {
+    const ground = getGroundHeight(flight.terrain, flight.frame, flight.position.x, flight.position.z);
+    return flight.position.y < ground || (flight.position.y <= ground && flight.velocity.y < 0);
+}
+
+// ============================================
+// BOUNCE AND ROLL
+// ============================================
+// After the first landing the ball bounces (losing vertical speed each
+// time, backspin biting into the turf) and then rolls until friction stops
+// it. Backspin can check the ball or even pull it back; low-spin shots
+// release forward.
+//
+// How much the ball bounces and rolls depends on the surface under it
+// (terrain.js): flight.terrain, or fairway everywhere when there is none.
+// A ball that reaches water stops there; flight.surface is the surface
+// the ball is on (at rest: its lie). With flight.cup ({x, z, radius}, world)
+// a ball that reaches the cup slowly enough drops in (flight.holed).
+// Rolling balls also feel the slope of the ground (heightfield and zone
+// slope): gravity pulls them downhill, so putts break. A ball resting on a
+// slope steeper than its surface's rolling friction keeps running. Bounces
+// reflect off the tilted ground, so a ball landing on an upslope kicks back
+// and one landing on a downslope runs on.
+// Heights are measured from the ground where the shot was played
+// (getGroundHeight): uphill holes land the ball sooner, downhill ones later.
+//
+// flight.phase: 'air' → ('air' between bounces) → 'roll' → 'stopped'
+// Putts start in 'roll' (see simulateShot options.rolling).
+
+const BOUNCE_SPIN_LOSS = 0.5;       // Share of spin lost per bounce
+const MAX_SPIN_BACK = 0.3;          // Spin-back speed limit (share of landing speed)
+const MIN_BOUNCE_SPEED = 1.0;       // m/s - slower vertical impacts start the roll
+const STOP_SPEED = 0.05;            // m/s - ball counts as stopped
+const CUP_CAPTURE_SPEED = 1.6;      // m/s - faster balls run over the cup
+
+// Surface under the ball (also remembered in flight.surface)
+function updateSurface(flight) {
+    const ground = fromShotFrame(flight.position, flight.frame);
+    flight.surface = getSurfaceAt(flight.terrain, ground.x, ground.z);
+    return getSurface(flight.surface);
+}
+
+// Ground slope under the ball in shot-frame axes (rise per meter)
+function getShotSlope(flight) {
+    const ground = fromShotFrame(flight.position, flight.frame);
+    const slope = getSlopeAt(flight.terrain, ground.x, ground.z);
+    if (!flight.frame) return slope;
+    const local = rotateHeading({ x: slope.x, y: 0, z: slope.z }, -flight.frame.heading);
+    return { x: local.x, z: local.z };
+}
+
+// Ball went into a water hazard: it stays where it went in
+function stopInHazard(flight) {
+    flight.velocity.x = 0;
+    flight.velocity.y = 0;
+    flight.velocity.z = 0;
+    flight.phase = 'roll';  // Zero speed - stops on the next step
+}
+
+// Ball over the cup and slow enough: it drops in and stays there
+function tryHoleOut(flight) {
+    if (!flight.cup) return false;
+
+    // Cup in shot-frame coordinates
+    const cup = toShotFrame(flight.cup, flight.frame);
+    const dx = flight.position.x - cup.x;
+    const dz = flight.position.z - cup.z;
+    const v = flight.velocity;
+    const speed = Math.sqrt(v.x * v.x + v.z * v.z);
+    const radius = flight.cup.radius;
+    if (dx * dx + dz * dz > radius * radius || speed > CUP_CAPTURE_SPEED) {
+        return false;
+    }
+
+    flight.holed = true;
+    flight.position.x = cup.x;
+    flight.position.y = getGroundHeight(flight.terrain, flight.frame, cup.x, cup.z);
+    flight.position.z = cup.z;
+    stopInHazard(flight);   // Same as a hazard: no more movement
+    return true;
+}
+
+// Ground contact: reflect and damp the velocity. The split into speed
+// along the ground and into it uses the ground's normal, so slopes deflect
+// the ball (on flat ground: horizontal and vertical speed).
+export function bounceBall(flight, settings) {
+    const radius = settings.ballDiameter / 200;
+    const v = flight.velocity;
+
+    flight.position.y = getGroundHeight(flight.terrain, flight.frame, flight.position.x, flight.position.z);
+    flight.bounces = (flight.bounces || 0) + 1;
+
+    const surface = updateSurface(flight);
+    if (surface.hazard === 'water') {
+        stopInHazard(flight);
+        return;
+    }
+    if (tryHoleOut(flight)) return;
+
+    // Ground normal from the slope (rise per meter)
+    const slope = getShotSlope(flight);
+    const length = Math.sqrt(slope.x * slope.x + 1 + slope.z * slope.z);
+    const normal = { x: -slope.x / length, y: 1 / length, z: -slope.z / length };
+    const intoGround = v.x * normal.x + v.y * normal.y + v.z * normal.z;
+    const along = {
+        x: v.x - intoGround * normal.x,
+        y: v.y - intoGround * normal.y,
+        z: v.z - intoGround * normal.z
+    };
+    const alongSpeed = Math.sqrt(along.x * along.x + along.y * along.y + along.z * along.z);
+
+    // Along the ground: friction plus backspin check (spin.x > 0 = backspin)
+    if (alongSpeed > 0) {
+        const backspinSpeed = flight.spin ? Math.max(0, flight.spin.x) * radius : 0;
+        let newSpeed = alongSpeed * (1 - surface.friction) - backspinSpeed * surface.spinGrip;
+        newSpeed = Math.max(-alongSpeed * MAX_SPIN_BACK, newSpeed);
+        along.x *= newSpeed / alongSpeed;
+        along.y *= newSpeed / alongSpeed;
+        along.z *= newSpeed / alongSpeed;
+    }
+
+    if (flight.spin) {
+        flight.spin.x *= 1 - BOUNCE_SPIN_LOSS;
+        flight.spin.y *= 1 - BOUNCE_SPIN_LOSS;
+        flight.spin.z *= 1 - BOUNCE_SPIN_LOSS;
+    }
+
+    // Off the ground: bounce up, or settle into a roll
+    const reboundSpeed = -intoGround * surface.restitution;
+    if (reboundSpeed < MIN_BOUNCE_SPEED) {
+        v.x = along.x;
+        v.y = 0;
+        v.z = along.z;
+        flight.phase = 'roll';
+    } else {
+        v.x = along.x + reboundSpeed * normal.x;
+        v.y = along.y + reboundSpeed * normal.y;
+        v.z = along.z + reboundSpeed * normal.z;
+        flight.phase = 'air';
+    }
+}
+
+// Rolling on the ground. Returns true once the ball has stopped.
+export function stepBallRoll(flight, dt, settings) {
+    const v = flight.velocity;
+    const surface = updateSurface(flight);
+
+    if (surface.hazard === 'water') {
+        stopInHazard(flight);
+        return true;
+    }
+    if (flight.holed || tryHoleOut(flight)) return true;
+
+    // Slope pulls the ball downhill, friction slows it along its path
+    const slope = getShotSlope(flight);
+    const friction = surface.rollingFriction * settings.gravity;
+    const slopePull = settings.gravity * Math.sqrt(slope.x * slope.x + slope.z * slope.z);
+    v.x -= settings.gravity * slope.x * dt;
+    v.z -= settings.gravity * slope.z * dt;
+    const slopedSpeed = Math.sqrt(v.x * v.x + v.z * v.z);
+    const newSpeed = slopedSpeed - friction * dt;
+
+    if (newSpeed <= STOP_SPEED && slopePull <= friction) {
+        v.x = 0;
+        v.y = 0;
+        v.z = 0;
+        return true;
+    }
+
+    const scale = slopedSpeed > 0 ? Math.max(0, newSpeed) / slopedSpeed : 0;
+    v.x *= scale;
+    v.z *= scale;
+    v.y = 0;
+    flight.position.x += v.x * dt;
+    flight.position.z += v.z * dt;
+    flight.position.y = getGroundHeight(flight.terrain, flight.frame, flight.position.x, flight.position.z);
+    return false;
+}
+
+// ============================================
+// OBSTACLES
+// ============================================
+// Trees, walls and nets on the terrain (terrain.obstacles, see obstacles.js).
+// Every step the path the ball just moved along is checked against them;
+// on a hit the ball goes back to the point of contact and its velocity is
+// reflected off the obstacle: the speed into it is damped by the material's
+// restitution, the speed along it by its friction. Rolling balls run into
+// trunks, walls and nets too. flight.obstacle is the first one hit (name).
+// The shapes are placed once per shot (flight.obstacleShapes), when the
+// flight is set up.
+
+const CONTACT_OFFSET = 0.01;        // m - ball is put back this far outside
+
+// Obstacle shapes in the shot frame, standing on the ground
+export function getShotObstacleShapes(terrain, frame) {
+    const obstacles = terrain && terrain.obstacles;
+    if (!obstacles) return [];
+    const place = (x, z) => {
+        const local = toShotFrame({ x: x, z: z }, frame);
+        return { x: local.x, y: getGroundHeight(terrain, frame, local.x, local.z), z: local.z };
+    };
+    return obstacles.flatMap(obstacle => getObstacleShapes(obstacle, place));
+}
+
+// Check the step from → flight.position. Returns true if the ball hit something.
+function collideWithObstacles(flight, from) {
+    const shapes = flight.obstacleShapes;
+    if (!shapes || shapes.length === 0) return false;
+    const hit = findObstacleHit(shapes, from, flight.position);
+    if (!hit) return false;
+
+    const v = flight.velocity;
+    const n = hit.normal;
+    const intoObstacle = v.x * n.x + v.y * n.y + v.z * n.z;
+    if (intoObstacle >= 0) return false;    // Moving away already
+
+    const material = OBSTACLE_MATERIALS[hit.shape.material];
+    const keepAlong = 1 - material.friction;
+    const rebound = -intoObstacle * material.restitution;
+    v.x = (v.x - intoObstacle * n.x) * keepAlong + rebound * n.x;
+    v.y = (v.y - intoObstacle * n.y) * keepAlong + rebound * n.y;
+    v.z = (v.z - intoObstacle * n.z) * keepAlong + rebound * n.z;
+
+    flight.position.x = hit.point.x + n.x * CONTACT_OFFSET;
+    flight.position.y = hit.point.y + n.y * CONTACT_OFFSET;
+    flight.position.z = hit.point.z + n.z * CONTACT_OFFSET;
+
+    if (flight.spin) {
+        flight.spin.x *= 1 - BOUNCE_SPIN_LOSS;
+        flight.spin.y *= 1 - BOUNCE_SPIN_LOSS;
+        flight.spin.z *= 1 - BOUNCE_SPIN_LOSS;
+    }
+    flight.obstacle = flight.obstacle || material.name;
+    return true;
+}
+
+// One fixed step through every phase of the shot. Also advances
+// flight.flightTime (time since launch, used for wind gusts).
+// Returns the event that happened in this step:
+//   'landed'  first ground contact (carry ends here)
+//   'bounced' a later bounce
+//   'hit'     ran into an obstacle
+//   'stopped' ball came to rest
+//   null      nothing special
+// The Magnus/lift acceleration of the step is kept in flight.aeroAcceleration.
+export function stepBall(flight, dt, settings) {
+    if (flight.phase === 'stopped') return null;
+    flight.flightTime = (flight.flightTime || 0) + dt;
+
+    const from = { ...flight.position };
+
+    if (flight.phase === 'roll') {
+        flight.aeroAcceleration = { x: 0, y: 0, z: 0 };
+        if (stepBallRoll(flight, dt, settings)) {
+            flight.phase = 'stopped';
+            updateSurface(flight);
+            return 'stopped';
+        }
+        if (collideWithObstacles(flight, from)) {
+            flight.velocity.y = 0;
+            flight.position.y = getGroundHeight(flight.terrain, flight.frame, flight.position.x, flight.position.z);
+            return 'hit';
+        }
+        return null;
+    }
+
+    flight.aeroAcceleration = stepBallFlight(flight, dt, settings);
+
+    if (collideWithObstacles(flight, from)) return 'hit';
+
+    if (hasLanded(flight)) {
+        const firstLanding = !flight.bounces;
+        bounceBall(flight, settings);
+        return firstLanding ? 'landed' : 'bounced';
+    }
+    return null;
+}
+
+// ============================================
+// SIMULATE A WHOLE SHOT
+// ============================================
+// Integrates from the start position through flight, bounces and roll until
+// the ball stops.
+//
+// options:
+//   timestep       Integration step in seconds (default PHYSICS_TIMESTEP)
+//   maxFlightTime  Give up after this many seconds (default 30)
+//   stopAtLanding  Stop at the first landing (carry only, no roll)
+//   wind           Wind during the shot (see getWindVelocity), default none
+//   terrain        Surface zones (terrain.js), default fairway everywhere
+//   frame          Shot frame (see SHOT FRAME): where on the terrain the shot
+//                  is played from and in which direction
+//   cup            {x, z, radius} in world coordinates - the ball can be holed
+//   rolling        Putt: the ball starts on the ground (no flight, carry 0)
+//
+// Returns {
+//   trajectory, landingIndex (trajectory index of the first landing),
+//   carry, totalDistance, rollDistance, apex,
+//   flightTime (air time until first landing), totalTime,
+//   landing: {x, z} (carry point), rest: {x, z} (final position),
+//   (trajectory, landing and rest are in the shot frame)
+//   landingSurface, surface (lie at rest), holed,
+//   obstacle (name of the first obstacle hit, or null)
+// }
+// Deterministic: the same inputs always give the same result.
+export function simulateShot(launchVelocity, spin, settings, options = {}) {
+    const timestep = options.timestep ?? PHYSICS_TIMESTEP;
+    const maxFlightTime = options.maxFlightTime ?? DEFAULT_MAX_FLIGHT_TIME;
+
+    const flight = {
+        position: { x: 0, y: 0, z: 0 },
+        velocity: { ...launchVelocity },
+        spin: { ...spin },
+        wind: options.wind || null,
+        terrain: options.terrain || null,
+        frame: options.frame || null,
+        cup: options.cup || null,
+        obstacleShapes: getShotObstacleShapes(options.terrain || null, options.frame || null),
+        holed: false,
+        surface: null,
+        obstacle: null,
+        flightTime: 0,
+        phase: options.rolling ? 'roll' : 'air',
+        bounces: 0
+    };
+
+    const trajectory = [{ ...flight.position }];
+    const maxSteps = Math.ceil(maxFlightTime / timestep);
+    let apex = 0;
+    let steps = 0;
+    let landing = null;
+    let landingIndex = -1;
+    let landingSteps = 0;
+    let landingSurface = null;
+
+    // Putts never leave the ground: the "landing" is the start
+    if (options.rolling) {
+        landing = { x: 0, z: 0 };
+        landingIndex = 0;
+        updateSurface(flight);
+        landingSurface = flight.surface;
+    }
+
+    while (steps < maxSteps) {
+        const event = stepBall(flight, timestep, settings);
+        steps++;
+        trajectory.push({ ...flight.position });
+        apex = Math.max(apex, flight.position.y);
+
+        if (event === 'landed') {
+            landing = { x: flight.position.x, z: flight.position.z };
+            landingIndex = trajectory.length - 1;
+            landingSteps = steps;
+            landingSurface = flight.surface;
+            if (options.stopAtLanding) break;
+        } else if (event === 'stopped') {
+            break;
+        }
+    }
+
+    // Never landed within the time limit: report where it got to
+    if (!landing) {
+        landing = { x: flight.position.x, z: flight.position.z };
+        landingIndex = trajectory.length - 1;
+        landingSteps = steps;
+    }
+
+    updateSurface(flight);
+    const rest = { x: flight.position.x, z: flight.position.z };
+    const carry = Math.sqrt(landing.x ** 2 + landing.z ** 2);
+    const totalDistance = Math.sqrt(rest.x ** 2 + rest.z ** 2);
+
+    return {
+        trajectory: trajectory,
+        landingIndex: landingIndex,
+        carry: carry,
+        totalDistance: totalDistance,
+        rollDistance: totalDistance - carry,
+        apex: apex,
+        flightTime: landingSteps * timestep,
+        totalTime: steps * timestep,
+        landing: landing,
+        rest: rest,
+        landingSurface: landingSurface || flight.surface,
+        surface: flight.surface,
+        holed: flight.holed,
+        obstacle: flight.obstacle
+    };
+}
@@ -0,0 +1,271 @@
+// ============================================
+// SHOT STATISTICS MODULE
+// ============================================
+// Summarizes shot history over a session or date range so players can see
+// whether they are improving across many swings.
+
+import { getAllShots, sessionId } from './storage.js';
+import { CLUB_PRESETS, getClubName } from './clubs.js';
+
+// Sidespin (rad/s) beyond which a shot counts as slice/hook (same as results overlay)
+const SHAPE_SPIN_THRESHOLD = 2;
+
+// Chi-square value for a 95% confidence ellipse (2 degrees of freedom)
+const CONFIDENCE_95_CHI2 = 5.991;
+
+// Date ranges the stats screen can cycle through
+export const STATS_RANGES = ['session', 'today', 'week', 'all'];
+
+export const STATS_RANGE_NAMES = {
+    'session': 'This Session',
+    'today': 'Today',
+    'week': 'Last 7 Days',
+    'all': 'All Time'
+};
+
+// ============================================
+// STATS VIEW STATE
+// ============================================
+export const statsView = {
+    active: false,
+    page: 'summary',    // 'summary', 'clubs' or 'dispersion'
+    range: 'session',
+    profile: null,      // Settings profile filter for dispersion (null = all)
+    profiles: [],       // Profiles present in the selected range
+    player: null,       // Player filter for every page (null = everyone)
+    players: [],        // Pass-and-play players with shots in the selected range
+    playerRow: null,    // Player filter line { top, bottom } (set by renderer, used for taps)
+    shots: [],          // Shots in the selected range
+    stats: null,        // Summary of those shots
+    clubs: [],          // Per-club summaries of those shots
+    dispersion: null,   // Landing spread of (filtered) shots around the target
+    bounds: null        // Overlay rectangle (set by renderer, used for taps)
+};
+
+// ============================================
+// FILTERING
+// ============================================
+export function filterShotsByRange(shots, range) {
+    const now = Date.now();
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    return shots.filter(shot => {
+        const time = new Date(shot.timestamp).getTime();
+        switch (range) {
+            case 'session':
+                return shot.sessionId === sessionId;
+            case 'today':
+                return time >= startOfToday.getTime();
+            case 'week':
+                return time >= now - 7 * 24 * 60 * 60 * 1000;
+            case 'all':
+            default:
+                return true;
+        }
+    });
+}
+
+// ============================================
+// SUMMARY STATISTICS
+// ============================================
+export function getShotShape(spin) {
+    if (!spin || Math.abs(spin.y) <= SHAPE_SPIN_THRESHOLD) return 'straight';
+    return spin.y > 0 ? 'slice' : 'hook';
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function summarize(values) {
+    return {
+        average: average(values),
+        median: median(values),
+        best: values.length ? Math.max(...values) : 0
+    };
+}
+
+export function computeShotStats(shots) {
+    const numbers = key => shots.map(shot => shot[key]).filter(v => typeof v === 'number' && isFinite(v));
+
+    const shapes = { slice: 0, hook: 0, straight: 0 };
+    shots.forEach(shot => shapes[getShotShape(shot.spin)]++);
+    const percent = count => shots.length ? (count / shots.length) * 100 : 0;
+
+    const accuracies = numbers('targetAccuracy');
+
+    return {
+        count: shots.length,
+        carry: summarize(numbers('distance')),
+        maxHeight: summarize(numbers('maxHeight')),
+        impactSpeed: summarize(numbers('impactSpeed')),
+        shape: {
+            slice: percent(shapes.slice),
+            hook: percent(shapes.hook),
+            straight: percent(shapes.straight)
+        },
+        targetAccuracy: {
+            average: average(accuracies),
+            count: accuracies.length
+        }
+    };
+}
+
+// ============================================
+// PER-CLUB STATISTICS
+// ============================================
+// Club a shot was hit with (shots from before the club bag have none)
+export function getShotClub(shot) {
+    return shot.club ?? shot.settings?.clubId ?? null;
+}
+
+// One summary per club used, in bag order (driver first, unknown last)
+export function computeClubStats(shots) {
+    const groups = new Map();
+    shots.forEach(shot => {
+        const club = getShotClub(shot);
+        if (!groups.has(club)) groups.set(club, []);
+        groups.get(club).push(shot);
+    });
+
+    const bagOrder = club => {
+        const index = CLUB_PRESETS.findIndex(preset => preset.id === club);
+        return index === -1 ? CLUB_PRESETS.length : index;
+    };
+
+    return [...groups.entries()]
+        .sort((a, b) => bagOrder(a[0]) - bagOrder(b[0]))
+        .map(([club, clubShots]) => {
+            const numbers = key => clubShots.map(shot => shot[key]).filter(v => typeof v === 'number' && isFinite(v));
+            return {
+                club: club,
+                name: club ? getClubName(club) : 'No club',
+                count: clubShots.length,
+                carry: summarize(numbers('distance')),
+                total: summarize(numbers('totalDistance')),
+                maxHeight: summarize(numbers('maxHeight'))
+            };
+        });
+}
+
+// ============================================
+// DISPERSION (landing spread around the target)
+// ============================================
+// Groups shots by the settings that shape the flight, so spreads from
+// different setups aren't mixed together (the club name leads, so the
+// filter also works as a per-club dispersion)
+export function getSettingsProfile(settings) {
+    if (!settings) return 'unknown';
+    const profile = `${settings.loftAngle}° loft · ${settings.clubLength}m · power ${settings.impactPower}`;
+    return settings.clubId ? `${getClubName(settings.clubId)} · ${profile}` : profile;
+}
+
+// Where each ball stopped relative to the target (the same point target
+// accuracy is measured from, see physics.js):
+//   x: Left (-) / Right (+)
+//   z: Short (-) / Long (+)
+// Shots from before bounce and roll have no rest position - they stopped
+// where they landed.
+export function computeDispersion(shots) {
+    const points = shots
+        .map(shot => ({ rest: shot.restPosition ?? shot.landingPosition, target: shot.targetPosition }))
+        .filter(shot => shot.rest && shot.target)
+        .map(shot => ({
+            x: shot.rest.x - shot.target.x,
+            z: shot.rest.z - shot.target.z
+        }));
+
+    const n = points.length;
+    const meanX = average(points.map(p => p.x));
+    const meanZ = average(points.map(p => p.z));
+
+    // Confidence ellipse from the sample covariance (needs 3+ points)
+    let ellipse = null;
+    if (n >= 3) {
+        let sxx = 0, szz = 0, sxz = 0;
+        points.forEach(p => {
+            sxx += (p.x - meanX) ** 2;
+            szz += (p.z - meanZ) ** 2;
+            sxz += (p.x - meanX) * (p.z - meanZ);
+        });
+        sxx /= n - 1;
+        szz /= n - 1;
+        sxz /= n - 1;
+
+        // Eigenvalues of the 2x2 covariance matrix → ellipse axes
+        const mid = (sxx + szz) / 2;
+        const spread = Math.sqrt(((sxx - szz) / 2) ** 2 + sxz ** 2);
+        const major = Math.max(0, mid + spread);
+        const minor = Math.max(0, mid - spread);
+
+        ellipse = {
+            center: { x: meanX, z: meanZ },
+            radiusMajor: Math.sqrt(major * CONFIDENCE_95_CHI2),
+            radiusMinor: Math.sqrt(minor * CONFIDENCE_95_CHI2),
+            angle: 0.5 * Math.atan2(2 * sxz, sxx - szz)  // Major axis angle from +X toward +Z (rad)
+        };
+    }
+
+    return {
+        points: points,
+        count: n,
+        bias: { x: meanX, z: meanZ },
+        ellipse: ellipse
+    };
+}
+
+// ============================================
+// VIEW CONTROL
+// ============================================
+// Reload shots from history and recompute everything for the current range
+// and player
+export function refreshStats() {
+    const rangeShots = filterShotsByRange(getAllShots(), statsView.range);
+    statsView.players = [...new Set(rangeShots.map(shot => shot.player).filter(Boolean))];
+    if (statsView.player !== null && !statsView.players.includes(statsView.player)) {
+        statsView.player = null;
+    }
+    statsView.shots = statsView.player === null
+        ? rangeShots
+        : rangeShots.filter(shot => shot.player === statsView.player);
+    statsView.stats = computeShotStats(statsView.shots);
+    statsView.clubs = computeClubStats(statsView.shots);
+
+    statsView.profiles = [...new Set(statsView.shots.map(shot => getSettingsProfile(shot.settings)))];
+    if (statsView.profile !== null && !statsView.profiles.includes(statsView.profile)) {
+        statsView.profile = null;
+    }
+
+    const filtered = statsView.profile === null
+        ? statsView.shots
+        : statsView.shots.filter(shot => getSettingsProfile(shot.settings) === statsView.profile);
+    statsView.dispersion = computeDispersion(filtered);
+}
+
+// Cycle dispersion filter: all profiles → each profile → all
+export function cycleStatsProfile() {
+    const index = statsView.profile === null ? -1 : statsView.profiles.indexOf(statsView.profile);
+    statsView.profile = index + 1 < statsView.profiles.length ? statsView.profiles[index + 1] : null;
+    refreshStats();
+}
+
+// Cycle player filter: everyone → each player → everyone
+export function cycleStatsPlayer() {
+    const index = statsView.player === null ? -1 : statsView.players.indexOf(statsView.player);
+    statsView.player = index + 1 < statsView.players.length ? statsView.players[index + 1] : null;
+    refreshStats();
+}
+
+export function cycleStatsRange() {
+    const index = STATS_RANGES.indexOf(statsView.range);
+    statsView.range = STATS_RANGES[(index + 1) % STATS_RANGES.length];
+    refreshStats();
+}
@@ -1,10 +1,13 @@
 // ============================================
 // DATA PERSISTENCE MODULE
 // ============================================
-// Save and load settings and last shot data using localStorage
+// Save and load settings, last shot, shot history and the course scorecard
+// using localStorage.
+// Recorded swings are larger, so they live in IndexedDB instead.
 
-import { defaultSettings } from './config.js';
-import { addDebugMessage } from './utils.js';
+import { defaultSettings, SHOT_HISTORY_PAGE_SIZE } from './config.js';
+import { getEnvironment, getAirDensity } from './environment.js';
+import { addDebugMessage, createId } from './utils.js';
 
 // ============================================
 // SAVE TO LOCAL STORAGE
@@ -23,8 +26,11 @@ export function saveToLocalStorage(settings, lastShot) {
 // LOAD FROM LOCAL STORAGE
 // ============================================
 
+// noClubId: settings were saved before the club bag (no clubId) - their
+// club values are the old single-club ones, not the default club's
 export function loadFromLocalStorage() {
     let settings = { ...defaultSettings };
+    let noClubId = false;
     let lastShot = {
         distance: 0,
         maxHeight: 0,
@@ -40,6 +46,7 @@ export function loadFromLocalStorage() {
             const loaded = JSON.parse(savedSettings);
             // Merge with defaults to handle new settings
             settings = { ...settings, ...loaded };
+            noClubId = !loaded.clubId;
         }
 
         if (savedLastShot) {
@@ -49,5 +56,310 @@ export function loadFromLocalStorage() {
         addDebugMessage(`❌ Storage load failed: ${e.message}`);
     }
 
-    return { settings, lastShot };
+    return { settings, lastShot, noClubId };
+}
+
+// ============================================
+// SHOT HISTORY
+// ============================================
+// Every completed shot is appended to a history list so a whole range
+// session can be reviewed later. Stored newest-last; oldest shots are
+// dropped first when the cap (settings.shotHistoryLimit) is exceeded.
+
+const SHOT_HISTORY_KEY = 'airGolfShotHistory';
+
+// Identifies shots taken since the page was loaded
+export const sessionId = Date.now();
+
+function readShotHistory() {
+    try {
+        const saved = localStorage.getItem(SHOT_HISTORY_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+        addDebugMessage(`❌ History load failed: ${e.message}`);
+        return [];
+    }
+}
+
+// Storage full: the standard name, Firefox's older name, or the legacy
+// DOMException codes where the name isn't set
+function isQuotaError(e) {
+    return e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        e.code === 22 || e.code === 1014;
+}
+
+// Returns false when nothing could be saved (the stored history is kept)
+function writeShotHistory(shots) {
+    if (shots.length === 0) {
+        localStorage.removeItem(SHOT_HISTORY_KEY);
+        return true;
+    }
+
+    // If storage is full, keep dropping the oldest 10% until it fits
+    while (shots.length > 0) {
+        try {
+            localStorage.setItem(SHOT_HISTORY_KEY, JSON.stringify(shots));
+            return true;
+        } catch (e) {
+            if (!isQuotaError(e)) {
+                addDebugMessage(`❌ History save failed: ${e.message}`);
+                return false;
+            }
+            shots.splice(0, Math.max(1, Math.floor(shots.length / 10)));
+            addDebugMessage(`⚠️ Storage full, trimmed history to ${shots.length} shots`);
+        }
+    }
+
+    // Not even one shot fits: leave what is stored alone
+    addDebugMessage(`❌ History save failed: storage full`);
+    return false;
+}
+
+// The cap as a whole number of shots; a missing or invalid limit (e.g. from
+// hand-edited settings) falls back to the default
+function getHistoryLimit(limit) {
+    const value = Math.floor(Number(limit));
+    return value >= 1 ? value : defaultSettings.shotHistoryLimit;
+}
+
+function applyHistoryCap(shots, limit) {
+    if (shots.length > limit) {
+        shots.splice(0, shots.length - limit);
+    }
+    return shots;
+}
+
+// Append a completed shot (with the settings in force) to the history.
+// Returns the saved shot, or null if it couldn't be saved.
+export function addShotToHistory(lastShot, settings) {
+    const environment = getEnvironment(settings);
+    const shot = {
+        id: createId('shot'),
+        sessionId: sessionId,
+        timestamp: lastShot.timestamp,
+        distance: lastShot.distance,
+        totalDistance: lastShot.totalDistance ?? lastShot.distance,
+        rollDistance: lastShot.rollDistance ?? 0,
+        maxHeight: lastShot.maxHeight,
+        impactSpeed: lastShot.impactSpeed,
+        velocity: lastShot.velocity ? { ...lastShot.velocity } : null,
+        spin: lastShot.spin ? { ...lastShot.spin } : null,
+        delivery: lastShot.delivery ? { ...lastShot.delivery } : null,
+        landingPosition: lastShot.landingPosition ? { ...lastShot.landingPosition } : null,
+        restPosition: lastShot.restPosition ? { ...lastShot.restPosition } : null,
+        targetPosition: lastShot.targetPosition ? { ...lastShot.targetPosition } : null,
+        targetAccuracy: lastShot.targetAccuracy ?? null,
+        wind: lastShot.wind ? { ...lastShot.wind } : null,
+        environment: { ...environment, airDensity: getAirDensity(environment) },
+        landingSurface: lastShot.landingSurface ?? null,
+        obstacle: lastShot.obstacle ?? null,
+        surface: lastShot.surface ?? null,
+        penalty: lastShot.penalty ?? 0,
+        hole: lastShot.hole ? { ...lastShot.hole } : null,
+        club: lastShot.club ?? settings.clubId ?? null,
+        putt: lastShot.putt ? { ...lastShot.putt } : null,
+        swingAnalysis: lastShot.swingAnalysis ?? null,
+        player: lastShot.player ?? null,
+        settings: { ...settings }
+    };
+
+    const shots = applyHistoryCap(readShotHistory().concat(shot), getHistoryLimit(settings.shotHistoryLimit));
+    return writeShotHistory(shots) ? shot : null;
+}
+
+// Get one page of shots, newest first
+export function getShotHistory(page = 0, pageSize = SHOT_HISTORY_PAGE_SIZE) {
+    const shots = readShotHistory().reverse();
+    const pages = Math.max(1, Math.ceil(shots.length / pageSize));
+    return {
+        shots: shots.slice(page * pageSize, (page + 1) * pageSize),
+        page: page,
+        pages: pages,
+        total: shots.length
+    };
+}
+
+// Get every stored shot, oldest first
+export function getAllShots() {
+    return readShotHistory();
+}
+
+export function deleteShotFromHistory(id) {
+    const shots = readShotHistory();
+    const remaining = shots.filter(shot => shot.id !== id);
+    if (remaining.length !== shots.length) {
+        return writeShotHistory(remaining);
+    }
+    return false;
+}
+
+// Re-apply the cap (e.g. after the limit was lowered in settings)
+export function trimShotHistory(limit) {
+    const shots = readShotHistory();
+    limit = getHistoryLimit(limit);
+    if (shots.length > limit) {
+        writeShotHistory(applyHistoryCap(shots, limit));
+    }
+}
+
+export function clearShotHistory() {
+    try {
+        localStorage.removeItem(SHOT_HISTORY_KEY);
+    } catch (e) {
+        addDebugMessage(`❌ History clear failed: ${e.message}`);
+    }
+}
+
+// ============================================
+// COURSE SCORECARD & IMPORTED COURSE
+// ============================================
+// The scorecard of the round in progress and the last course the player
+// imported (see course.js), so both survive reloads.
+
+const SCORECARD_KEY = 'airGolfScorecard';
+const IMPORTED_COURSE_KEY = 'airGolfImportedCourse';
+
+function readJSON(key) {
+    try {
+        const saved = localStorage.getItem(key);
+        return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+        addDebugMessage(`❌ Storage load failed: ${e.message}`);
+        return null;
+    }
+}
+
+function writeJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        addDebugMessage(`❌ Storage save failed: ${e.message}`);
+    }
+}
+
+export function saveScorecard(scorecard) {
+    writeJSON(SCORECARD_KEY, scorecard);
+}
+
+export function loadScorecard() {
+    return readJSON(SCORECARD_KEY);
+}
+
+export function saveImportedCourse(course) {
+    writeJSON(IMPORTED_COURSE_KEY, course);
+}
+
+export function loadImportedCourse() {
+    return readJSON(IMPORTED_COURSE_KEY);
+}
+
+// ============================================
+// CLUB BAG
+// ============================================
+// Per-club values edited in settings (see clubs.js)
+
+const CLUB_BAG_KEY = 'airGolfClubBag';
+
+export function saveClubBag(clubs) {
+    writeJSON(CLUB_BAG_KEY, clubs);
+}
+
+export function loadClubBag() {
+    return readJSON(CLUB_BAG_KEY);
+}
+
+// ============================================
+// MULTIPLAYER GAME
+// ============================================
+// Pass-and-play game in progress (see players.js)
+
+const GAME_KEY = 'airGolfGame';
+
+export function saveGame(game) {
+    writeJSON(GAME_KEY, game);
+}
+
+export function loadGame() {
+    return readJSON(GAME_KEY);
+}
+
+// ============================================
+// RECORDED SWINGS (IndexedDB)
+// ============================================
+// Each saved swing is stored as soon as it is recorded so it survives
+// reloads and iOS Safari tab eviction. All functions resolve even on
+// failure (errors go to the debug log) so callers never need a catch.
+
+const SWING_DB_NAME = 'airGolf';
+const SWING_DB_VERSION = 1;
+const SWING_STORE = 'swings';
+
+let swingDatabase = null;
+
+function openSwingDatabase() {
+    if (swingDatabase) return swingDatabase;
+
+    swingDatabase = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+        const request = indexedDB.open(SWING_DB_NAME, SWING_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SWING_STORE)) {
+                db.createObjectStore(SWING_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call if opening failed
+    swingDatabase.catch(() => { swingDatabase = null; });
+    return swingDatabase;
+}
+
+// Run one request against the swing store and resolve with its result
+async function swingStoreRequest(mode, makeRequest) {
+    const db = await openSwingDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SWING_STORE, mode);
+        const request = makeRequest(transaction.objectStore(SWING_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Insert or update a swing (keyed by swing.id)
+export async function saveSwing(swing) {
+    try {
+        await swingStoreRequest('readwrite', store => store.put(swing));
+        return true;
+    } catch (e) {
+        addDebugMessage(`❌ Swing save failed: ${e.message}`);
+        return false;
+    }
+}
+
+// Load all stored swings, oldest first
+export async function loadSwings() {
+    try {
+        const swings = await swingStoreRequest('readonly', store => store.getAll());
+        return swings.sort((a, b) => a.startTime - b.startTime);
+    } catch (e) {
+        addDebugMessage(`❌ Swing load failed: ${e.message}`);
+        return [];
+    }
+}
+
+export async function deleteSwing(id) {
+    try {
+        await swingStoreRequest('readwrite', store => store.delete(id));
+        return true;
+    } catch (e) {
+        addDebugMessage(`❌ Swing delete failed: ${e.message}`);
+        return false;
+    }
 }
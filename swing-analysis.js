@@ -0,0 +1,122 @@
+// ============================================
+// SWING ANALYSIS MODULE
+// ============================================
+// Splits the tracked club tip path of a swing into phases and measures its
+// tempo. No DOM - physics.js analyses the swing once the ball has stopped,
+// renderer.js shows the tempo with the results.
+//
+// PHASES (timestamps in ms, same clock as the tracking history):
+//   address         Ball set until the club starts back
+//   takeaway        Club leaves the ball until the top (the backswing)
+//   top             Top of the backswing: tip furthest from the ball
+//   downswing       Top to impact
+//   impact          Hit registered
+//   followThrough   Impact to the last tracked sample (at most FOLLOW_THROUGH_TIME)
+//
+// TEMPO: backswing (takeaway → top) : downswing (top → impact). Good players
+// swing close to 3:1 whatever their total swing time, putting strokes
+// closer to 2:1.
+//
+// Tracking only starts once the club moves hard enough (tracking.js clears
+// the history at motion onset), so a slow takeaway is timed from that
+// moment - the backswing reads a little short and the results say so.
+
+const TAKEAWAY_DISTANCE = 0.02;     // m - tip this far from the ball has started back
+const FOLLOW_THROUGH_TIME = 1.0;    // s - tracked after impact
+const TEMPO_TARGET = 3;
+const PUTT_TEMPO_TARGET = 2;
+const TEMPO_TOLERANCE = 0.5;        // Ratio either side of the target still on tempo
+
+const PHASE_NAMES = {
+    address: 'Address',
+    takeaway: 'Takeaway',
+    top: 'Top',
+    downswing: 'Downswing',
+    impact: 'Impact',
+    followThrough: 'Follow-through'
+};
+
+function tipDistance(sample) {
+    return Math.sqrt(sample.position.x ** 2 + sample.position.y ** 2 + sample.position.z ** 2);
+}
+
+// ============================================
+// ANALYSE ONE SWING
+// ============================================
+// history: tracking history ({ position, timestamp }), impactTime: when the
+// hit registered, addressTime: when the ball was set (optional), putting:
+// rate the tempo against a putting stroke.
+// Returns { phases: [{ id, name, start, end }], tempo: { backswing,
+// downswing, total (s, takeaway → impact), ratio, rating } } or null when
+// the backswing wasn't tracked.
+export function analyzeSwing(history, impactTime, addressTime = null, putting = false) {
+    const samples = history.filter(h => h.timestamp <= impactTime + FOLLOW_THROUGH_TIME * 1000);
+
+    let impactIndex = -1;
+    samples.forEach((h, i) => {
+        if (h.timestamp <= impactTime) impactIndex = i;
+    });
+    if (impactIndex < 2) return null;
+
+    // Top: furthest from the ball before impact
+    let topIndex = 0;
+    for (let i = 1; i <= impactIndex; i++) {
+        if (tipDistance(samples[i]) > tipDistance(samples[topIndex])) topIndex = i;
+    }
+    if (topIndex === 0 || topIndex === impactIndex) return null;
+
+    // Takeaway: the last time the tip was still at the ball before the top
+    let takeawayIndex = 0;
+    for (let i = 0; i < topIndex; i++) {
+        if (tipDistance(samples[i]) < TAKEAWAY_DISTANCE) takeawayIndex = i;
+    }
+
+    const takeaway = samples[takeawayIndex].timestamp;
+    const top = samples[topIndex].timestamp;
+    const impact = samples[impactIndex].timestamp;
+    const finish = samples[samples.length - 1].timestamp;
+    if (impact === top) return null;
+    const address = addressTime !== null && addressTime <= takeaway ? addressTime : samples[0].timestamp;
+
+    const phase = (id, start, end) => ({ id: id, name: PHASE_NAMES[id], start: start, end: end });
+    const backswing = (top - takeaway) / 1000;
+    const downswing = (impact - top) / 1000;
+    const ratio = backswing / downswing;
+
+    return {
+        phases: [
+            phase('address', address, takeaway),
+            phase('takeaway', takeaway, top),
+            phase('top', top, top),
+            phase('downswing', top, impact),
+            phase('impact', impact, impact),
+            phase('followThrough', impact, finish)
+        ],
+        tempo: {
+            backswing: backswing,
+            downswing: downswing,
+            total: backswing + downswing,
+            ratio: ratio,
+            rating: rateTempo(ratio, putting)
+        }
+    };
+}
+
+// ============================================
+// TEMPO
+// ============================================
+// 'good' within TEMPO_TOLERANCE of the target ratio, 'quick' for a rushed
+// backswing (ratio too low), 'slow' for a long one
+function rateTempo(ratio, putting) {
+    const target = putting ? PUTT_TEMPO_TARGET : TEMPO_TARGET;
+    if (ratio < target - TEMPO_TOLERANCE) return 'quick';
+    if (ratio > target + TEMPO_TOLERANCE) return 'slow';
+    return 'good';
+}
+
+const TEMPO_RATING_NAMES = { good: 'on tempo', quick: 'quick backswing', slow: 'slow backswing' };
+
+// One line for the results ("Tempo 3.1:1 (on tempo) · 1.03s from motion start")
+export function describeTempo(tempo) {
+    return `Tempo ${tempo.ratio.toFixed(1)}:1 (${TEMPO_RATING_NAMES[tempo.rating]}) · ${tempo.total.toFixed(2)}s from motion start`;
+}
@@ -0,0 +1,279 @@
+// ============================================
+// SWING EXPORT / IMPORT MODULE
+// ============================================
+// Save recorded swings to downloadable JSON/CSV files and load them back
+// into the replay list.
+//
+// JSON FORMAT:
+//   { format: 'airgolf-swings', version: 1, exportedAt, swings: [ ... ] }
+//   Each swing keeps name, tags, tipPath samples, raw imuSamples (if
+//   recorded), impactVelocity, ballPosition, settings snapshot, distance,
+//   maxHeight, and the wind, terrain, shot frame and cup of the shot.
+//
+// CSV FORMAT:
+//   One row per tip sample (flat, spreadsheet friendly). Export only.
+
+import { defaultSettings } from './config.js';
+import { createId } from './utils.js';
+import { validateTerrain } from './terrain.js';
+
+export const SWING_EXPORT_FORMAT = 'airgolf-swings';
+export const SWING_EXPORT_VERSION = 1;
+
+// Replay plays the tip path over the time from first to last sample, so a
+// swing needs at least two samples a moment apart to be replayed, exported
+// or imported
+const MIN_TIP_SAMPLES = 2;
+
+export function canReplaySwing(swing) {
+    return Boolean(swing && Array.isArray(swing.tipPath) && swing.tipPath.length >= MIN_TIP_SAMPLES &&
+        swing.endTime > swing.startTime);
+}
+
+// ============================================
+// EXPORT
+// ============================================
+function serializeSwing(swing) {
+    return {
+        name: swing.name,
+        tags: swing.tags,
+        startTime: swing.startTime,
+        endTime: swing.endTime,
+        tipPath: swing.tipPath,
+        imuSamples: swing.imuSamples || [],
+        trackingStart: swing.trackingStart || null,
+        impactVelocity: swing.impactVelocity,
+        ballPosition: swing.ballPosition,
+        settings: swing.settings,
+        distance: swing.distance,
+        maxHeight: swing.maxHeight,
+        wind: swing.wind || null,
+        terrain: swing.terrain || null,
+        shotFrame: swing.shotFrame || null,
+        cup: swing.cup || null
+    };
+}
+
+export function exportSwingsToJSON(swings) {
+    return JSON.stringify({
+        format: SWING_EXPORT_FORMAT,
+        version: SWING_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        swings: swings.map(serializeSwing)
+    }, null, 2);
+}
+
+export function exportSwingsToCSV(swings) {
+    const header = 'swing,sample,timestamp,elapsed_ms,x,y,z,vx,vy,vz';
+    const rows = [header];
+
+    swings.forEach((swing, swingIndex) => {
+        swing.tipPath.forEach((point, sampleIndex) => {
+            const velocity = point.velocity || { x: 0, y: 0, z: 0 };
+            rows.push([
+                swingIndex + 1,
+                sampleIndex,
+                point.timestamp,
+                point.timestamp - swing.startTime,
+                point.position.x,
+                point.position.y,
+                point.position.z,
+                velocity.x,
+                velocity.y,
+                velocity.z
+            ].join(','));
+        });
+    });
+
+    return rows.join('\n');
+}
+
+// Object URLs are revoked a while after the click: Safari and some Firefox
+// versions cancel a download whose URL is revoked straight away (ms)
+const DOWNLOAD_REVOKE_DELAY = 1000;
+
+// Trigger a browser download of text content
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY);
+}
+
+// File name like "airgolf-swings-2025-01-09T12-30-00.json"
+export function exportFilename(extension) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    return `airgolf-swings-${stamp}.${extension}`;
+}
+
+// ============================================
+// IMPORT
+// ============================================
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+function isVector(value) {
+    return value && isNumber(value.x) && isNumber(value.y) && isNumber(value.z);
+}
+
+function isRotation(value) {
+    return value && isNumber(value.alpha) && isNumber(value.beta) && isNumber(value.gamma);
+}
+
+function isQuaternion(value) {
+    return value && isNumber(value.w) && isVector(value);
+}
+
+// Raw sensor samples are optional (older recordings don't have them)
+function validateIMUSamples(samples, label) {
+    if (samples === undefined || samples === null) return [];
+    if (!Array.isArray(samples)) {
+        throw new Error(`${label}: imuSamples must be a list`);
+    }
+    return samples.map((sample, i) => {
+        if (!sample || !isVector(sample.acceleration) || !isRotation(sample.rotationRate) ||
+            !sample.orientation || !isNumber(sample.timestamp) || !isNumber(sample.receivedAt)) {
+            throw new Error(`${label}: invalid IMU sample #${i}`);
+        }
+        return {
+            acceleration: { ...sample.acceleration },
+            rotationRate: { ...sample.rotationRate },
+            orientation: {
+                alpha: isNumber(sample.orientation.alpha) ? sample.orientation.alpha : null,
+                beta: isNumber(sample.orientation.beta) ? sample.orientation.beta : 0,
+                gamma: isNumber(sample.orientation.gamma) ? sample.orientation.gamma : 0
+            },
+            timestamp: sample.timestamp,
+            receivedAt: sample.receivedAt
+        };
+    });
+}
+
+function validateTrackingStart(trackingStart, label) {
+    if (trackingStart === undefined || trackingStart === null) return null;
+    if (!isQuaternion(trackingStart.quaternion) || !isVector(trackingStart.offset) ||
+        !isNumber(trackingStart.lastUpdateTime)) {
+        throw new Error(`${label}: invalid trackingStart`);
+    }
+    return {
+        quaternion: { ...trackingStart.quaternion },
+        offset: { ...trackingStart.offset },
+        lastUpdateTime: trackingStart.lastUpdateTime
+    };
+}
+
+// Wind is optional (calm shots and older recordings have none)
+function validateWind(wind) {
+    if (!wind || !isNumber(wind.speed) || !isNumber(wind.direction)) return null;
+    return {
+        speed: wind.speed,
+        direction: wind.direction,
+        gustiness: isNumber(wind.gustiness) ? wind.gustiness : 0,
+        gustPhase: isNumber(wind.gustPhase) ? wind.gustPhase : 0
+    };
+}
+
+// Shot frame is optional (range shots from older versions have none)
+function validateShotFrame(frame) {
+    if (!frame || !frame.origin || !isNumber(frame.origin.x) || !isNumber(frame.origin.z) ||
+        !isNumber(frame.heading)) {
+        return null;
+    }
+    return { origin: { x: frame.origin.x, z: frame.origin.z }, heading: frame.heading };
+}
+
+// Terrain the swing was played on (terrain.js format), null if it has none
+function validateSwingTerrain(terrain, label) {
+    if (!terrain) return null;
+    try {
+        return validateTerrain(terrain);
+    } catch (e) {
+        throw new Error(`${label}: invalid terrain (${e.message})`);
+    }
+}
+
+// Validate one swing and fill in optional fields. Throws with a readable message.
+function validateSwing(swing, index) {
+    const label = `Swing ${index + 1}`;
+
+    if (!swing || typeof swing !== 'object') {
+        throw new Error(`${label}: not an object`);
+    }
+    if (!Array.isArray(swing.tipPath) || swing.tipPath.length < MIN_TIP_SAMPLES) {
+        throw new Error(`${label}: needs at least ${MIN_TIP_SAMPLES} tipPath samples`);
+    }
+    swing.tipPath.forEach((point, i) => {
+        if (!point || !isVector(point.position) || !isNumber(point.timestamp)) {
+            throw new Error(`${label}: invalid tip sample #${i}`);
+        }
+    });
+    if (swing.impactVelocity !== undefined && !isVector(swing.impactVelocity)) {
+        throw new Error(`${label}: invalid impactVelocity`);
+    }
+
+    const startTime = isNumber(swing.startTime) ? swing.startTime : swing.tipPath[0].timestamp;
+    const endTime = isNumber(swing.endTime) ? swing.endTime : swing.tipPath[swing.tipPath.length - 1].timestamp;
+    if (endTime <= startTime) {
+        throw new Error(`${label}: no time between start and end`);
+    }
+
+    // Imported swings always get a fresh id so they never overwrite stored ones
+    return {
+        id: createId('swing'),
+        name: typeof swing.name === 'string' && swing.name ? swing.name : `Imported swing ${index + 1}`,
+        tags: Array.isArray(swing.tags) ? swing.tags.filter(tag => typeof tag === 'string') : [],
+        startTime: startTime,
+        endTime: endTime,
+        tipPath: swing.tipPath.map(point => ({
+            position: { x: point.position.x, y: point.position.y, z: point.position.z },
+            velocity: isVector(point.velocity) ? { ...point.velocity } : { x: 0, y: 0, z: 0 },
+            timestamp: point.timestamp
+        })),
+        imuSamples: validateIMUSamples(swing.imuSamples, label),
+        trackingStart: validateTrackingStart(swing.trackingStart, label),
+        impactVelocity: swing.impactVelocity ? { ...swing.impactVelocity } : { x: 0, y: 0, z: 0 },
+        ballPosition: swing.ballPosition || null,
+        settings: { ...defaultSettings, ...(swing.settings || {}) },
+        distance: isNumber(swing.distance) ? swing.distance : 0,
+        maxHeight: isNumber(swing.maxHeight) ? swing.maxHeight : 0,
+        wind: validateWind(swing.wind),
+        terrain: validateSwingTerrain(swing.terrain, label),
+        shotFrame: validateShotFrame(swing.shotFrame),
+        cup: swing.cup && isNumber(swing.cup.x) && isNumber(swing.cup.z) && isNumber(swing.cup.radius)
+            ? { x: swing.cup.x, z: swing.cup.z, radius: swing.cup.radius }
+            : null
+    };
+}
+
+// Parse an exported JSON file. Accepts the export wrapper, a bare array of
+// swings, or a single swing object. Returns the validated swings.
+export function parseSwingImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('File is not valid JSON');
+    }
+
+    let swings;
+    if (data && data.format === SWING_EXPORT_FORMAT) {
+        if (data.version > SWING_EXPORT_VERSION) {
+            throw new Error(`Unsupported file version ${data.version}`);
+        }
+        swings = data.swings;
+    } else if (Array.isArray(data)) {
+        swings = data;
+    } else {
+        swings = [data];
+    }
+
+    if (!Array.isArray(swings) || swings.length === 0) {
+        throw new Error('No swings found in file');
+    }
+
+    return swings.map(validateSwing);
+}
@@ -0,0 +1,190 @@
+// ============================================
+// SWING LIBRARY MODULE
+// ============================================
+// Modal listing every recorded swing: rename, tag, delete, export, and
+// pick which one the replay button plays.
+
+import { swingRecorder } from './game-logic.js';
+import { saveSwing, deleteSwing } from './storage.js';
+import { exportSwingsToJSON, downloadFile, exportFilename, canReplaySwing } from './swing-export.js';
+import { canResimulate, compareResimulation } from './resimulate.js';
+
+// UI element references (will be set by main.js)
+let libraryModal = null;
+let libraryList = null;
+let closeLibraryBtn = null;
+let replayBtn = null;
+
+// Callback references
+let startReplayCallback = null;
+let stopReplayCallback = null;
+let updateStatusCallback = null;
+let settings = null;
+
+export function initSwingLibrary(elements, callbacks) {
+    libraryModal = elements.swingLibraryModal;
+    libraryList = elements.swingLibraryList;
+    closeLibraryBtn = elements.closeSwingLibraryBtn;
+    replayBtn = elements.replayBtn;
+
+    startReplayCallback = callbacks.startReplay;
+    stopReplayCallback = callbacks.stopReplay;
+    updateStatusCallback = callbacks.updateStatus;
+    settings = callbacks.settings;
+
+    elements.swingLibraryBtn.addEventListener('click', openSwingLibrary);
+    closeLibraryBtn.addEventListener('click', closeSwingLibrary);
+
+    // Close modal when clicking outside
+    libraryModal.addEventListener('click', function(e) {
+        if (e.target === libraryModal) {
+            closeSwingLibrary();
+        }
+    });
+}
+
+export function openSwingLibrary() {
+    renderSwingList();
+    libraryModal.classList.add('active');
+}
+
+function closeSwingLibrary() {
+    libraryModal.classList.remove('active');
+}
+
+// ============================================
+// SWING LIST
+// ============================================
+function renderSwingList() {
+    libraryList.replaceChildren();
+
+    if (swingRecorder.recordedSwings.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'library-empty';
+        empty.textContent = 'No recorded swings yet. Tap 🎥 Rec, then swing!';
+        libraryList.appendChild(empty);
+        return;
+    }
+
+    // Newest first
+    [...swingRecorder.recordedSwings].reverse().forEach(swing => {
+        libraryList.appendChild(createSwingRow(swing));
+    });
+}
+
+function createSwingRow(swing) {
+    const row = document.createElement('div');
+    row.className = 'library-row';
+    if (swing.id === swingRecorder.selectedSwingId) {
+        row.classList.add('selected');
+    }
+
+    // Name (saved on change)
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = swing.name || '';
+    nameInput.placeholder = 'Swing name';
+    nameInput.addEventListener('change', function() {
+        swing.name = nameInput.value.trim() || swing.name;
+        nameInput.value = swing.name;
+        saveSwing(swing);
+    });
+
+    // Tags as comma-separated text
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.value = (swing.tags || []).join(', ');
+    tagsInput.placeholder = 'Tags (comma separated)';
+    tagsInput.addEventListener('change', function() {
+        swing.tags = tagsInput.value.split(',').map(tag => tag.trim()).filter(tag => tag);
+        tagsInput.value = swing.tags.join(', ');
+        saveSwing(swing);
+    });
+
+    // Summary line
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    const date = new Date(swing.startTime).toLocaleString();
+    const distance = swing.distance ? `${swing.distance.toFixed(1)}m` : 'N/A';
+    const height = swing.maxHeight ? `${swing.maxHeight.toFixed(1)}m` : 'N/A';
+    const rawSamples = swing.imuSamples && swing.imuSamples.length ? ` | ${swing.imuSamples.length} raw IMU` : '';
+    info.textContent = `${date} | Distance: ${distance} | Height: ${height} | ${swing.tipPath.length} samples${rawSamples}`;
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'button-row';
+
+    const playBtn = document.createElement('button');
+    playBtn.textContent = '▶️ Play';
+    playBtn.className = 'secondary-btn';
+    playBtn.disabled = !canReplaySwing(swing);
+    playBtn.title = playBtn.disabled ? 'Too short to replay (needs 2+ samples)' : 'Replay this swing';
+    playBtn.addEventListener('click', function() {
+        swingRecorder.selectedSwingId = swing.id;
+        closeSwingLibrary();
+        startReplayCallback(swingRecorder.recordedSwings.indexOf(swing));
+    });
+
+    // Re-run the raw sensor data with the current settings
+    const resimBtn = document.createElement('button');
+    resimBtn.textContent = '🔁 Re-sim';
+    resimBtn.className = 'secondary-btn';
+    resimBtn.disabled = !canResimulate(swing);
+    resimBtn.title = resimBtn.disabled ? 'No raw sensor data in this recording' : 'Replay with current settings';
+    resimBtn.addEventListener('click', function() {
+        if (swingRecorder.replayMode) {
+            stopReplayCallback();
+        }
+        const view = compareResimulation(swing, settings);
+        closeSwingLibrary();
+        if (!view.resimulated.hit) {
+            updateStatusCallback('🔁 No hit detected with current settings');
+        } else {
+            updateStatusCallback(`🔁 ${view.original.distance.toFixed(1)}m → ${view.resimulated.distance.toFixed(1)}m`);
+        }
+    });
+
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = '⬇️ Export';
+    exportBtn.className = 'secondary-btn';
+    exportBtn.disabled = !canReplaySwing(swing);
+    exportBtn.title = exportBtn.disabled ? 'Too short to export (needs 2+ samples)' : 'Download as JSON';
+    exportBtn.addEventListener('click', function() {
+        downloadFile(exportFilename('json'), exportSwingsToJSON([swing]), 'application/json');
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = '🗑️ Delete';
+    deleteBtn.className = 'secondary-btn danger-btn';
+    deleteBtn.addEventListener('click', function() {
+        if (!confirm(`Delete "${swing.name}"?`)) return;
+        removeSwing(swing);
+        renderSwingList();
+    });
+
+    actions.append(playBtn, resimBtn, exportBtn, deleteBtn);
+    row.append(nameInput, tagsInput, info, actions);
+    return row;
+}
+
+function removeSwing(swing) {
+    const index = swingRecorder.recordedSwings.indexOf(swing);
+    if (index === -1) return;
+
+    // Stop a replay that would now point at the wrong swing
+    if (swingRecorder.replayMode) {
+        stopReplayCallback();
+    }
+
+    swingRecorder.recordedSwings.splice(index, 1);
+    if (swingRecorder.selectedSwingId === swing.id) {
+        swingRecorder.selectedSwingId = null;
+    }
+    if (swingRecorder.pendingSwing === swing) {
+        swingRecorder.pendingSwing = null;
+    }
+    deleteSwing(swing.id);
+
+    replayBtn.disabled = swingRecorder.recordedSwings.length === 0;
+    updateStatusCallback(`🗑️ Deleted "${swing.name}"`);
+}
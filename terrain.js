@@ -0,0 +1,417 @@
+// ============================================
+// TERRAIN MODULE
+// ============================================
+// Surface zones of the ground (fairway, rough, green, bunkers, water,
+// out-of-bounds). No DOM - the flight model asks it what the ball bounces
+// and rolls on, the renderer draws the zones.
+//
+// TERRAIN FORMAT (plain JSON-friendly data):
+//   {
+//     name,
+//     defaultSurface: 'rough',          // Surface outside every zone
+//     zones: [
+//       { surface, shape: 'rect', x1, x2, z1, z2 },
+//       { surface, shape: 'ellipse', x, z, rx, rz },
+//       { surface, shape: 'polygon', points: [{x, z}, ...] }
+//     ]
+//   }
+// Later zones lie on top of earlier ones (a bunker inside the fairway wins).
+// Any zone can add slope: { x, z } - rise per meter of ground (0.02 = 2%
+// uphill towards +X). Rolling balls break downhill; greens use it most.
+//
+// ELEVATION (optional): a heightfield for hills, uphill/downhill fairways
+// and raised greens.
+//   elevation: { x1, z1, spacing, heights: [[...], [...], ...] }
+//   heights[row][col] is the ground height (m) at x1 + col * spacing,
+//   z1 + row * spacing (rows run along +Z). Between grid points the height
+//   is interpolated, beyond the grid the edge height continues.
+// A zone slope tilts the ground on top of the heightfield (break without
+// changing the height).
+//
+// OBSTACLES (optional): obstacles: [...] - trees, walls and nets the ball
+// can hit (format and collision in obstacles.js).
+//
+// COORDINATE SYSTEM (same as the game):
+//   X: Left (-) / Right (+), Z: Away from player (+)
+
+import { cleanObstacles } from './obstacles.js';
+
+// ============================================
+// SURFACES
+// ============================================
+// Ground contact properties:
+//   restitution      Share of vertical speed kept on a bounce
+//   friction         Share of horizontal speed lost on a bounce
+//   spinGrip         How much backspin bites (checks the ball) on a bounce
+//   rollingFriction  Rolling resistance coefficient (× gravity = deceleration)
+//   hazard           'water' stops the ball where it enters
+//   penalty          Penalty strokes when the ball comes to rest here
+export const SURFACES = {
+    fairway: {
+        name: 'Fairway', color: '#90EE90',
+        restitution: 0.4, friction: 0.25, spinGrip: 0.3, rollingFriction: 0.25,
+        hazard: null, penalty: 0
+    },
+    rough: {
+        name: 'Rough', color: '#5E9E4A',
+        restitution: 0.25, friction: 0.5, spinGrip: 0.1, rollingFriction: 0.7,
+        hazard: null, penalty: 0
+    },
+    green: {
+        name: 'Green', color: '#4CD964',
+        restitution: 0.35, friction: 0.2, spinGrip: 0.45, rollingFriction: 0.12,
+        hazard: null, penalty: 0
+    },
+    sand: {
+        name: 'Bunker', color: '#E8D8A0',
+        restitution: 0.05, friction: 0.85, spinGrip: 0, rollingFriction: 2.5,
+        hazard: null, penalty: 0
+    },
+    water: {
+        name: 'Water', color: '#3A8FD6',
+        restitution: 0, friction: 1, spinGrip: 0, rollingFriction: 0,
+        hazard: 'water', penalty: 1
+    },
+    oob: {
+        name: 'Out of bounds', color: '#8A9A78',
+        restitution: 0.25, friction: 0.5, spinGrip: 0.1, rollingFriction: 0.7,
+        hazard: null, penalty: 1
+    }
+};
+
+// Short phrase for results ("landed in the bunker")
+const SURFACE_PHRASES = {
+    fairway: 'on the fairway',
+    rough: 'in the rough',
+    green: 'on the green',
+    sand: 'in the bunker',
+    water: 'in the water',
+    oob: 'out of bounds'
+};
+
+export function getSurface(key) {
+    return SURFACES[key] || SURFACES.fairway;
+}
+
+export function describeSurface(key) {
+    return SURFACE_PHRASES[key] || SURFACE_PHRASES.fairway;
+}
+
+// ============================================
+// ZONE QUERIES
+// ============================================
+function isInZone(zone, x, z) {
+    if (zone.shape === 'rect') {
+        return x >= Math.min(zone.x1, zone.x2) && x <= Math.max(zone.x1, zone.x2) &&
+            z >= Math.min(zone.z1, zone.z2) && z <= Math.max(zone.z1, zone.z2);
+    }
+    if (zone.shape === 'ellipse') {
+        const dx = (x - zone.x) / zone.rx;
+        const dz = (z - zone.z) / zone.rz;
+        return dx * dx + dz * dz <= 1;
+    }
+    if (zone.shape === 'polygon') {
+        // Ray casting
+        let inside = false;
+        const points = zone.points;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.z > z) !== (b.z > z) &&
+                x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    return false;
+}
+
+// Surface key at a ground position (fairway when there's no terrain)
+export function getSurfaceAt(terrain, x, z) {
+    if (!terrain) return 'fairway';
+    for (let i = terrain.zones.length - 1; i >= 0; i--) {
+        if (isInZone(terrain.zones[i], x, z)) {
+            return terrain.zones[i].surface;
+        }
+    }
+    return terrain.defaultSurface || 'rough';
+}
+
+// Ground slope at a position ({ x, z } rise per meter): the heightfield's
+// gradient plus the slope of the topmost zone there
+export function getSlopeAt(terrain, x, z) {
+    const slope = getElevationGradient(terrain, x, z);
+    if (terrain) {
+        for (let i = terrain.zones.length - 1; i >= 0; i--) {
+            const zone = terrain.zones[i];
+            if (isInZone(zone, x, z)) {
+                if (zone.slope) {
+                    slope.x += zone.slope.x;
+                    slope.z += zone.slope.z;
+                }
+                break;
+            }
+        }
+    }
+    return slope;
+}
+
+// ============================================
+// ELEVATION
+// ============================================
+// Grid cell containing a position (clamped to the grid) and the position
+// inside it (0-1). Outside the grid the fraction is pinned to the edge.
+function locateInGrid(elevation, x, z) {
+    const rows = elevation.heights.length;
+    const cols = elevation.heights[0].length;
+    const gx = Math.min(Math.max((x - elevation.x1) / elevation.spacing, 0), cols - 1);
+    const gz = Math.min(Math.max((z - elevation.z1) / elevation.spacing, 0), rows - 1);
+    const col = Math.min(Math.floor(gx), cols - 2);
+    const row = Math.min(Math.floor(gz), rows - 2);
+    return {
+        col: col,
+        row: row,
+        fx: gx - col,
+        fz: gz - row,
+        insideX: gx > 0 && gx < cols - 1,
+        insideZ: gz > 0 && gz < rows - 1
+    };
+}
+
+// Ground height (m) at a position, 0 without a heightfield
+export function getElevationAt(terrain, x, z) {
+    if (!terrain || !terrain.elevation) return 0;
+    const h = terrain.elevation.heights;
+    const cell = locateInGrid(terrain.elevation, x, z);
+    const near = h[cell.row][cell.col] + (h[cell.row][cell.col + 1] - h[cell.row][cell.col]) * cell.fx;
+    const far = h[cell.row + 1][cell.col] + (h[cell.row + 1][cell.col + 1] - h[cell.row + 1][cell.col]) * cell.fx;
+    return near + (far - near) * cell.fz;
+}
+
+// Heightfield slope ({ x, z } rise per meter), flat beyond the grid edge
+function getElevationGradient(terrain, x, z) {
+    if (!terrain || !terrain.elevation) return { x: 0, z: 0 };
+    const elevation = terrain.elevation;
+    const h = elevation.heights;
+    const cell = locateInGrid(elevation, x, z);
+    const h00 = h[cell.row][cell.col];
+    const h01 = h[cell.row][cell.col + 1];
+    const h10 = h[cell.row + 1][cell.col];
+    const h11 = h[cell.row + 1][cell.col + 1];
+    return {
+        x: cell.insideX ? ((h01 - h00) * (1 - cell.fz) + (h11 - h10) * cell.fz) / elevation.spacing : 0,
+        z: cell.insideZ ? ((h10 - h00) * (1 - cell.fx) + (h11 - h01) * cell.fx) / elevation.spacing : 0
+    };
+}
+
+// Build a heightfield from a height function (for generated terrain)
+export function createHeightfield(x1, z1, spacing, cols, rows, heightAt) {
+    const heights = [];
+    for (let row = 0; row < rows; row++) {
+        const line = [];
+        for (let col = 0; col < cols; col++) {
+            line.push(Math.round(heightAt(x1 + col * spacing, z1 + row * spacing) * 100) / 100);
+        }
+        heights.push(line);
+    }
+    return { x1: x1, z1: z1, spacing: spacing, heights: heights };
+}
+
+// Contour lines of the heightfield every `interval` meters, as world
+// segments [{ a: {x, z}, b: {x, z}, height }] (marching squares on the grid)
+export function getContourSegments(terrain, interval) {
+    if (!terrain || !terrain.elevation) return [];
+    const { x1, z1, spacing, heights } = terrain.elevation;
+    const segments = [];
+    const crossing = (ha, hb, level) => (level - ha) / (hb - ha);
+
+    for (let row = 0; row < heights.length - 1; row++) {
+        for (let col = 0; col < heights[0].length - 1; col++) {
+            // Corners counter-clockwise from the near left
+            const corners = [
+                { x: x1 + col * spacing, z: z1 + row * spacing, h: heights[row][col] },
+                { x: x1 + (col + 1) * spacing, z: z1 + row * spacing, h: heights[row][col + 1] },
+                { x: x1 + (col + 1) * spacing, z: z1 + (row + 1) * spacing, h: heights[row + 1][col + 1] },
+                { x: x1 + col * spacing, z: z1 + (row + 1) * spacing, h: heights[row + 1][col] }
+            ];
+            const low = Math.min(...corners.map(c => c.h));
+            const high = Math.max(...corners.map(c => c.h));
+
+            for (let level = Math.ceil(low / interval) * interval; level <= high; level += interval) {
+                // Points where the level crosses the cell edges
+                const points = [];
+                for (let i = 0; i < 4; i++) {
+                    const a = corners[i];
+                    const b = corners[(i + 1) % 4];
+                    if ((a.h < level) !== (b.h < level)) {
+                        const t = crossing(a.h, b.h, level);
+                        points.push({ x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+                    }
+                }
+                // Two crossings make one segment, four (saddle) make two
+                for (let i = 0; i + 1 < points.length; i += 2) {
+                    segments.push({ a: points[i], b: points[i + 1], height: level });
+                }
+            }
+        }
+    }
+    return segments;
+}
+
+// Zone outline as ground points (ellipses become polygons), for drawing
+export function getZoneOutline(zone, segments = 24) {
+    if (zone.shape === 'rect') {
+        return [
+            { x: zone.x1, z: zone.z1 },
+            { x: zone.x2, z: zone.z1 },
+            { x: zone.x2, z: zone.z2 },
+            { x: zone.x1, z: zone.z2 }
+        ];
+    }
+    if (zone.shape === 'ellipse') {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push({
+                x: zone.x + Math.cos(angle) * zone.rx,
+                z: zone.z + Math.sin(angle) * zone.rz
+            });
+        }
+        return points;
+    }
+    return zone.points || [];
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+const isNumber = value => typeof value === 'number' && isFinite(value);
+const MAX_SLOPE = 0.2;      // 20% - steeper than any playable green
+
+function isValidSlope(slope) {
+    return slope && isNumber(slope.x) && isNumber(slope.z) &&
+        Math.abs(slope.x) <= MAX_SLOPE && Math.abs(slope.z) <= MAX_SLOPE;
+}
+
+// Copy of a zone with a bad slope dropped (the zone stays flat)
+function cleanZone(zone) {
+    const clean = { ...zone };
+    if (clean.slope !== undefined && !isValidSlope(clean.slope)) {
+        delete clean.slope;
+    }
+    return clean;
+}
+
+const MAX_ELEVATION = 200;  // m above or below the tee
+
+// Heightfield from a file, or null if it's malformed (the ground stays flat)
+function cleanElevation(elevation) {
+    if (!elevation || !isNumber(elevation.x1) || !isNumber(elevation.z1) ||
+        !isNumber(elevation.spacing) || elevation.spacing <= 0 ||
+        !Array.isArray(elevation.heights) || elevation.heights.length < 2) {
+        return null;
+    }
+    const cols = Array.isArray(elevation.heights[0]) ? elevation.heights[0].length : 0;
+    const valid = cols >= 2 && elevation.heights.every(row =>
+        Array.isArray(row) && row.length === cols &&
+        row.every(h => isNumber(h) && Math.abs(h) <= MAX_ELEVATION));
+    if (!valid) return null;
+    return {
+        x1: elevation.x1,
+        z1: elevation.z1,
+        spacing: elevation.spacing,
+        heights: elevation.heights.map(row => [...row])
+    };
+}
+
+function isValidZone(zone) {
+    if (!zone || !SURFACES[zone.surface]) return false;
+    if (zone.shape === 'rect') {
+        return [zone.x1, zone.x2, zone.z1, zone.z2].every(isNumber);
+    }
+    if (zone.shape === 'ellipse') {
+        return [zone.x, zone.z, zone.rx, zone.rz].every(isNumber) && zone.rx > 0 && zone.rz > 0;
+    }
+    if (zone.shape === 'polygon') {
+        return Array.isArray(zone.points) && zone.points.length >= 3 &&
+            zone.points.every(point => point && isNumber(point.x) && isNumber(point.z));
+    }
+    return false;
+}
+
+// Clean up terrain from a file (courses, imported swings). Unknown surfaces,
+// malformed zones and obstacles and a malformed heightfield are dropped.
+// Throws if there's no zone list at all.
+export function validateTerrain(terrain) {
+    if (!terrain || !Array.isArray(terrain.zones)) {
+        throw new Error('terrain needs a zones list');
+    }
+    const clean = {
+        name: typeof terrain.name === 'string' ? terrain.name : 'Imported terrain',
+        defaultSurface: SURFACES[terrain.defaultSurface] ? terrain.defaultSurface : 'rough',
+        zones: terrain.zones.filter(isValidZone).map(cleanZone)
+    };
+    const elevation = cleanElevation(terrain.elevation);
+    if (elevation) {
+        clean.elevation = elevation;
+    }
+    const obstacles = cleanObstacles(terrain.obstacles);
+    if (obstacles.length > 0) {
+        clean.obstacles = obstacles;
+    }
+    return clean;
+}
+
+// ============================================
+// DRIVING RANGE LAYOUT
+// ============================================
+// Default terrain: long fairway with rough either side, out-of-bounds
+// beyond the stakes, a pond short left, and a green guarded by two bunkers
+// around the target. The green sits on a low plateau and falls away to the
+// left and back, so putts break left. Trees stand either side of and behind
+// the green, and a catch net closes off the far end.
+//
+// practiceGreen: a flat green around the tee so range putts (always played
+// from the origin) start and roll on a green. Only laid out while putting -
+// full-swing mishits would otherwise roll out on green speed.
+const RANGE_HALF_WIDTH = 40;        // Out-of-bounds beyond this (m)
+const RANGE_LENGTH = 400;           // m
+const GREEN_RISE = 1.0;             // m - plateau height of the range green
+const GREEN_BANK = 0.8;             // Bank width (share of the green radius)
+const RANGE_NET_Z = 330;            // m - catch net (moves back for longer holes)
+const RANGE_NET_HEIGHT = 20;        // m
+
+// Height around a raised green: flat top, smooth bank down to the fairway
+function raisedGreenHeight(target, x, z) {
+    const d = Math.sqrt(((x - target.x) / 8) ** 2 + ((z - target.z) / 10) ** 2);
+    const t = Math.min(Math.max((d - 1) / GREEN_BANK, 0), 1);
+    return GREEN_RISE * (1 - t * t * (3 - 2 * t));
+}
+
+export function createRangeTerrain(target = { x: 0, z: 50 }, practiceGreen = false) {
+    const netZ = Math.max(RANGE_NET_Z, target.z + 40);
+    const teeZones = practiceGreen ? [{ surface: 'green', shape: 'ellipse', x: 0, z: 4, rx: 5, rz: 8 }] : [];
+    return {
+        name: 'Driving range',
+        defaultSurface: 'rough',
+        zones: [
+            { surface: 'oob', shape: 'rect', x1: -RANGE_LENGTH, x2: -RANGE_HALF_WIDTH, z1: -10, z2: RANGE_LENGTH },
+            { surface: 'oob', shape: 'rect', x1: RANGE_HALF_WIDTH, x2: RANGE_LENGTH, z1: -10, z2: RANGE_LENGTH },
+            { surface: 'fairway', shape: 'rect', x1: -12, x2: 12, z1: 5, z2: 280 },
+            ...teeZones,
+            { surface: 'water', shape: 'ellipse', x: -24, z: 110, rx: 9, rz: 18 },
+            { surface: 'green', shape: 'ellipse', x: target.x, z: target.z, rx: 8, rz: 10, slope: { x: 0.02, z: -0.01 } },
+            { surface: 'sand', shape: 'ellipse', x: target.x - 7, z: target.z - 9, rx: 3.5, rz: 2 },
+            { surface: 'sand', shape: 'ellipse', x: target.x + 9, z: target.z + 2, rx: 2, rz: 4 }
+        ],
+        elevation: createHeightfield(target.x - 24, target.z - 24, 2, 25, 25,
+            (x, z) => raisedGreenHeight(target, x, z)),
+        obstacles: [
+            { type: 'tree', x: target.x - 17, z: target.z + 6, height: 9, canopyRadius: 3 },
+            { type: 'tree', x: target.x + 18, z: target.z - 5, height: 7, canopyRadius: 2.5 },
+            { type: 'tree', x: target.x + 5, z: target.z + 30, height: 11, canopyRadius: 3.5, trunkRadius: 0.35 },
+            { type: 'net', x1: -RANGE_HALF_WIDTH, z1: netZ, x2: RANGE_HALF_WIDTH, z2: netZ, height: RANGE_NET_HEIGHT }
+        ]
+    };
+}
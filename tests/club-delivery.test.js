@@ -0,0 +1,98 @@
+// ============================================
+// CLUB DELIVERY TESTS
+// ============================================
+// Face angle, swing path and attack angle at impact from the tracking
+// history (tracking.js getClubDelivery)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTrackingState, getClubDelivery, describeClubDelivery } from '../tracking.js';
+
+const SQUARE = { w: 1, x: 0, y: 0, z: 0 };
+
+// Club turned about the vertical axis
+function turned(degrees) {
+    const half = degrees * Math.PI / 360;
+    return { w: Math.cos(half), x: 0, y: Math.sin(half), z: 0 };
+}
+
+// Tracker whose tip moved by (dx, dy, dz) over the delivery window (40 ms),
+// finishing with the face at quaternion
+function trackerWith({ dx = 0, dy = 0, dz = 0.4 }, quaternion = SQUARE, address = SQUARE) {
+    const tracker = createTrackingState();
+    tracker.addressQuaternion = address;
+    for (let i = 0; i < 5; i++) {
+        const f = i / 4 - 1;
+        tracker.history.push({
+            position: { x: dx * f, y: dy * f, z: dz * f },
+            quaternion: quaternion,
+            timestamp: 1000 + i * 10
+        });
+    }
+    return tracker;
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+}
+
+const degrees = radians => radians * 180 / Math.PI;
+
+test('square face on a straight, level path', () => {
+    const delivery = getClubDelivery(trackerWith({}));
+
+    assertClose(delivery.faceAngle, 0, 'face');
+    assertClose(delivery.path, 0, 'path');
+    assertClose(delivery.attackAngle, 0, 'attack');
+    assert.equal(describeClubDelivery(delivery), 'Face 0.0° square · Path 0.0° straight · Attack 0.0°');
+});
+
+test('path and attack angle from the tip movement', () => {
+    // Tip x is mirrored (see getClubDelivery): moving toward -x is in-to-out
+    const delivery = getClubDelivery(trackerWith({ dx: -0.04, dy: -0.04, dz: 0.4 }));
+
+    assertClose(delivery.path, degrees(Math.atan2(0.04, 0.4)), 'path');
+    assertClose(delivery.attackAngle, degrees(Math.atan2(-0.04, Math.hypot(0.04, 0.4))), 'attack');
+    assert.match(describeClubDelivery(delivery), /Path 5\.7° in-to-out · Attack -5\.7°/);
+
+    const outToIn = getClubDelivery(trackerWith({ dx: 0.04 }));
+    assert.ok(outToIn.path < 0);
+    assert.match(describeClubDelivery(outToIn), /out-to-in/);
+});
+
+test('a backward tip movement still measures the path toward the target', () => {
+    const forward = getClubDelivery(trackerWith({ dx: -0.04, dz: 0.4 }));
+    const backward = getClubDelivery(trackerWith({ dx: -0.04, dz: -0.4 }));
+
+    assertClose(backward.path, forward.path, 'path');
+});
+
+test('face angle relative to the face at address', () => {
+    const open = getClubDelivery(trackerWith({}, turned(-4)));
+    assertClose(open.faceAngle, 4, 'open');
+    assert.match(describeClubDelivery(open), /^Face 4\.0° open/);
+
+    const closed = getClubDelivery(trackerWith({}, turned(10), turned(4)));
+    assertClose(closed.faceAngle, -6, 'closed');
+    assert.match(describeClubDelivery(closed), /^Face 6\.0° closed/);
+});
+
+test('face angle wraps around instead of jumping past 180°', () => {
+    const delivery = getClubDelivery(trackerWith({}, turned(-170), turned(170)));
+
+    assertClose(delivery.faceAngle, -20, 'face');
+});
+
+test('no delivery without enough samples, time or orientation', () => {
+    const short = trackerWith({});
+    short.history.splice(0, 1);
+    assert.equal(getClubDelivery(short), null);
+
+    const sameTime = trackerWith({});
+    sameTime.history.forEach(h => { h.timestamp = 1000; });
+    assert.equal(getClubDelivery(sameTime), null);
+
+    const noOrientation = trackerWith({});
+    delete noOrientation.history[4].quaternion;
+    assert.equal(getClubDelivery(noOrientation), null);
+});
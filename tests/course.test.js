@@ -0,0 +1,151 @@
+// ============================================
+// COURSE TESTS
+// ============================================
+// Course file validation, the round scorecard and the hole in progress
+// surviving a reload (course.js). localStorage is replaced by an in-memory
+// store.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    BUNDLED_COURSES, validateCourse, parseCourse, courseState, setCourse, startNewRound,
+    recordHoleScore, recordHoleProgress, getHoleInProgress
+} from '../course.js';
+
+const store = new Map();
+globalThis.localStorage = {
+    getItem: key => store.has(key) ? store.get(key) : null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+};
+
+const COURSE = validateCourse({
+    format: 'airgolf-course',
+    version: 1,
+    name: 'Test Links',
+    holes: [
+        { par: 3, tee: { x: 0, z: 0 }, pin: { x: 0, z: 40 } },
+        { par: 4, tee: { x: 0, z: 0 }, pin: { x: 30, z: 40 } }
+    ]
+}, 'test');
+
+function courseWith(holes, extra = {}) {
+    return { format: 'airgolf-course', version: 1, name: 'Test', holes: holes, ...extra };
+}
+
+const HOLE = { par: 4, tee: { x: 0, z: 0 }, pin: { x: 30, z: 40 } };
+
+// A reload: module state is gone, only localStorage is left
+function reload() {
+    courseState.course = null;
+    courseState.scorecard = null;
+    return setCourse(COURSE);
+}
+
+beforeEach(() => {
+    store.clear();
+    setCourse(COURSE);
+});
+
+// ============================================
+// VALIDATION
+// ============================================
+test('holes are numbered and measured, with a default green around the pin', () => {
+    const course = validateCourse(courseWith([HOLE, { ...HOLE, par: 3 }]), 'custom');
+
+    assert.equal(course.id, 'custom');
+    assert.equal(course.name, 'Test');
+    assert.deepEqual(course.holes.map(hole => hole.number), [1, 2]);
+    assert.equal(course.holes[0].length, 50);
+    assert.equal(course.holes[0].terrain.defaultSurface, 'rough');
+    assert.equal(course.holes[0].terrain.zones[0].surface, 'green');
+    assert.equal(course.holes[0].terrain.name, 'Hole 1');
+});
+
+test('the bundled courses are valid', () => {
+    for (const [id, file] of Object.entries(BUNDLED_COURSES)) {
+        const data = JSON.parse(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'));
+        const course = validateCourse(data, id);
+        assert.equal(course.holes.length, data.holes.length, id);
+    }
+});
+
+test('a missing name falls back to a placeholder', () => {
+    assert.equal(validateCourse(courseWith([HOLE], { name: '' }), 'x').name, 'Unnamed course');
+});
+
+test('files that are not courses are rejected', () => {
+    assert.throws(() => validateCourse(null), /Not an Air Golf course file/);
+    assert.throws(() => validateCourse({ format: 'something-else', holes: [HOLE] }), /Not an Air Golf course file/);
+    assert.throws(() => validateCourse(courseWith([HOLE], { version: 2 })), /Unsupported course version 2/);
+    assert.throws(() => validateCourse(courseWith([])), /No holes found/);
+    assert.throws(() => parseCourse('{not json'), /not valid JSON/);
+});
+
+test('hole errors name the hole', () => {
+    assert.throws(() => validateCourse(courseWith([HOLE, null])), /^Error: Hole 2: not an object$/);
+    assert.throws(() => validateCourse(courseWith([{ ...HOLE, par: 8 }])), /Hole 1: par must be a whole number/);
+    assert.throws(() => validateCourse(courseWith([{ ...HOLE, par: 3.5 }])), /Hole 1: par must be a whole number/);
+    assert.throws(() => validateCourse(courseWith([{ ...HOLE, pin: { x: 1 } }])), /Hole 1: tee and pin need x and z/);
+    assert.throws(() => validateCourse(courseWith([{ ...HOLE, pin: { x: 3, z: 4 } }])), /Hole 1: pin is less than 10m/);
+    assert.throws(() => validateCourse(courseWith([{ ...HOLE, terrain: { zones: 'none' } }])), /^Error: Hole 1: /);
+});
+
+test('an imported file gets the imported id', () => {
+    assert.equal(parseCourse(JSON.stringify(courseWith([HOLE]))).id, 'imported');
+});
+
+// ============================================
+// HOLE IN PROGRESS
+// ============================================
+test('a new round has no hole in progress', () => {
+    assert.equal(courseState.scorecard.inProgress, null);
+    assert.equal(getHoleInProgress(), null);
+});
+
+test('strokes and ball position taken mid-hole survive a reload', () => {
+    recordHoleProgress(1, 2, { x: 1.5, y: 0, z: 31 });
+
+    const scorecard = reload();
+    assert.equal(scorecard.currentHole, 0);
+    assert.deepEqual(getHoleInProgress(), { number: 1, strokes: 2, ballPosition: { x: 1.5, z: 31 } });
+});
+
+test('holing out clears the hole in progress', () => {
+    recordHoleProgress(1, 2, { x: 1.5, z: 31 });
+    recordHoleScore(1, 3);
+
+    reload();
+    assert.equal(courseState.scorecard.currentHole, 1);
+    assert.equal(courseState.scorecard.inProgress, null);
+    assert.equal(getHoleInProgress(), null);
+});
+
+test('a new round drops the hole in progress', () => {
+    recordHoleProgress(1, 2, { x: 1.5, z: 31 });
+    startNewRound();
+
+    reload();
+    assert.equal(getHoleInProgress(), null);
+});
+
+test('progress on another hole or a damaged entry is ignored', () => {
+    courseState.scorecard.inProgress = { number: 2, strokes: 1, ballPosition: { x: 0, z: 10 } };
+    assert.equal(getHoleInProgress(), null);
+
+    courseState.scorecard.inProgress = { number: 1, strokes: 1.5, ballPosition: { x: 0, z: 10 } };
+    assert.equal(getHoleInProgress(), null);
+
+    courseState.scorecard.inProgress = { number: 1, strokes: 1, ballPosition: { x: 0 } };
+    assert.equal(getHoleInProgress(), null);
+});
+
+test('scorecards saved before holes in progress were stored still resume', () => {
+    const scorecard = { ...courseState.scorecard };
+    delete scorecard.inProgress;
+    store.set('airGolfScorecard', JSON.stringify(scorecard));
+
+    assert.equal(reload().roundId, scorecard.roundId);
+    assert.equal(getHoleInProgress(), null);
+});
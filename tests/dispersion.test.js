@@ -0,0 +1,74 @@
+// ============================================
+// DISPERSION TESTS
+// ============================================
+// Spread of finishing points around the target, bias and 95% confidence
+// ellipse (stats.js computeDispersion)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDispersion, getSettingsProfile } from '../stats.js';
+
+const TARGET = { x: 0, y: 0, z: 100 };
+const CONFIDENCE_95_CHI2 = 5.991;
+
+function shotAt(x, z, extra = {}) {
+    return { restPosition: { x: x, z: TARGET.z + z }, targetPosition: TARGET, ...extra };
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+}
+
+test('offsets from the target and average bias', () => {
+    const dispersion = computeDispersion([shotAt(2, -4), shotAt(4, 0), shotAt(0, 10)]);
+
+    assert.equal(dispersion.count, 3);
+    assert.deepEqual(dispersion.points, [{ x: 2, z: -4 }, { x: 4, z: 0 }, { x: 0, z: 10 }]);
+    assert.deepEqual(dispersion.bias, { x: 2, z: 2 });
+});
+
+test('ellipse axes from the sample covariance', () => {
+    // Left/right spread of 1 m, long/short of 2 m, uncorrelated
+    const dispersion = computeDispersion([shotAt(-1, 0), shotAt(1, 0), shotAt(0, -2), shotAt(0, 2)]);
+    const ellipse = dispersion.ellipse;
+
+    assert.deepEqual(ellipse.center, { x: 0, z: 0 });
+    assertClose(ellipse.radiusMajor, Math.sqrt(8 / 3 * CONFIDENCE_95_CHI2), 'major radius');
+    assertClose(ellipse.radiusMinor, Math.sqrt(2 / 3 * CONFIDENCE_95_CHI2), 'minor radius');
+    assertClose(ellipse.angle, Math.PI / 2, 'major axis along Z');
+});
+
+test('correlated spread tilts the ellipse', () => {
+    // Shots on the line x = z: all spread along 45°, none across it
+    const dispersion = computeDispersion([shotAt(-2, -2), shotAt(0, 0), shotAt(2, 2), shotAt(4, 4)]);
+
+    assertClose(dispersion.ellipse.angle, Math.PI / 4, 'angle');
+    assertClose(dispersion.ellipse.radiusMinor, 0, 'minor radius');
+});
+
+test('no ellipse below 3 shots', () => {
+    assert.equal(computeDispersion([shotAt(1, 1), shotAt(2, 2)]).ellipse, null);
+
+    const empty = computeDispersion([]);
+    assert.equal(empty.count, 0);
+    assert.deepEqual(empty.bias, { x: 0, z: 0 });
+    assert.equal(empty.ellipse, null);
+});
+
+test('measured from where the ball stopped, landing point for shots from before roll', () => {
+    const dispersion = computeDispersion([
+        { landingPosition: { x: 1, z: 100 }, restPosition: { x: 2, z: 110 }, targetPosition: TARGET },
+        { landingPosition: { x: -1, z: 90 }, targetPosition: TARGET },
+        { landingPosition: { x: 5, z: 95 }, targetPosition: null },
+        { landingPosition: null, restPosition: null, targetPosition: TARGET }
+    ]);
+
+    assert.deepEqual(dispersion.points, [{ x: 2, z: 10 }, { x: -1, z: -10 }]);
+});
+
+test('settings profiles lead with the club', () => {
+    const settings = { clubId: '7i', loftAngle: 34, clubLength: 0.94, impactPower: 1.1 };
+    assert.equal(getSettingsProfile(settings), '7-iron · 34° loft · 0.94m · power 1.1');
+    assert.equal(getSettingsProfile({ ...settings, clubId: undefined }), '34° loft · 0.94m · power 1.1');
+    assert.equal(getSettingsProfile(null), 'unknown');
+});
@@ -0,0 +1,71 @@
+// ============================================
+// RE-SIMULATION TESTS
+// ============================================
+// Recorded swings replayed through the physics with other settings
+// (resimulate.js). Runs without a browser: no window, no audio, no storage.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resimulateSwing, compareResimulation, canResimulate } from '../resimulate.js';
+import { generateSyntheticSwing } from '../sensor-sources.js';
+import { defaultSettings } from '../config.js';
+
+const START_TIME = 1000;
+
+// A recording as the swing recorder stores it, from a synthetic swing
+function recordSwing(settings) {
+    return {
+        name: 'Synthetic',
+        startTime: START_TIME,
+        imuSamples: generateSyntheticSwing({ startTime: START_TIME }),
+        trackingStart: {
+            quaternion: { w: 1, x: 0, y: 0, z: 0 },
+            offset: { x: 0, y: 0, z: 0 },
+            lastUpdateTime: START_TIME
+        },
+        settings: { ...settings }
+    };
+}
+
+test('runs without browser globals', () => {
+    assert.equal(typeof window, 'undefined');
+    assert.equal(typeof document, 'undefined');
+});
+
+test('same swing and settings give the same shot', () => {
+    const swing = recordSwing(defaultSettings);
+    const first = resimulateSwing(swing, defaultSettings);
+    const second = resimulateSwing(swing, { ...defaultSettings });
+
+    assert.equal(first.hit, true);
+    assert.ok(first.distance > 0, `carry ${first.distance}`);
+    assert.deepEqual(second, first);
+});
+
+test('changed settings give a different shot, the same one every time', () => {
+    const swing = recordSwing(defaultSettings);
+    const original = resimulateSwing(swing, defaultSettings);
+    const changed = { ...defaultSettings, impactPower: defaultSettings.impactPower * 2, loftAngle: 30 };
+    const first = resimulateSwing(swing, changed);
+    const second = resimulateSwing(swing, changed);
+
+    assert.equal(first.hit, true);
+    assert.notEqual(first.distance, original.distance);
+    assert.notEqual(first.maxHeight, original.maxHeight);
+    assert.deepEqual(second, first);
+});
+
+test('comparison lists the changed settings', () => {
+    const swing = recordSwing(defaultSettings);
+    const view = compareResimulation(swing, { ...defaultSettings, loftAngle: 30 });
+
+    assert.deepEqual(view.changes, [{ key: 'loftAngle', from: defaultSettings.loftAngle, to: 30 }]);
+    assert.deepEqual(view.original, resimulateSwing(swing, defaultSettings));
+    assert.notEqual(view.resimulated.distance, view.original.distance);
+});
+
+test('swings without raw samples cannot be re-simulated', () => {
+    const swing = { ...recordSwing(defaultSettings), imuSamples: [] };
+    assert.equal(canResimulate(swing), false);
+    assert.equal(resimulateSwing(swing, defaultSettings).hit, false);
+});
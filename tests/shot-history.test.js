@@ -0,0 +1,125 @@
+// ============================================
+// SHOT HISTORY TESTS
+// ============================================
+// History cap, paging, delete and a full storage (storage.js). localStorage
+// is replaced by an in-memory store with an optional size quota.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addShotToHistory, getShotHistory, getAllShots, deleteShotFromHistory, trimShotHistory
+} from '../storage.js';
+import { defaultSettings } from '../config.js';
+
+const HISTORY_KEY = 'airGolfShotHistory';
+
+const store = new Map();
+let quota = Infinity;       // Characters that fit in the store
+let failure = null;         // Error thrown by the next setItem
+
+function quotaError() {
+    const error = new Error('The quota has been exceeded.');
+    error.name = 'QuotaExceededError';
+    return error;
+}
+
+globalThis.localStorage = {
+    getItem: key => store.has(key) ? store.get(key) : null,
+    setItem(key, value) {
+        if (failure) throw failure;
+        const used = [...store].reduce((sum, [k, v]) => k === key ? sum : sum + v.length, 0);
+        if (used + String(value).length > quota) throw quotaError();
+        store.set(key, String(value));
+    },
+    removeItem: key => store.delete(key)
+};
+
+beforeEach(() => {
+    store.clear();
+    quota = Infinity;
+    failure = null;
+});
+
+function addShots(count, settings = defaultSettings) {
+    const shots = [];
+    for (let i = 0; i < count; i++) {
+        shots.push(addShotToHistory({ distance: i, maxHeight: 1, timestamp: `shot ${i}` }, settings));
+    }
+    return shots;
+}
+
+const storedDistances = () => getAllShots().map(shot => shot.distance);
+
+test('the oldest shots are dropped past the cap', () => {
+    addShots(5, { ...defaultSettings, shotHistoryLimit: 3 });
+
+    assert.deepEqual(storedDistances(), [2, 3, 4]);
+});
+
+test('an invalid cap falls back to the default', () => {
+    addShots(2, { ...defaultSettings, shotHistoryLimit: 'lots' });
+    trimShotHistory(0);
+
+    assert.deepEqual(storedDistances(), [0, 1]);
+});
+
+test('lowering the cap trims the stored history', () => {
+    addShots(5);
+    trimShotHistory(2);
+
+    assert.deepEqual(storedDistances(), [3, 4]);
+});
+
+test('pages list the newest shots first', () => {
+    addShots(5);
+
+    const first = getShotHistory(0, 2);
+    assert.deepEqual(first.shots.map(shot => shot.distance), [4, 3]);
+    assert.equal(first.pages, 3);
+    assert.equal(first.total, 5);
+    assert.deepEqual(getShotHistory(2, 2).shots.map(shot => shot.distance), [0]);
+
+    const empty = getShotHistory();
+    assert.equal(empty.pages, 1);
+});
+
+test('a shot can be deleted by id', () => {
+    const shots = addShots(3);
+
+    assert.equal(deleteShotFromHistory(shots[1].id), true);
+    assert.deepEqual(storedDistances(), [0, 2]);
+    assert.equal(deleteShotFromHistory('missing'), false);
+
+    deleteShotFromHistory(shots[0].id);
+    deleteShotFromHistory(shots[2].id);
+    assert.equal(store.has(HISTORY_KEY), false);
+});
+
+test('a full storage drops the oldest shots to make room', () => {
+    addShots(20);
+    quota = store.get(HISTORY_KEY).length;
+
+    const shot = addShotToHistory({ distance: 20, maxHeight: 1, timestamp: 'shot 20' }, defaultSettings);
+    assert.ok(shot);
+    const distances = storedDistances();
+    assert.equal(distances[distances.length - 1], 20);
+    assert.ok(distances.length < 21);
+    assert.equal(distances[0], 21 - distances.length);
+});
+
+test('the stored history is kept when not even one shot fits', () => {
+    addShots(3);
+    const stored = store.get(HISTORY_KEY);
+    quota = 10;
+
+    assert.equal(addShotToHistory({ distance: 3, maxHeight: 1, timestamp: 'shot 3' }, defaultSettings), null);
+    assert.equal(store.get(HISTORY_KEY), stored);
+});
+
+test('other storage errors keep the stored history', () => {
+    addShots(2);
+    failure = new Error('Storage disabled');
+
+    assert.equal(addShotToHistory({ distance: 2, maxHeight: 1, timestamp: 'shot 2' }, defaultSettings), null);
+    assert.deepEqual(storedDistances(), [0, 1]);
+});
@@ -0,0 +1,86 @@
+// ============================================
+// HEADLESS SIMULATION TESTS
+// ============================================
+// simulateShot (simulation.js) is deterministic: the same inputs give the
+// same shot, from a launch or from a whole swing
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateShot } from '../simulation.js';
+import { createRangeTerrain } from '../terrain.js';
+import { defaultSettings } from '../config.js';
+import { resimulateSwing } from '../resimulate.js';
+import { generateSyntheticSwing } from '../sensor-sources.js';
+
+const LAUNCH = { x: 1, y: 15, z: 30 };
+const SPIN = { x: 40, y: 3, z: 0 };
+
+// Snapshot values are compared to 1e-6 (math library results may differ in
+// the last bits between engines)
+function assertNear(actual, expected, path = 'shot') {
+    if (typeof expected === 'number') {
+        assert.ok(Math.abs(actual - expected) < 1e-6, `${path}: ${actual} ≠ ${expected}`);
+    } else if (expected && typeof expected === 'object') {
+        Object.keys(expected).forEach(key => assertNear(actual[key], expected[key], `${path}.${key}`));
+    } else {
+        assert.equal(actual, expected, path);
+    }
+}
+
+test('same launch, same shot', () => {
+    const options = () => ({
+        wind: { speed: 5, direction: 90, gustiness: 0.3, gustPhase: 1 },
+        terrain: createRangeTerrain({ x: 0, y: 0, z: 60 })
+    });
+    const settings = { ...defaultSettings, physicsMode: 'realistic' };
+
+    const first = simulateShot(LAUNCH, SPIN, settings, options());
+    const second = simulateShot({ ...LAUNCH }, { ...SPIN }, { ...settings }, options());
+    assert.deepEqual(second, first);
+});
+
+test('inputs are not changed', () => {
+    const launch = { ...LAUNCH };
+    const spin = { ...SPIN };
+    const settings = { ...defaultSettings };
+    simulateShot(launch, spin, settings);
+
+    assert.deepEqual(launch, LAUNCH);
+    assert.deepEqual(spin, SPIN);
+    assert.deepEqual(settings, defaultSettings);
+});
+
+test('same swing, same shot', () => {
+    const swing = {
+        startTime: 1000,
+        imuSamples: generateSyntheticSwing({ startTime: 1000 }),
+        trackingStart: { quaternion: { w: 1, x: 0, y: 0, z: 0 }, offset: { x: 0, y: 0, z: 0 }, lastUpdateTime: 1000 }
+    };
+    const first = resimulateSwing(swing, defaultSettings);
+    const second = resimulateSwing(swing, defaultSettings);
+
+    assert.equal(first.hit, true);
+    assert.deepEqual(second, first);
+});
+
+test('known shot (default settings, arcade physics)', () => {
+    const shot = simulateShot(LAUNCH, SPIN, defaultSettings);
+
+    assertNear(shot, {
+        landingIndex: 311,
+        carry: 53.97920808038867,
+        totalDistance: 67.94659867435492,
+        rollDistance: 13.967390593966243,
+        apex: 8.763430220386963,
+        flightTime: 2.591666666666667,
+        totalTime: 5.525,
+        landing: { x: 1.8020206886275962, z: 53.94912071965266 },
+        rest: { x: 2.268870373048166, z: 67.90870709006433 },
+        landingSurface: 'fairway',
+        surface: 'fairway',
+        holed: false,
+        obstacle: null
+    });
+    assert.equal(shot.trajectory.length, 664);
+    assertNear(shot.trajectory[100], { x: 0.7371792937024202, y: 7.8647394069479954, z: 22.09108672614045 }, 'trajectory[100]');
+});
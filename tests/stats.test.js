@@ -0,0 +1,102 @@
+// ============================================
+// SHOT STATISTICS TESTS
+// ============================================
+// Summary and per-club statistics over shot history (stats.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeShotStats, computeClubStats, filterShotsByRange, getShotShape } from '../stats.js';
+import { sessionId } from '../storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function shot(values) {
+    return { timestamp: Date.now(), sessionId: sessionId, spin: { x: 0, y: 0, z: 0 }, ...values };
+}
+
+test('average, median and best of each value', () => {
+    const stats = computeShotStats([
+        shot({ distance: 100, maxHeight: 20, impactSpeed: 30 }),
+        shot({ distance: 140, maxHeight: 25, impactSpeed: 40 }),
+        shot({ distance: 120, maxHeight: 30, impactSpeed: 35 }),
+        shot({ distance: 160, maxHeight: 15, impactSpeed: 45 })
+    ]);
+
+    assert.equal(stats.count, 4);
+    assert.deepEqual(stats.carry, { average: 130, median: 130, best: 160 });
+    assert.deepEqual(stats.maxHeight, { average: 22.5, median: 22.5, best: 30 });
+    assert.equal(stats.impactSpeed.median, 37.5);
+});
+
+test('missing and invalid values are left out of the averages', () => {
+    const stats = computeShotStats([
+        shot({ distance: 100 }),
+        shot({ distance: null }),
+        shot({ distance: NaN }),
+        shot({ distance: 50 })
+    ]);
+
+    assert.equal(stats.count, 4);
+    assert.deepEqual(stats.carry, { average: 75, median: 75, best: 100 });
+});
+
+test('shot shapes split by sidespin', () => {
+    assert.equal(getShotShape({ y: 5 }), 'slice');
+    assert.equal(getShotShape({ y: -5 }), 'hook');
+    assert.equal(getShotShape({ y: 2 }), 'straight');
+    assert.equal(getShotShape(null), 'straight');
+
+    const stats = computeShotStats([
+        shot({ spin: { x: 0, y: 5, z: 0 } }),
+        shot({ spin: { x: 0, y: -5, z: 0 } }),
+        shot({ spin: { x: 0, y: 0, z: 0 } }),
+        shot({ spin: { x: 0, y: 1, z: 0 } })
+    ]);
+    assert.deepEqual(stats.shape, { slice: 25, hook: 25, straight: 50 });
+});
+
+test('target accuracy only counts shots played to a target', () => {
+    const stats = computeShotStats([
+        shot({ targetAccuracy: 4 }),
+        shot({ targetAccuracy: null }),
+        shot({ targetAccuracy: 8 })
+    ]);
+    assert.deepEqual(stats.targetAccuracy, { average: 6, count: 2 });
+});
+
+test('no shots give zeros, not NaN', () => {
+    const stats = computeShotStats([]);
+    assert.equal(stats.count, 0);
+    assert.deepEqual(stats.carry, { average: 0, median: 0, best: 0 });
+    assert.deepEqual(stats.shape, { slice: 0, hook: 0, straight: 0 });
+});
+
+test('date ranges', () => {
+    const shots = [
+        shot({ id: 'now' }),
+        shot({ id: 'old-session', sessionId: sessionId - 1 }),
+        shot({ id: 'three-days', sessionId: sessionId - 1, timestamp: Date.now() - 3 * DAY }),
+        shot({ id: 'month', sessionId: sessionId - 1, timestamp: Date.now() - 30 * DAY })
+    ];
+    const ids = range => filterShotsByRange(shots, range).map(s => s.id);
+
+    assert.deepEqual(ids('session'), ['now']);
+    assert.deepEqual(ids('today'), ['now', 'old-session']);
+    assert.deepEqual(ids('week'), ['now', 'old-session', 'three-days']);
+    assert.deepEqual(ids('all'), ['now', 'old-session', 'three-days', 'month']);
+});
+
+test('per-club stats in bag order, shots without a club last', () => {
+    const clubs = computeClubStats([
+        shot({ club: '7i', distance: 140, totalDistance: 150 }),
+        shot({ club: null, distance: 90 }),
+        shot({ club: 'driver', distance: 220, totalDistance: 240 }),
+        shot({ club: '7i', distance: 150, totalDistance: 160 }),
+        shot({ settings: { clubId: 'driver' }, distance: 200, totalDistance: 230 })
+    ]);
+
+    assert.deepEqual(clubs.map(c => [c.club, c.count]), [['driver', 2], ['7i', 2], [null, 1]]);
+    assert.equal(clubs[0].carry.average, 210);
+    assert.equal(clubs[1].total.best, 160);
+    assert.equal(clubs[2].name, 'No club');
+});
@@ -0,0 +1,94 @@
+// ============================================
+// SWING ANALYSIS TESTS
+// ============================================
+// Swing phases and tempo from a tracked club tip path (swing-analysis.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSwing, describeTempo } from '../swing-analysis.js';
+
+const STEP = 10;    // ms between samples
+
+// Tip path: still at the ball until takeaway, straight back to topDistance
+// at top, back through the ball at impact and on for the follow-through.
+// Times in ms.
+function trackedSwing({ takeaway, top, impact, finish = impact + 500, topDistance = 2 }) {
+    const history = [];
+    for (let t = 0; t <= finish; t += STEP) {
+        let distance = 0;
+        if (t > takeaway && t <= top) {
+            distance = topDistance * (t - takeaway) / (top - takeaway);
+        } else if (t > top && t <= impact) {
+            distance = topDistance * (impact - t) / (impact - top);
+        } else if (t > impact) {
+            distance = topDistance * Math.min(1, (t - impact) / (impact - top));
+        }
+        history.push({ position: { x: 0, y: distance * 0.6, z: -distance * 0.8 }, timestamp: t });
+    }
+    return history;
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+}
+
+test('phases are found from the tip path', () => {
+    const analysis = analyzeSwing(trackedSwing({ takeaway: 200, top: 1100, impact: 1400 }), 1400, 50);
+
+    assert.deepEqual(analysis.phases.map(phase => [phase.id, phase.start, phase.end]), [
+        ['address', 50, 200],
+        ['takeaway', 200, 1100],
+        ['top', 1100, 1100],
+        ['downswing', 1100, 1400],
+        ['impact', 1400, 1400],
+        ['followThrough', 1400, 1900]
+    ]);
+    assert.equal(analysis.phases[5].name, 'Follow-through');
+});
+
+test('3:1 tempo is on tempo', () => {
+    const { tempo } = analyzeSwing(trackedSwing({ takeaway: 200, top: 1100, impact: 1400 }), 1400);
+
+    assertClose(tempo.backswing, 0.9, 'backswing');
+    assertClose(tempo.downswing, 0.3, 'downswing');
+    assertClose(tempo.total, 1.2, 'total');
+    assertClose(tempo.ratio, 3, 'ratio');
+    assert.equal(tempo.rating, 'good');
+    assert.equal(describeTempo(tempo), 'Tempo 3.0:1 (on tempo) · 1.20s from motion start');
+});
+
+test('a rushed or drawn-out backswing is rated', () => {
+    const quick = analyzeSwing(trackedSwing({ takeaway: 200, top: 800, impact: 1100 }), 1100).tempo;
+    assert.equal(quick.rating, 'quick');
+    assert.match(describeTempo(quick), /2\.0:1 \(quick backswing\)/);
+
+    const slow = analyzeSwing(trackedSwing({ takeaway: 200, top: 1400, impact: 1700 }), 1700).tempo;
+    assert.equal(slow.rating, 'slow');
+});
+
+test('putting strokes are rated against 2:1', () => {
+    const history = trackedSwing({ takeaway: 200, top: 800, impact: 1100, topDistance: 0.3 });
+
+    assert.equal(analyzeSwing(history, 1100, null, true).tempo.rating, 'good');
+    assert.equal(analyzeSwing(history, 1100, null, false).tempo.rating, 'quick');
+});
+
+test('an address time after the takeaway is ignored', () => {
+    const analysis = analyzeSwing(trackedSwing({ takeaway: 200, top: 1100, impact: 1400 }), 1400, 500);
+
+    assert.deepEqual(analysis.phases[0], { id: 'address', name: 'Address', start: 0, end: 200 });
+});
+
+test('the follow-through is cut off a second after impact', () => {
+    const analysis = analyzeSwing(trackedSwing({ takeaway: 200, top: 1100, impact: 1400, finish: 3000 }), 1400);
+
+    assert.equal(analysis.phases[5].end, 2400);
+});
+
+test('no analysis without a tracked backswing', () => {
+    assert.equal(analyzeSwing([], 1000), null);
+
+    // Tracking started at the top: the tip only comes back to the ball
+    const fromTop = trackedSwing({ takeaway: 200, top: 1100, impact: 1400 }).filter(h => h.timestamp >= 1100);
+    assert.equal(analyzeSwing(fromTop, 1400), null);
+});
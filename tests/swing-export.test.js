@@ -0,0 +1,136 @@
+// ============================================
+// SWING EXPORT / IMPORT TESTS
+// ============================================
+// Exported swing files load back, and broken files are rejected with a
+// message naming the swing (swing-export.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    exportSwingsToJSON, exportSwingsToCSV, parseSwingImport, canReplaySwing,
+    SWING_EXPORT_FORMAT, SWING_EXPORT_VERSION
+} from '../swing-export.js';
+import { defaultSettings } from '../config.js';
+
+function tipSample(z, timestamp) {
+    return { position: { x: 0, y: 0.1, z: z }, velocity: { x: 0, y: 0, z: 2 }, timestamp: timestamp };
+}
+
+function recordedSwing(extra = {}) {
+    return {
+        id: 'swing-1',
+        name: 'Driver',
+        tags: ['range'],
+        startTime: 1000,
+        endTime: 1200,
+        tipPath: [tipSample(-0.2, 1000), tipSample(0, 1100), tipSample(0.2, 1200)],
+        impactVelocity: { x: 0.5, y: 3, z: 30 },
+        ballPosition: null,
+        settings: { ...defaultSettings, clubId: 'driver' },
+        distance: 180,
+        maxHeight: 25,
+        wind: { speed: 4, direction: 90, gustiness: 0.2, gustPhase: 1 },
+        terrain: { name: 'Hole 1', defaultSurface: 'rough', zones: [{ surface: 'green', shape: 'ellipse', x: 0, z: 40, rx: 8, rz: 10 }] },
+        shotFrame: { origin: { x: 1, z: 2 }, heading: 0.1 },
+        cup: { x: 0, z: 40, radius: 0.054 },
+        ...extra
+    };
+}
+
+// Import one swing object (as a bare swing file)
+function importSwing(swing) {
+    return parseSwingImport(JSON.stringify(swing))[0];
+}
+
+// ============================================
+// ROUND TRIP
+// ============================================
+test('exported swings load back with a fresh id', () => {
+    const swing = recordedSwing();
+    const [imported] = parseSwingImport(exportSwingsToJSON([swing]));
+
+    assert.notEqual(imported.id, swing.id);
+    assert.match(imported.id, /^swing-/);
+    for (const key of ['name', 'tags', 'startTime', 'endTime', 'tipPath', 'impactVelocity', 'settings',
+        'distance', 'maxHeight', 'wind', 'shotFrame', 'cup']) {
+        assert.deepEqual(imported[key], swing[key], key);
+    }
+    assert.deepEqual(imported.terrain.zones, swing.terrain.zones);
+    assert.ok(canReplaySwing(imported));
+});
+
+test('the export wrapper, a list of swings and a single swing are all accepted', () => {
+    const wrapped = JSON.parse(exportSwingsToJSON([recordedSwing(), recordedSwing()]));
+    assert.equal(wrapped.format, SWING_EXPORT_FORMAT);
+    assert.equal(wrapped.version, SWING_EXPORT_VERSION);
+
+    assert.equal(parseSwingImport(JSON.stringify(wrapped)).length, 2);
+    assert.equal(parseSwingImport(JSON.stringify(wrapped.swings)).length, 2);
+    assert.equal(parseSwingImport(JSON.stringify(wrapped.swings[0])).length, 1);
+});
+
+test('missing optional fields are filled in', () => {
+    const imported = importSwing({ tipPath: [{ position: { x: 0, y: 0, z: 0 }, timestamp: 5 }, { position: { x: 0, y: 0, z: 1 }, timestamp: 9 }] });
+
+    assert.equal(imported.name, 'Imported swing 1');
+    assert.deepEqual(imported.tags, []);
+    assert.equal(imported.startTime, 5);
+    assert.equal(imported.endTime, 9);
+    assert.deepEqual(imported.tipPath[0].velocity, { x: 0, y: 0, z: 0 });
+    assert.deepEqual(imported.imuSamples, []);
+    assert.equal(imported.trackingStart, null);
+    assert.deepEqual(imported.impactVelocity, { x: 0, y: 0, z: 0 });
+    assert.deepEqual(imported.settings, defaultSettings);
+    assert.equal(imported.wind, null);
+    assert.equal(imported.terrain, null);
+    assert.equal(imported.shotFrame, null);
+    assert.equal(imported.cup, null);
+});
+
+test('the CSV has one row per tip sample', () => {
+    const rows = exportSwingsToCSV([recordedSwing()]).split('\n');
+
+    assert.equal(rows[0], 'swing,sample,timestamp,elapsed_ms,x,y,z,vx,vy,vz');
+    assert.equal(rows.length, 4);
+    assert.equal(rows[2], '1,1,1100,100,0,0.1,0,0,0,2');
+});
+
+// ============================================
+// REJECTED FILES
+// ============================================
+test('files that are not swings are rejected', () => {
+    assert.throws(() => parseSwingImport('{oops'), /File is not valid JSON/);
+    assert.throws(() => parseSwingImport(JSON.stringify({ format: SWING_EXPORT_FORMAT, version: 2, swings: [] })),
+        /Unsupported file version 2/);
+    assert.throws(() => parseSwingImport(JSON.stringify({ format: SWING_EXPORT_FORMAT, version: 1, swings: [] })),
+        /No swings found/);
+    assert.throws(() => parseSwingImport('[]'), /No swings found/);
+});
+
+test('a swing needs at least two tip samples a moment apart', () => {
+    assert.throws(() => importSwing(recordedSwing({ tipPath: [tipSample(0, 1000)] })),
+        /^Error: Swing 1: needs at least 2 tipPath samples$/);
+    assert.throws(() => importSwing(recordedSwing({ startTime: 1200, endTime: 1200 })),
+        /Swing 1: no time between start and end/);
+
+    assert.equal(canReplaySwing(recordedSwing({ tipPath: [tipSample(0, 1000)] })), false);
+    assert.equal(canReplaySwing(recordedSwing({ endTime: 1000 })), false);
+    assert.equal(canReplaySwing(null), false);
+});
+
+test('errors name the swing and what is wrong with it', () => {
+    const file = swings => JSON.stringify(swings);
+
+    assert.throws(() => parseSwingImport(file([recordedSwing(), null])), /^Error: Swing 2: not an object$/);
+    assert.throws(() => parseSwingImport(file([recordedSwing({ tipPath: [tipSample(0, 1000), { position: { x: 0 }, timestamp: 1 }] })])),
+        /Swing 1: invalid tip sample #1/);
+    assert.throws(() => importSwing(recordedSwing({ impactVelocity: { x: 1 } })), /Swing 1: invalid impactVelocity/);
+    assert.throws(() => importSwing(recordedSwing({ imuSamples: 'none' })), /Swing 1: imuSamples must be a list/);
+    assert.throws(() => importSwing(recordedSwing({ imuSamples: [{ timestamp: 1 }] })), /Swing 1: invalid IMU sample #0/);
+    assert.throws(() => importSwing(recordedSwing({ trackingStart: { quaternion: { w: 1 } } })), /Swing 1: invalid trackingStart/);
+});
+
+test('a broken terrain is reported with the swing label', () => {
+    assert.throws(() => importSwing(recordedSwing({ terrain: { zones: 'none' } })),
+        /^Error: Swing 1: invalid terrain \(terrain needs a zones list\)$/);
+});
@@ -0,0 +1,84 @@
+// ============================================
+// SYNTHETIC SWING TESTS
+// ============================================
+// A generated swing (sensor-sources.js) through the live pipeline: club tip
+// tracking → hit detection → impact velocity → launch → headless flight
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSyntheticSwing } from '../sensor-sources.js';
+import { createTrackingState, updateClubTipTracking, getClubDelivery } from '../tracking.js';
+import { isHitDetected, calculateImpactVelocity, computeLaunchConditions } from '../impact.js';
+import { simulateShot } from '../simulation.js';
+import { defaultSettings } from '../config.js';
+
+const START_TIME = 1000;
+
+// Feeds the samples like handleDeviceMotion does: track, then detect.
+// Returns the tracker and the sample the hit registered on (null = no hit).
+function swingThrough(samples, settings) {
+    const tracker = createTrackingState();
+    tracker.lastUpdateTime = START_TIME;
+    const ballPosition = { set: true };
+
+    for (const sample of samples) {
+        updateClubTipTracking(sample, settings, ballPosition, null, tracker, sample.receivedAt);
+        if (isHitDetected(tracker.tipPosition, sample.acceleration, tracker.history, settings)) {
+            return { tracker: tracker, hitSample: sample };
+        }
+    }
+    return { tracker: tracker, hitSample: null };
+}
+
+function launch(samples, settings) {
+    const { tracker, hitSample } = swingThrough(samples, settings);
+    assert.ok(hitSample, 'hit detected');
+    const impactVelocity = calculateImpactVelocity(tracker.history, hitSample.acceleration, settings);
+    return { hitSample, ...computeLaunchConditions(impactVelocity, settings, getClubDelivery(tracker)) };
+}
+
+test('a synthetic swing is hit on the way back through the ball', () => {
+    const samples = generateSyntheticSwing({ startTime: START_TIME });
+    const { hitSample } = swingThrough(samples, defaultSettings);
+
+    // Idle 0.5 s, backswing 0.5 s, downswing 0.5 s: impact at 1.5 s
+    assert.ok(hitSample, 'hit detected');
+    const impactTime = START_TIME + 1500;
+    assert.ok(Math.abs(hitSample.receivedAt - impactTime) <= 100, `hit at ${hitSample.receivedAt} ms`);
+});
+
+test('the hit launches the ball forward and it flies', () => {
+    const samples = generateSyntheticSwing({ startTime: START_TIME });
+    const { velocity, spin, rolling } = launch(samples, defaultSettings);
+
+    assert.equal(rolling, false);
+    assert.ok(velocity.z > 0, 'ball leaves down the range');
+    assert.ok(velocity.y > 0, 'ball leaves upwards');
+
+    const shot = simulateShot(velocity, spin, defaultSettings);
+    assert.ok(shot.carry > 0, `carry ${shot.carry}`);
+    assert.ok(shot.apex > 0, `apex ${shot.apex}`);
+    assert.ok(shot.totalDistance >= shot.carry);
+});
+
+test('a faster downswing carries further', () => {
+    const settings = { ...defaultSettings, physicsMode: 'realistic' };
+    const carry = backswingRate => {
+        const { velocity, spin } = launch(generateSyntheticSwing({ startTime: START_TIME, backswingRate }), settings);
+        return simulateShot(velocity, spin, settings).carry;
+    };
+
+    assert.ok(carry(400) > carry(200));
+});
+
+test('no hit without a backswing', () => {
+    // Only the idle padding and follow-through speed: never leaves the ball
+    const samples = generateSyntheticSwing({ startTime: START_TIME, backswingRate: 0 });
+    assert.equal(swingThrough(samples, defaultSettings).hitSample, null);
+});
+
+test('no hit when the club comes through too slowly', () => {
+    const samples = generateSyntheticSwing({ startTime: START_TIME, impactAcceleration: 3 });
+    const settings = { ...defaultSettings, minSwingSpeed: 10 };
+    assert.equal(swingThrough(samples, settings).hitSample, null);
+});
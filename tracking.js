@@ -18,41 +18,50 @@ import { addDebugMessage } from './utils.js';
 // ============================================
 // CLUB TIP TRACKING STATE
 // ============================================
-// Track the position of the club tip through 3D space
-export const clubTipTracking = {
-    // Quaternion for orientation (Madgwick filter output)
-    quaternion: { w: 1, x: 0, y: 0, z: 0 },
+// Track the position of the club tip through 3D space.
+// The live game uses clubTipTracking; createTrackingState() gives an
+// independent tracker for reprocessing recorded sensor data.
+export function createTrackingState() {
+    return {
+        // Quaternion for orientation (Madgwick filter output)
+        quaternion: { w: 1, x: 0, y: 0, z: 0 },
 
-    // Club tip position in 3D space (meters from grip)
-    tipPosition: { x: 0, y: 0, z: 0 },
+        // Club tip position in 3D space (meters from grip)
+        tipPosition: { x: 0, y: 0, z: 0 },
 
-    // Offset to subtract (set when ball is positioned)
-    offset: { x: 0, y: 0, z: 0 },
+        // Offset to subtract (set when ball is positioned)
+        offset: { x: 0, y: 0, z: 0 },
 
-    // Club tip velocity (m/s)
-    tipVelocity: { x: 0, y: 0, z: 0 },
+        // Orientation at address (set when ball is positioned), the square face
+        addressQuaternion: { w: 1, x: 0, y: 0, z: 0 },
 
-    // Tracking history for visualization
-    history: [],
+        // Club tip velocity (m/s)
+        tipVelocity: { x: 0, y: 0, z: 0 },
 
-    // Madgwick filter parameters
-    beta: 0.1,  // Filter gain (higher = more responsive, more noise)
+        // Tracking history for visualization
+        history: [],
 
-    // Last update timestamp
-    lastUpdateTime: 0,
+        // Madgwick filter parameters
+        beta: 0.1,  // Filter gain (higher = more responsive, more noise)
 
-    // Frame counter for debug messages (doesn't get filtered like history)
-    frameCount: 0,
+        // Last update timestamp
+        lastUpdateTime: 0,
 
-    // Start time for rate measurement
-    startTime: 0,
+        // Frame counter for debug messages (doesn't get filtered like history)
+        frameCount: 0,
 
-    // Motion-triggered tracking state
-    trackingActive: false,      // Position tracking only active during motion
-    trackingStartTime: 0,       // When motion was detected
-    motionThreshold: 2.0,       // m/s² - acceleration to trigger tracking
-    maxTrackingDuration: 2.0    // seconds - max time to track
-};
+        // Start time for rate measurement
+        startTime: 0,
+
+        // Motion-triggered tracking state
+        trackingActive: false,      // Position tracking only active during motion
+        trackingStartTime: 0,       // When motion was detected
+        motionThreshold: 2.0,       // m/s² - acceleration to trigger tracking
+        maxTrackingDuration: 2.0    // seconds - max time to track
+    };
+}
+
+export const clubTipTracking = createTrackingState();
 
 // ============================================
 // MADGWICK FILTER - SENSOR FUSION ALGORITHM
@@ -72,15 +81,16 @@ export const clubTipTracking = {
 //   ax, ay, az: Accelerometer linear acceleration (m/s²)
 //   mx, my, mz: Magnetometer field strength (optional, use 0 for 6DOF mode)
 //   dt: Time delta since last update (seconds)
+//   tracker: Tracking state whose quaternion is updated
 
-function madgwickFilterUpdate(gx, gy, gz, ax, ay, az, dt, mx = 0, my = 0, mz = 0) {
+function madgwickFilterUpdate(tracker, gx, gy, gz, ax, ay, az, dt, mx = 0, my = 0, mz = 0) {
     // Convert gyroscope from degrees/sec to radians/sec
     gx = gx * Math.PI / 180;
     gy = gy * Math.PI / 180;
     gz = gz * Math.PI / 180;
 
     // Short name for quaternion
-    let q = clubTipTracking.quaternion;
+    let q = tracker.quaternion;
 
     // Normalize accelerometer measurement
     const norm = Math.sqrt(ax * ax + ay * ay + az * az);
@@ -151,10 +161,10 @@ function madgwickFilterUpdate(gx, gy, gz, ax, ay, az, dt, mx = 0, my = 0, mz = 0
     const sNorm = Math.sqrt(s0 * s0 + s1 * s1 + s2 * s2 + s3 * s3);
 
     // Apply feedback step
-    const qDot1 = 0.5 * (-q.x * gx - q.y * gy - q.z * gz) - clubTipTracking.beta * (s0 / sNorm);
-    const qDot2 = 0.5 * (q.w * gx + q.y * gz - q.z * gy) - clubTipTracking.beta * (s1 / sNorm);
-    const qDot3 = 0.5 * (q.w * gy - q.x * gz + q.z * gx) - clubTipTracking.beta * (s2 / sNorm);
-    const qDot4 = 0.5 * (q.w * gz + q.x * gy - q.y * gx) - clubTipTracking.beta * (s3 / sNorm);
+    const qDot1 = 0.5 * (-q.x * gx - q.y * gy - q.z * gz) - tracker.beta * (s0 / sNorm);
+    const qDot2 = 0.5 * (q.w * gx + q.y * gz - q.z * gy) - tracker.beta * (s1 / sNorm);
+    const qDot3 = 0.5 * (q.w * gy - q.x * gz + q.z * gx) - tracker.beta * (s2 / sNorm);
+    const qDot4 = 0.5 * (q.w * gz + q.x * gy - q.y * gx) - tracker.beta * (s3 / sNorm);
 
     // Integrate quaternion rate
     q.w += qDot1 * dt;
@@ -184,8 +194,8 @@ function madgwickFilterUpdate(gx, gy, gz, ax, ay, az, dt, mx = 0, my = 0, mz = 0
 // MATH: world_position = q × local_vector × q*
 //   where q* is the conjugate of quaternion q
 
-function calculateClubTipPosition(settings) {
-    const q = clubTipTracking.quaternion;
+function calculateClubTipPosition(tracker, settings) {
+    const q = tracker.quaternion;
     const clubLength = settings.clubLength;
 
     // Define club tip in phone's local coordinate frame
@@ -209,9 +219,9 @@ function calculateClubTipPosition(settings) {
     // Apply offset correction:
     // 1. Add clubLength to Y to move initial position from (0, -clubLength, 0) to (0, 0, 0)
     // 2. Subtract the offset stored when "Tee Up" was pressed (makes that position the ball)
-    clubTipTracking.tipPosition.x = tipX - clubTipTracking.offset.x;
-    clubTipTracking.tipPosition.y = (tipY + clubLength) - clubTipTracking.offset.y;
-    clubTipTracking.tipPosition.z = tipZ - clubTipTracking.offset.z;
+    tracker.tipPosition.x = tipX - tracker.offset.x;
+    tracker.tipPosition.y = (tipY + clubLength) - tracker.offset.y;
+    tracker.tipPosition.z = tipZ - tracker.offset.z;
 
 }
 
@@ -220,38 +230,39 @@ function calculateClubTipPosition(settings) {
 // CLUB TIP TRACKING UPDATE
 // ============================================
 // PURPOSE: Update club tip tracking with new IMU data
+//
+// tracker and now default to the live tracker and wall clock; reprocessing
+// a recording passes its own tracker and the sample's receivedAt time.
 
-export function updateClubTipTracking(imuData, settings, ballPosition, swingRecorder) {
-    const now = Date.now();
-
+export function updateClubTipTracking(imuData, settings, ballPosition, swingRecorder, tracker = clubTipTracking, now = Date.now()) {
     // Calculate time delta
-    if (clubTipTracking.lastUpdateTime === 0) {
-        clubTipTracking.lastUpdateTime = now;
-        clubTipTracking.startTime = now; // Start rate measurement
+    if (tracker.lastUpdateTime === 0) {
+        tracker.lastUpdateTime = now;
+        tracker.startTime = now; // Start rate measurement
         return;
     }
 
-    const dt = (now - clubTipTracking.lastUpdateTime) / 1000; // Convert to seconds
-    clubTipTracking.lastUpdateTime = now;
+    const dt = (now - tracker.lastUpdateTime) / 1000; // Convert to seconds
+    tracker.lastUpdateTime = now;
 
     // Skip if dt is too large (first frame or tab was inactive)
     if (dt > 0.1) return;
 
-    clubTipTracking.frameCount++;
+    tracker.frameCount++;
 
     // MOTION-TRIGGERED TRACKING
     // To reduce drift, only track position during active swing motion
-    if (ballPosition.set && !clubTipTracking.trackingActive) {
+    if (ballPosition.set && !tracker.trackingActive) {
         const accelMag = Math.sqrt(
             (imuData.acceleration.x || 0) ** 2 +
             (imuData.acceleration.y || 0) ** 2 +
             (imuData.acceleration.z || 0) ** 2
         );
 
-        if (accelMag > clubTipTracking.motionThreshold) {
-            clubTipTracking.trackingActive = true;
-            clubTipTracking.trackingStartTime = now;
-            clubTipTracking.history = [];
+        if (accelMag > tracker.motionThreshold) {
+            tracker.trackingActive = true;
+            tracker.trackingStartTime = now;
+            tracker.history = [];
             addDebugMessage(`🚀 Motion detected (${accelMag.toFixed(1)} m/s²)`);
         }
 
@@ -259,11 +270,11 @@ export function updateClubTipTracking(imuData, settings, ballPosition, swingReco
     }
 
     // Warn once if tracking duration exceeds limit
-    if (clubTipTracking.trackingActive) {
-        const trackingDuration = (now - clubTipTracking.trackingStartTime) / 1000;
-        if (trackingDuration > clubTipTracking.maxTrackingDuration && !updateClubTipTracking._maxTimeWarned) {
+    if (tracker.trackingActive) {
+        const trackingDuration = (now - tracker.trackingStartTime) / 1000;
+        if (trackingDuration > tracker.maxTrackingDuration && !updateClubTipTracking._maxTimeWarned) {
             updateClubTipTracking._maxTimeWarned = true;
-            addDebugMessage(`⏱️ Max tracking time (${clubTipTracking.maxTrackingDuration}s) reached`);
+            addDebugMessage(`⏱️ Max tracking time (${tracker.maxTrackingDuration}s) reached`);
         }
     }
 
@@ -297,6 +308,7 @@ export function updateClubTipTracking(imuData, settings, ballPosition, swingReco
     //       ensuring ball flies in the correct direction relative to swing.
 
     madgwickFilterUpdate(
+        tracker,
         -(imuData.rotationRate.alpha || 0),
         -(imuData.rotationRate.beta || 0),
         -(imuData.rotationRate.gamma || 0),
@@ -308,31 +320,115 @@ export function updateClubTipTracking(imuData, settings, ballPosition, swingReco
     );
 
     // Transform quaternion orientation to world-space club tip position
-    calculateClubTipPosition(settings);
+    calculateClubTipPosition(tracker, settings);
 
-    // Record position in history for hit detection
-    clubTipTracking.history.push({
-        position: { ...clubTipTracking.tipPosition },
+    // Record position (and orientation, for the club face) in history for hit detection
+    tracker.history.push({
+        position: { ...tracker.tipPosition },
+        quaternion: { ...tracker.quaternion },
         timestamp: now
     });
 
     // Record for swing replay (if enabled)
-    if (swingRecorder.isRecording && swingRecorder.currentRecording && ballPosition.set) {
+    if (swingRecorder && swingRecorder.isRecording && swingRecorder.currentRecording && ballPosition.set) {
         swingRecorder.currentRecording.tipPath.push({
-            position: { ...clubTipTracking.tipPosition },
-            velocity: { ...clubTipTracking.tipVelocity },
+            position: { ...tracker.tipPosition },
+            velocity: { ...tracker.tipVelocity },
             timestamp: now
         });
     }
 
     // Limit history to current tracking session only
-    if (clubTipTracking.trackingActive) {
-        clubTipTracking.history = clubTipTracking.history.filter(
-            h => h.timestamp >= clubTipTracking.trackingStartTime
+    if (tracker.trackingActive) {
+        tracker.history = tracker.history.filter(
+            h => h.timestamp >= tracker.trackingStartTime
         );
     } else {
-        clubTipTracking.history = [];
+        tracker.history = [];
+    }
+}
+
+// ============================================
+// CLUB DELIVERY AT IMPACT
+// ============================================
+// What the club head was doing as it met the ball, in degrees (face and
+// path: positive = right of the target line):
+//   faceAngle    Face open (+) / closed (-) to the target line
+//   path         Swing path in-to-out (+) / out-to-in (-)
+//   attackAngle  Club head moving up (+) / down (-) into the ball
+//
+// The face follows the phone's screen axis (local Z, screen toward the
+// target at address): its heading at the impact sample is compared with its
+// heading at address, so a face returned to where it started is square.
+// Path and attack angle come from the tip velocity over the same samples as
+// the impact velocity. X is negated like the impact velocity in
+// game-logic.js (sensor axis inversions).
+const DELIVERY_SAMPLES = 5;
+
+// Rotate vector v by unit quaternion q: v + 2w(u × v) + 2u × (u × v)
+function rotateVector(q, v) {
+    const cx = q.y * v.z - q.z * v.y;
+    const cy = q.z * v.x - q.x * v.z;
+    const cz = q.x * v.y - q.y * v.x;
+    return {
+        x: v.x + 2 * (q.w * cx + q.y * cz - q.z * cy),
+        y: v.y + 2 * (q.w * cy + q.z * cx - q.x * cz),
+        z: v.z + 2 * (q.w * cz + q.x * cy - q.y * cx)
+    };
+}
+
+// Heading of the face normal in the horizontal plane (radians, 0 = +Z),
+// null when the face points straight up or down
+function getFaceHeading(q) {
+    const normal = rotateVector(q, { x: 0, y: 0, z: 1 });
+    if (Math.abs(normal.x) < 1e-6 && Math.abs(normal.z) < 1e-6) return null;
+    return Math.atan2(-normal.x, normal.z);
+}
+
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// { faceAngle, path, attackAngle } at the last history sample, null if the
+// history is too short to tell
+export function getClubDelivery(tracker) {
+    const history = tracker.history;
+    if (history.length < DELIVERY_SAMPLES) return null;
+    const current = history[history.length - 1];
+    const previous = history[history.length - DELIVERY_SAMPLES];
+    const dt = (current.timestamp - previous.timestamp) / 1000;
+    if (dt <= 0 || !current.quaternion) return null;
+
+    const vx = -(current.position.x - previous.position.x) / dt;
+    const vy = (current.position.y - previous.position.y) / dt;
+    const vz = (current.position.z - previous.position.z) / dt;
+
+    const impactHeading = getFaceHeading(current.quaternion);
+    const addressHeading = getFaceHeading(tracker.addressQuaternion);
+    let faceAngle = 0;
+    if (impactHeading !== null && addressHeading !== null) {
+        // Wrap to -180..180°
+        faceAngle = toDegrees(Math.atan2(
+            Math.sin(impactHeading - addressHeading),
+            Math.cos(impactHeading - addressHeading)
+        ));
     }
+
+    return {
+        faceAngle: faceAngle,
+        // Forward always counts as toward the target (the ball flies +Z)
+        path: toDegrees(Math.atan2(vx, Math.abs(vz))),
+        attackAngle: toDegrees(Math.atan2(vy, Math.sqrt(vx * vx + vz * vz)))
+    };
+}
+
+// One line for results and debug ("Face 2.1° open · Path 3.4° in-to-out · Attack -4.2°")
+export function describeClubDelivery(delivery) {
+    const face = Math.abs(delivery.faceAngle) < 0.05 ? 'square'
+        : delivery.faceAngle > 0 ? 'open' : 'closed';
+    const path = Math.abs(delivery.path) < 0.05 ? 'straight'
+        : delivery.path > 0 ? 'in-to-out' : 'out-to-in';
+    return `Face ${Math.abs(delivery.faceAngle).toFixed(1)}° ${face} · ` +
+        `Path ${Math.abs(delivery.path).toFixed(1)}° ${path} · ` +
+        `Attack ${delivery.attackAngle.toFixed(1)}°`;
 }
 
 // ============================================
@@ -342,6 +438,7 @@ export function resetTracking() {
     clubTipTracking.quaternion = { w: 1, x: 0, y: 0, z: 0 };
     clubTipTracking.tipPosition = { x: 0, y: 0, z: 0 };
     clubTipTracking.offset = { x: 0, y: 0, z: 0 };
+    clubTipTracking.addressQuaternion = { w: 1, x: 0, y: 0, z: 0 };
     clubTipTracking.tipVelocity = { x: 0, y: 0, z: 0 };
     clubTipTracking.history = [];
     clubTipTracking.lastUpdateTime = 0;
@@ -4,7 +4,15 @@
 // UI management: buttons, settings modal, status updates
 
 import { swingRecorder } from './game-logic.js';
-import { saveToLocalStorage } from './storage.js';
+import { saveToLocalStorage, getShotHistory, trimShotHistory, clearShotHistory, saveSwing, saveImportedCourse, loadImportedCourse, saveClubBag } from './storage.js';
+import { exportSwingsToJSON, exportSwingsToCSV, parseSwingImport, downloadFile, exportFilename, canReplaySwing } from './swing-export.js';
+import { addDebugMessage } from './utils.js';
+import { resimView } from './resimulate.js';
+import { statsView, refreshStats, cycleStatsRange, cycleStatsProfile, cycleStatsPlayer, STATS_RANGE_NAMES } from './stats.js';
+import { courseState, scorecardView, parseCourse, startNewRound, getScoreSummary, formatToPar } from './course.js';
+import { CLUB_PRESETS, clubBag, getClubPreset, getBagClub, getClubName, selectClub, storeSelectedClub } from './clubs.js';
+import { playerState, leaderboardView, parsePlayerNames, setupGame, startNewGame, isMultiplayer, getCurrentPlayer, GAME_FORMATS } from './players.js';
+import { ENVIRONMENT_PRESETS, matchEnvironmentPreset, getAirDensity, STANDARD_AIR_DENSITY, describeEnvironment } from './environment.js';
 
 // UI element references (will be set by main.js)
 let setBallBtn = null;
@@ -12,20 +20,40 @@ let resetBtn = null;
 let settingsBtn = null;
 let recordBtn = null;
 let replayBtn = null;
+let statsBtn = null;
+let scorecardBtn = null;
+let clubSelect = null;
+let resetClubBtn = null;
 let statusDiv = null;
 let settingsModal = null;
 let saveSettingsBtn = null;
 let cancelSettingsBtn = null;
 let settingsInputs = null;
+let recordedSwingCount = null;
+let exportLastSwingBtn = null;
+let exportAllSwingsBtn = null;
+let exportSwingsCsvBtn = null;
+let importSwingsBtn = null;
+let importSwingsInput = null;
+let importCourseBtn = null;
+let importCourseInput = null;
+let newRoundBtn = null;
+let newGameBtn = null;
+let shotHistoryCount = null;
+let airDensityInfo = null;
+let clearHistoryBtn = null;
 let canvas = null;
 
-// Settings reference (will be set by main.js)
+// Settings and last shot references (will be set by main.js)
 let settings = null;
+let lastShot = null;
 
 // Callback references
 let resetGameCallback = null;
 let requestIMUPermissionCallback = null;
 let setBallPositionCallback = null;
+let applySensorSourceCallback = null;
+let applyCourseCallback = null;
 
 export function initUI(elements, callbacks) {
     // Store UI element references
@@ -34,18 +62,43 @@ export function initUI(elements, callbacks) {
     settingsBtn = elements.settingsBtn;
     recordBtn = elements.recordBtn;
     replayBtn = elements.replayBtn;
+    statsBtn = elements.statsBtn;
+    scorecardBtn = elements.scorecardBtn;
+    clubSelect = elements.clubSelect;
+    resetClubBtn = elements.resetClubBtn;
     statusDiv = elements.statusDiv;
     settingsModal = elements.settingsModal;
     saveSettingsBtn = elements.saveSettingsBtn;
     cancelSettingsBtn = elements.cancelSettingsBtn;
     settingsInputs = elements.settingsInputs;
+    recordedSwingCount = elements.recordedSwingCount;
+    exportLastSwingBtn = elements.exportLastSwingBtn;
+    exportAllSwingsBtn = elements.exportAllSwingsBtn;
+    exportSwingsCsvBtn = elements.exportSwingsCsvBtn;
+    importSwingsBtn = elements.importSwingsBtn;
+    importSwingsInput = elements.importSwingsInput;
+    importCourseBtn = elements.importCourseBtn;
+    importCourseInput = elements.importCourseInput;
+    newRoundBtn = elements.newRoundBtn;
+    newGameBtn = elements.newGameBtn;
+    shotHistoryCount = elements.shotHistoryCount;
+    airDensityInfo = elements.airDensityInfo;
+    clearHistoryBtn = elements.clearHistoryBtn;
     canvas = elements.canvas;
     
     // Store callbacks
     resetGameCallback = callbacks.resetGame;
     requestIMUPermissionCallback = callbacks.requestIMUPermission;
     setBallPositionCallback = callbacks.setBallPosition;
+    applySensorSourceCallback = callbacks.applySensorSource;
+    applyCourseCallback = callbacks.applyCourse;
     settings = callbacks.settings;
+    lastShot = callbacks.lastShot;
+
+    // Club pickers (main controls and settings) list the whole bag
+    fillClubOptions(clubSelect, club => club.short);
+    fillClubOptions(settingsInputs.clubId, club => club.name);
+    clubSelect.value = settings.clubId;
     
     // Set up event listeners
     setupEventListeners();
@@ -108,23 +161,108 @@ function setupEventListeners() {
             return;
         }
         
-        // Start replay mode
-        swingRecorder.replayMode = true;
-        swingRecorder.replayProgress = 0;
-        swingRecorder.replayIndex = swingRecorder.recordedSwings.length - 1; // Show most recent
-        swingRecorder.cameraAngle = 'perspective'; // Reset to default view
-        replayBtn.textContent = '🔄 Change View';
-        replayBtn.style.background = '#4444ff';
-        updateStatus(`▶️ Replaying swing ${swingRecorder.replayIndex + 1}/${swingRecorder.recordedSwings.length} | Tap 🔄 to change camera`);
+        // Start replay of the swing picked in the library (or the most recent)
+        const selectedIndex = swingRecorder.recordedSwings.findIndex(
+            swing => swing.id === swingRecorder.selectedSwingId
+        );
+        startReplay(selectedIndex !== -1 ? selectedIndex : swingRecorder.recordedSwings.length - 1);
     });
     
+    // Stats button - summary → clubs → dispersion → closed
+    statsBtn.addEventListener('click', function() {
+        if (statsView.active && statsView.page === 'summary') {
+            statsView.page = 'clubs';
+            updateStatus(`🏌️ ${statsView.clubs.length} clubs used | Tap 📊 again for dispersion`);
+            return;
+        }
+        if (statsView.active && statsView.page === 'clubs') {
+            statsView.page = 'dispersion';
+            updateStatus('🎯 Dispersion | Tap chart to filter by settings');
+            return;
+        }
+        if (statsView.active) {
+            statsView.active = false;
+            return;
+        }
+        refreshStats();
+        statsView.page = 'summary';
+        statsView.active = true;
+        updateStatus(`📊 ${statsView.stats.count} shots | Tap 📊 again for clubs`);
+    });
+
+    // Quick club change: the club's values become the active settings
+    clubSelect.addEventListener('change', function() {
+        selectClub(settings, clubSelect.value);
+        saveToLocalStorage(settings, lastShot);
+        clubSelect.blur();
+        updateStatus(`🏌️ ${getClubName(settings.clubId)}: ${settings.loftAngle}° loft, ${settings.clubLength}m`);
+    });
+
+    // Scorecard button - show/hide the course scorecard (the leaderboard
+    // in a pass-and-play game)
+    scorecardBtn.addEventListener('click', function() {
+        if (scorecardView.active || leaderboardView.active) {
+            scorecardView.active = false;
+            leaderboardView.active = false;
+            return;
+        }
+        if (isMultiplayer(settings)) {
+            const game = playerState.game;
+            leaderboardView.active = true;
+            updateStatus(`👥 ${GAME_FORMATS[game.format]}: ${game.complete ? 'final standings' : `${getCurrentPlayer().name}'s turn`}`);
+            return;
+        }
+        const scorecard = courseState.scorecard;
+        if (!scorecard) {
+            updateStatus('📋 No round yet - choose "Play a Course" in ⚙️ settings');
+            return;
+        }
+        const summary = getScoreSummary(scorecard);
+        scorecardView.active = true;
+        updateStatus(`📋 ${scorecard.courseName}: ${summary.played}/${scorecard.holes.length} holes, ${formatToPar(summary.toPar)}`);
+    });
+
     // Stop replay when clicking canvas
     canvas.addEventListener('click', function(e) {
+        // Re-simulation comparison and scorecard: any tap closes them
+        if (resimView.active) {
+            resimView.active = false;
+            return;
+        }
+        if (scorecardView.active || leaderboardView.active) {
+            scorecardView.active = false;
+            leaderboardView.active = false;
+            return;
+        }
+
+        // Stats overlay: tap inside changes range/filters, tap outside closes
+        if (statsView.active) {
+            const rect = canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            const b = statsView.bounds;
+            if (b && x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height) {
+                // Player line changes player; dispersion: header changes
+                // range, chart changes settings filter
+                const playerRow = statsView.playerRow;
+                if (playerRow && y >= playerRow.top && y <= playerRow.bottom) {
+                    cycleStatsPlayer();
+                    updateStatus(`👤 ${statsView.player ?? 'All players'}: ${statsView.stats.count} shots`);
+                } else if (statsView.page === 'dispersion' && y > b.y + 78) {
+                    cycleStatsProfile();
+                    updateStatus(`🎯 Filter: ${statsView.profile ?? 'All settings'}`);
+                } else {
+                    cycleStatsRange();
+                    updateStatus(`📊 ${STATS_RANGE_NAMES[statsView.range]}: ${statsView.stats.count} shots`);
+                }
+            } else {
+                statsView.active = false;
+            }
+            return;
+        }
+
         if (swingRecorder.replayMode) {
-            swingRecorder.replayMode = false;
-            replayBtn.textContent = '▶️ Replay';
-            replayBtn.style.background = '';
-            updateStatus('⏹️ Replay stopped (tap Replay to start again)');
+            stopReplay();
         }
     });
     
@@ -133,6 +271,32 @@ function setupEventListeners() {
     saveSettingsBtn.addEventListener('click', saveSettings);
     cancelSettingsBtn.addEventListener('click', closeSettings);
     
+    // Settings club picker: show the chosen club's values (unsaved edits are dropped)
+    settingsInputs.clubId.addEventListener('change', function() {
+        showClubValues(getBagClub(this.value));
+    });
+    resetClubBtn.addEventListener('click', function() {
+        const preset = getClubPreset(settingsInputs.clubId.value);
+        if (preset) {
+            showClubValues(preset);
+        }
+    });
+
+    // Environment: a preset fills in the four values, changing one makes it custom
+    settingsInputs.environmentPreset.addEventListener('change', function() {
+        const preset = ENVIRONMENT_PRESETS[this.value];
+        if (preset) {
+            showEnvironmentValues(preset);
+        }
+    });
+    ENVIRONMENT_KEYS.forEach(key => {
+        settingsInputs[key].addEventListener('input', function() {
+            const environment = readEnvironmentInputs();
+            settingsInputs.environmentPreset.value = matchEnvironmentPreset(environment);
+            showAirDensity(environment);
+        });
+    });
+
     // Update range displays
     settingsInputs.minSwingSpeed.addEventListener('input', function() {
         document.getElementById('speedValue').textContent = parseFloat(this.value).toFixed(1);
@@ -147,7 +311,7 @@ function setupEventListeners() {
         document.getElementById('airResValue').textContent = parseFloat(this.value).toFixed(1);
     });
     settingsInputs.impactPower.addEventListener('input', function() {
-        document.getElementById('impactPowerValue').textContent = parseFloat(this.value).toFixed(1);
+        document.getElementById('impactPowerValue').textContent = parseFloat(this.value).toFixed(2);
     });
     settingsInputs.spinEffect.addEventListener('input', function() {
         document.getElementById('spinValue').textContent = this.value;
@@ -155,9 +319,131 @@ function setupEventListeners() {
     settingsInputs.soundVolume.addEventListener('input', function() {
         document.getElementById('volumeValue').textContent = this.value;
     });
+    settingsInputs.sensorRate.addEventListener('input', function() {
+        document.getElementById('sensorRateValue').textContent = this.value;
+    });
+    settingsInputs.holeLength.addEventListener('input', function() {
+        document.getElementById('holeLengthValue').textContent = this.value;
+    });
     settingsInputs.targetDistance.addEventListener('input', function() {
         document.getElementById('targetDistValue').textContent = this.value;
     });
+    settingsInputs.windSpeed.addEventListener('input', function() {
+        document.getElementById('windSpeedValue').textContent = this.value;
+    });
+    settingsInputs.shotsEach.addEventListener('input', function() {
+        document.getElementById('shotsEachValue').textContent = this.value;
+    });
+    settingsInputs.windGustiness.addEventListener('input', function() {
+        document.getElementById('windGustinessValue').textContent = this.value;
+    });
+    settingsInputs.humidity.addEventListener('input', function() {
+        document.getElementById('humidityValue').textContent = this.value;
+    });
+
+    // Export recorded swings
+    exportLastSwingBtn.addEventListener('click', function() {
+        if (!requireRecordedSwings()) return;
+        const last = swingRecorder.recordedSwings[swingRecorder.recordedSwings.length - 1];
+        if (!canReplaySwing(last)) {
+            updateStatus('⚠️ Last swing is too short to export (needs 2+ samples)');
+            return;
+        }
+        downloadFile(exportFilename('json'), exportSwingsToJSON([last]), 'application/json');
+        updateStatus('⬇️ Exported last swing');
+    });
+    exportAllSwingsBtn.addEventListener('click', function() {
+        const swings = getExportableSwings();
+        if (!swings) return;
+        downloadFile(exportFilename('json'), exportSwingsToJSON(swings), 'application/json');
+        updateStatus(`⬇️ Exported ${swings.length} swings${describeSkippedSwings(swings)}`);
+    });
+    exportSwingsCsvBtn.addEventListener('click', function() {
+        const swings = getExportableSwings();
+        if (!swings) return;
+        downloadFile(exportFilename('csv'), exportSwingsToCSV(swings), 'text/csv');
+        updateStatus(`⬇️ Exported ${swings.length} swings as CSV${describeSkippedSwings(swings)}`);
+    });
+
+    // Import recorded swings
+    importSwingsBtn.addEventListener('click', function() {
+        importSwingsInput.click();
+    });
+    importSwingsInput.addEventListener('change', async function() {
+        const file = importSwingsInput.files[0];
+        importSwingsInput.value = ''; // Allow re-importing the same file
+        if (!file) return;
+
+        try {
+            const swings = parseSwingImport(await file.text());
+            swingRecorder.recordedSwings.push(...swings);
+            swings.forEach(swing => saveSwing(swing));
+            replayBtn.disabled = false;
+            recordedSwingCount.textContent = swingRecorder.recordedSwings.length;
+            addDebugMessage(`⬆️ Imported ${swings.length} swings from ${file.name}`);
+            updateStatus(`⬆️ Imported ${swings.length} swings - tap Replay to view`);
+        } catch (e) {
+            addDebugMessage(`❌ Import failed: ${e.message}`);
+            updateStatus(`❌ Import failed: ${e.message}`);
+        }
+    });
+
+    // Import a course (used when "Imported course" is selected)
+    importCourseBtn.addEventListener('click', function() {
+        importCourseInput.click();
+    });
+    importCourseInput.addEventListener('change', async function() {
+        const file = importCourseInput.files[0];
+        importCourseInput.value = ''; // Allow re-importing the same file
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const course = parseCourse(text);
+            saveImportedCourse(JSON.parse(text));
+            settingsInputs.courseId.value = 'imported';
+            updateImportedCourseLabel();
+            addDebugMessage(`⬆️ Imported course "${course.name}" (${course.holes.length} holes) from ${file.name}`);
+            updateStatus(`⬆️ Imported "${course.name}" - save settings to play it`);
+        } catch (e) {
+            addDebugMessage(`❌ Course import failed: ${e.message}`);
+            updateStatus(`❌ Course import failed: ${e.message}`);
+        }
+    });
+
+    // Start the current course again from hole 1
+    newRoundBtn.addEventListener('click', function() {
+        if (!courseState.course) {
+            updateStatus('⚠️ No course loaded - choose "Play a Course" and save first');
+            return;
+        }
+        if (confirm(`Start a new round of ${courseState.course.name}? The current scorecard is cleared.`)) {
+            startNewRound();
+            updateStatus(`🔄 New round of ${courseState.course.name} - hole 1`);
+        }
+    });
+
+    // Same players again, scores cleared
+    newGameBtn.addEventListener('click', function() {
+        if (!playerState.game) {
+            updateStatus('⚠️ No game - enter two or more players and save first');
+            return;
+        }
+        if (confirm(`Start a new ${GAME_FORMATS[playerState.game.format]} game? The current scores are cleared.`)) {
+            startNewGame();
+            leaderboardView.active = false;
+            updateStatus(`🔄 New game - ${getCurrentPlayer().name}'s turn`);
+        }
+    });
+
+    // Clear shot history
+    clearHistoryBtn.addEventListener('click', function() {
+        if (confirm('Delete all saved shots?')) {
+            clearShotHistory();
+            shotHistoryCount.textContent = 0;
+            updateStatus('🗑️ Shot history cleared');
+        }
+    });
 
     // Close modal when clicking outside
     settingsModal.addEventListener('click', function(e) {
@@ -167,8 +453,122 @@ function setupEventListeners() {
     });
 }
 
+// ============================================
+// SWING REPLAY
+// ============================================
+export function startReplay(index) {
+    const swing = swingRecorder.recordedSwings[index];
+    if (!canReplaySwing(swing)) {
+        updateStatus(`⚠️ "${swing ? swing.name : 'Swing'}" is too short to replay (needs 2+ samples)`);
+        return;
+    }
+
+    swingRecorder.replayMode = true;
+    swingRecorder.replayProgress = 0;
+    swingRecorder.replayIndex = index;
+    swingRecorder.cameraAngle = 'perspective'; // Reset to default view
+    replayBtn.textContent = '🔄 Change View';
+    replayBtn.style.background = '#4444ff';
+
+    updateStatus(`▶️ Replaying "${swing.name}" (${index + 1}/${swingRecorder.recordedSwings.length}) | Tap 🔄 to change camera`);
+}
+
+export function stopReplay() {
+    swingRecorder.replayMode = false;
+    replayBtn.textContent = '▶️ Replay';
+    replayBtn.style.background = '';
+    updateStatus('⏹️ Replay stopped (tap Replay to start again)');
+}
+
+function requireRecordedSwings() {
+    if (swingRecorder.recordedSwings.length === 0) {
+        updateStatus('⚠️ No recorded swings to export!');
+        return false;
+    }
+    return true;
+}
+
+// Recorded swings long enough to export, null (with a message) if none are
+function getExportableSwings() {
+    if (!requireRecordedSwings()) return null;
+    const swings = swingRecorder.recordedSwings.filter(canReplaySwing);
+    if (swings.length === 0) {
+        updateStatus('⚠️ Recorded swings are too short to export (need 2+ samples)');
+        return null;
+    }
+    return swings;
+}
+
+function describeSkippedSwings(exported) {
+    const skipped = swingRecorder.recordedSwings.length - exported.length;
+    return skipped > 0 ? ` (${skipped} too short, skipped)` : '';
+}
+
+// Show the stored course's name on the "Imported course" option
+function updateImportedCourseLabel() {
+    const imported = loadImportedCourse();
+    const option = settingsInputs.courseId.querySelector('option[value="imported"]');
+    option.textContent = imported && imported.name ? `Imported: ${imported.name}` : 'Imported course';
+}
+
+// ============================================
+// CLUB BAG
+// ============================================
+function fillClubOptions(select, label) {
+    select.innerHTML = '';
+    CLUB_PRESETS.forEach(club => {
+        const option = document.createElement('option');
+        option.value = club.id;
+        option.textContent = label(club);
+        select.appendChild(option);
+    });
+}
+
+// Put one club's values into the Golf Club inputs (bag entry or preset)
+function showClubValues(club) {
+    settingsInputs.clubLength.value = club.length;
+    settingsInputs.clubWeight.value = club.weight;
+    settingsInputs.loftAngle.value = club.loft;
+    settingsInputs.impactPower.value = club.power;
+    document.getElementById('loftValue').textContent = club.loft;
+    document.getElementById('impactPowerValue').textContent = club.power.toFixed(2);
+}
+
+// ============================================
+// ENVIRONMENT INPUTS
+// ============================================
+const ENVIRONMENT_KEYS = ['altitude', 'temperature', 'humidity', 'pressure'];
+
+function showEnvironmentValues(environment) {
+    ENVIRONMENT_KEYS.forEach(key => {
+        settingsInputs[key].value = environment[key];
+    });
+    document.getElementById('humidityValue').textContent = environment.humidity;
+    showAirDensity(environment);
+}
+
+// Values typed in settings, kept within the input limits (empty or
+// invalid fields keep the saved value)
+function readEnvironmentInputs() {
+    const environment = {};
+    ENVIRONMENT_KEYS.forEach(key => {
+        const input = settingsInputs[key];
+        const value = parseFloat(input.value);
+        environment[key] = isFinite(value)
+            ? Math.min(Math.max(value, parseFloat(input.min)), parseFloat(input.max))
+            : settings[key];
+    });
+    return environment;
+}
+
+function showAirDensity(environment) {
+    const density = getAirDensity(environment);
+    airDensityInfo.textContent = `Air density ${density.toFixed(3)} kg/m³ - ${(density / STANDARD_AIR_DENSITY * 100).toFixed(0)}% of sea level (thinner air: less drag and less curve)`;
+}
+
 function openSettings() {
     // Load current settings into inputs
+    settingsInputs.clubId.value = settings.clubId;
     settingsInputs.clubLength.value = settings.clubLength;
     settingsInputs.clubWeight.value = settings.clubWeight;
     settingsInputs.loftAngle.value = settings.loftAngle;
@@ -181,27 +581,53 @@ function openSettings() {
     settingsInputs.airResistance.value = settings.airResistance;
     settingsInputs.impactPower.value = settings.impactPower;
     settingsInputs.spinEffect.value = settings.spinEffect;
+    settingsInputs.physicsMode.value = settings.physicsMode;
+    settingsInputs.environmentPreset.value = settings.environmentPreset;
+    showEnvironmentValues(settings);
     settingsInputs.showDebug.checked = settings.showDebug;
     settingsInputs.soundEnabled.checked = settings.soundEnabled;
     settingsInputs.soundVolume.value = settings.soundVolume;
+    settingsInputs.gameMode.value = settings.gameMode;
+    settingsInputs.courseId.value = settings.courseId;
+    updateImportedCourseLabel();
+    settingsInputs.playerNames.value = settings.playerNames.join(', ');
+    settingsInputs.gameFormat.value = settings.gameFormat;
+    settingsInputs.shotsEach.value = settings.shotsEach;
+    settingsInputs.holeLength.value = settings.holeLength;
+    settingsInputs.cupRadius.value = String(settings.cupRadius);
     settingsInputs.targetMode.value = settings.targetMode;
     settingsInputs.targetDistance.value = settings.targetDistance;
+    settingsInputs.windMode.value = settings.windMode;
+    settingsInputs.windSpeed.value = settings.windSpeed;
+    settingsInputs.windDirection.value = settings.windDirection;
+    settingsInputs.windGustiness.value = settings.windGustiness;
+    settingsInputs.shotHistoryLimit.value = settings.shotHistoryLimit;
+    settingsInputs.sensorSource.value = settings.sensorSource;
+    settingsInputs.sensorRate.value = settings.sensorRate;
+    shotHistoryCount.textContent = getShotHistory().total;
+    recordedSwingCount.textContent = swingRecorder.recordedSwings.length;
 
     // Update range displays
     document.getElementById('speedValue').textContent = settings.minSwingSpeed.toFixed(1);
     document.getElementById('timeoutValue').textContent = settings.swingTimeout;
     document.getElementById('loftValue').textContent = settings.loftAngle;
     document.getElementById('airResValue').textContent = settings.airResistance.toFixed(1);
-    document.getElementById('impactPowerValue').textContent = settings.impactPower.toFixed(1);
+    document.getElementById('impactPowerValue').textContent = settings.impactPower.toFixed(2);
     document.getElementById('spinValue').textContent = settings.spinEffect;
     document.getElementById('volumeValue').textContent = settings.soundVolume;
+    document.getElementById('holeLengthValue').textContent = settings.holeLength;
+    document.getElementById('shotsEachValue').textContent = settings.shotsEach;
     document.getElementById('targetDistValue').textContent = settings.targetDistance;
+    document.getElementById('windSpeedValue').textContent = settings.windSpeed;
+    document.getElementById('windGustinessValue').textContent = settings.windGustiness;
+    document.getElementById('sensorRateValue').textContent = settings.sensorRate;
 
     settingsModal.classList.add('active');
 }
 
 function saveSettings() {
     // Save all settings
+    settings.clubId = settingsInputs.clubId.value;
     settings.clubLength = parseFloat(settingsInputs.clubLength.value);
     settings.clubWeight = parseFloat(settingsInputs.clubWeight.value);
     settings.loftAngle = parseFloat(settingsInputs.loftAngle.value);
@@ -214,17 +640,60 @@ function saveSettings() {
     settings.airResistance = parseFloat(settingsInputs.airResistance.value);
     settings.impactPower = parseFloat(settingsInputs.impactPower.value);
     settings.spinEffect = parseFloat(settingsInputs.spinEffect.value);
+    settings.physicsMode = settingsInputs.physicsMode.value;
+    const environment = readEnvironmentInputs();
+    const environmentChanged = ENVIRONMENT_KEYS.some(key => environment[key] !== settings[key]);
+    Object.assign(settings, environment);
+    settings.environmentPreset = matchEnvironmentPreset(settings);
     settings.showDebug = settingsInputs.showDebug.checked;
     settings.soundEnabled = settingsInputs.soundEnabled.checked;
     settings.soundVolume = parseFloat(settingsInputs.soundVolume.value);
+    settings.gameMode = settingsInputs.gameMode.value;
+    settings.courseId = settingsInputs.courseId.value;
+    settings.playerNames = parsePlayerNames(settingsInputs.playerNames.value);
+    settings.gameFormat = settingsInputs.gameFormat.value;
+    settings.shotsEach = parseInt(settingsInputs.shotsEach.value, 10);
+    settings.holeLength = parseFloat(settingsInputs.holeLength.value);
+    settings.cupRadius = parseFloat(settingsInputs.cupRadius.value);
     settings.targetMode = settingsInputs.targetMode.value;
     settings.targetDistance = parseFloat(settingsInputs.targetDistance.value);
+    settings.windMode = settingsInputs.windMode.value;
+    settings.windSpeed = parseFloat(settingsInputs.windSpeed.value);
+    settings.windDirection = parseFloat(settingsInputs.windDirection.value);
+    settings.windGustiness = parseFloat(settingsInputs.windGustiness.value);
+    settings.shotHistoryLimit = parseInt(settingsInputs.shotHistoryLimit.value, 10) || settings.shotHistoryLimit;
+    settings.sensorSource = settingsInputs.sensorSource.value;
+    settings.sensorRate = parseInt(settingsInputs.sensorRate.value, 10);
+
+    // Club values are kept with the club in the bag
+    storeSelectedClub(settings);
+    saveClubBag(clubBag.clubs);
+    clubSelect.value = settings.clubId;
+
+    // Apply new history cap right away
+    trimShotHistory(settings.shotHistoryLimit);
+
+    // Switch sensor source (also picks up a newly selected playback swing)
+    applySensorSourceCallback();
+
+    // Load the chosen course (course mode)
+    applyCourseCallback();
+
+    // Same players keep their game, new players start one
+    setupGame(settings);
 
     // Save to localStorage (need to pass lastShot reference)
     saveToLocalStorage(settings, {}); // TODO: pass lastShot from main
+    if (environmentChanged) addDebugMessage(`🌡️ ${describeEnvironment(settings)}`);
     
     closeSettings();
-    updateStatus('⚙️ Settings saved!');
+    if (playerState.game && !isMultiplayer(settings)) {
+        updateStatus('⚙️ Settings saved! Pass-and-play games are played on the Driving Range');
+    } else if (playerState.game) {
+        updateStatus(`⚙️ Settings saved! ${GAME_FORMATS[playerState.game.format]} - ${getCurrentPlayer().name}'s turn`);
+    } else {
+        updateStatus('⚙️ Settings saved!');
+    }
 }
 
 function closeSettings() {
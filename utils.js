@@ -66,3 +66,12 @@ export function addDebugMessage(message) {
         debugLog.messages.shift();
     }
 }
+
+// ============================================
+// IDS
+// ============================================
+
+// Unique-enough id for stored records, e.g. "swing-1736420000000-k3j9x1"
+export function createId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}